@@ -0,0 +1,212 @@
+/**
+ * Mock Ollama Server
+ * ===================
+ *
+ * Speaks the subset of the Ollama API the app uses:
+ * GET /api/tags, POST /api/chat (streaming and not), POST /api/embeddings,
+ * and model management: POST /api/pull (streamed progress), DELETE /api/delete,
+ * POST /api/show. Pulled and deleted models only live until the server restarts;
+ * pulling a name that starts with "missing" fails like an unknown model.
+ *
+ * Tool calling: when `tools` are sent and the last user message names one of
+ * them, the reply calls that tool with mock arguments. "mistral" rejects
+ * `tools` like a model without tool support. "llava" reports vision
+ * capability and the reply counts the images it received.
+ *
+ * Usage: npm run mock:ollama (the tests in src/services/providers start it themselves)
+ * Then set VITE_OLLAMA_BASE_URL=http://localhost:11435
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'node:url';
+import {
+    MOCK_MODELS, TOKEN_DELAY_MS,
+    mockReply, mockStructuredValue, splitTokens, mockEmbedding, countTokens, delay
+} from './shared.js';
+
+const PORT = parseInt(process.env.MOCK_OLLAMA_PORT) || 11435;
+const NS_PER_MS = 1e6;
+
+const app = express();
+app.use(express.json({ limit: '50mb' }));
+
+// Installed models (mutated by pull/delete)
+const installed = new Set(MOCK_MODELS);
+
+// Models whose template has no tool support
+const NO_TOOL_MODELS = ['mistral:latest'];
+
+/**
+ * Tool the last user message asks for, unless a tool result came after it
+ */
+const findRequestedTool = (messages, tools = []) => {
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user') return null;
+    return tools.find(tool => last.content.includes(tool.function.name)) || null;
+};
+
+const withTag = (name = '') => name.includes(':') ? name : `${name}:latest`;
+
+const requireModel = (req, res) => {
+    if (!installed.has(withTag(req.body.model))) {
+        res.status(404).json({ error: `model "${req.body.model}" not found, try pulling it first` });
+        return false;
+    }
+    return true;
+};
+
+app.get('/api/tags', (req, res) => {
+    res.json({
+        models: [...installed].map(name => ({
+            name,
+            model: name,
+            modified_at: new Date(0).toISOString(),
+            size: 2019393189,
+            details: { format: 'gguf', family: 'llama', parameter_size: '3.2B', quantization_level: 'Q4_K_M' }
+        }))
+    });
+});
+
+app.post('/api/chat', async (req, res) => {
+    if (!requireModel(req, res)) return;
+
+    const { model, messages = [], stream = true, format, tools } = req.body;
+
+    if (tools?.length > 0 && NO_TOOL_MODELS.includes(withTag(model))) {
+        return res.status(400).json({ error: `registry.ollama.ai/library/${model} does not support tools` });
+    }
+
+    const tool = findRequestedTool(messages, tools);
+    if (tool) {
+        const toolCall = { function: { name: tool.function.name, arguments: mockStructuredValue(tool.function.parameters) } };
+        const message = { role: 'assistant', content: '', tool_calls: [toolCall] };
+        const stats = { done: true, done_reason: 'stop', total_duration: NS_PER_MS, eval_count: 1, eval_duration: NS_PER_MS };
+        return stream
+            ? res.end(JSON.stringify({ model, message, done: false }) + '\n' + JSON.stringify({ model, message: { role: 'assistant', content: '' }, ...stats }) + '\n')
+            : res.json({ model, message, ...stats });
+    }
+
+    const reply = format
+        ? JSON.stringify(mockStructuredValue(format === 'json' ? { type: 'object' } : format))
+        : mockReply(messages);
+    const tokens = splitTokens(reply);
+    const startedAt = Date.now();
+
+    const finalStats = () => {
+        const totalMs = Date.now() - startedAt;
+        return {
+            done: true,
+            done_reason: 'stop',
+            total_duration: totalMs * NS_PER_MS,
+            load_duration: 0,
+            prompt_eval_count: countTokens(messages.map(m => m.content).join('\n')),
+            eval_count: tokens.length,
+            eval_duration: Math.max(totalMs, 1) * NS_PER_MS
+        };
+    };
+
+    if (!stream) {
+        await delay(TOKEN_DELAY_MS * tokens.length);
+        return res.json({
+            model,
+            created_at: new Date().toISOString(),
+            message: { role: 'assistant', content: reply },
+            ...finalStats()
+        });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    for (const token of tokens) {
+        if (closed) return;
+        await delay(TOKEN_DELAY_MS);
+        res.write(JSON.stringify({
+            model,
+            created_at: new Date().toISOString(),
+            message: { role: 'assistant', content: token },
+            done: false
+        }) + '\n');
+    }
+
+    res.end(JSON.stringify({
+        model,
+        created_at: new Date().toISOString(),
+        message: { role: 'assistant', content: '' },
+        ...finalStats()
+    }) + '\n');
+});
+
+app.post('/api/embeddings', (req, res) => {
+    if (!requireModel(req, res)) return;
+    res.json({ embedding: mockEmbedding(req.body.prompt) });
+});
+
+app.post('/api/pull', async (req, res) => {
+    const name = withTag(req.body.model);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const send = (chunk) => res.write(JSON.stringify(chunk) + '\n');
+
+    send({ status: 'pulling manifest' });
+    await delay(TOKEN_DELAY_MS * 5);
+
+    if (name.startsWith('missing')) {
+        return res.end(JSON.stringify({ error: 'pull model manifest: file does not exist' }) + '\n');
+    }
+
+    // Two layers, downloaded in ten steps each
+    const layers = [{ digest: 'sha256:mockweights', total: 2019393189 }, { digest: 'sha256:mocktemplate', total: 1429 }];
+    for (const layer of layers) {
+        for (let step = 1; step <= 10; step++) {
+            if (closed) return;
+            await delay(TOKEN_DELAY_MS * 3);
+            send({
+                status: `pulling ${layer.digest.slice(7, 19)}`,
+                digest: layer.digest,
+                total: layer.total,
+                completed: Math.round((layer.total * step) / 10)
+            });
+        }
+    }
+
+    send({ status: 'verifying sha256 digest' });
+    send({ status: 'writing manifest' });
+    installed.add(name);
+    res.end(JSON.stringify({ status: 'success' }) + '\n');
+});
+
+app.delete('/api/delete', (req, res) => {
+    if (!requireModel(req, res)) return;
+    installed.delete(withTag(req.body.model));
+    res.status(200).end();
+});
+
+app.post('/api/show', (req, res) => {
+    if (!requireModel(req, res)) return;
+
+    res.json({
+        license: 'Mock license',
+        modelfile: `FROM ${withTag(req.body.model)}`,
+        parameters: 'stop                           "<|eot_id|>"\ntemperature                    0.8',
+        template: '{{ if .System }}<|start_header_id|>system<|end_header_id|>\n\n{{ .System }}<|eot_id|>{{ end }}{{ .Prompt }}',
+        details: { format: 'gguf', family: 'llama', parameter_size: '3.2B', quantization_level: 'Q4_K_M' },
+        model_info: { 'general.architecture': 'llama', 'llama.context_length': 131072, 'llama.embedding_length': 3072 },
+        capabilities: withTag(req.body.model).startsWith('llava') ? ['completion', 'vision'] : ['completion'],
+        modified_at: new Date(0).toISOString()
+    });
+});
+
+// Started directly (npm run mock:ollama); tests import the app and listen on a free port
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    app.listen(PORT, () => {
+        console.log(`Mock Ollama listening on http://localhost:${PORT}`);
+    });
+}
+
+export default app;
@@ -0,0 +1,112 @@
+/**
+ * Mock OpenAI-compatible Server
+ * ==============================
+ *
+ * Stand-in for llama.cpp server / vLLM:
+ * GET /v1/models, POST /v1/chat/completions (SSE and not), POST /v1/embeddings.
+ *
+ * Usage: npm run mock:openai (the tests in src/services/providers start it themselves)
+ * Then set VITE_AI_PROVIDER=openai and VITE_OPENAI_BASE_URL=http://localhost:8081
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'node:url';
+import {
+    MOCK_MODELS, TOKEN_DELAY_MS,
+    mockReply, mockStructuredValue, splitTokens, mockEmbedding, countTokens, delay
+} from './shared.js';
+
+const PORT = parseInt(process.env.MOCK_OPENAI_PORT) || 8081;
+
+const app = express();
+app.use(express.json({ limit: '50mb' }));
+
+const requireModel = (req, res) => {
+    if (!MOCK_MODELS.includes(req.body.model)) {
+        res.status(404).json({
+            error: { message: `The model \`${req.body.model}\` does not exist.`, type: 'invalid_request_error' }
+        });
+        return false;
+    }
+    return true;
+};
+
+app.get('/v1/models', (req, res) => {
+    res.json({
+        object: 'list',
+        data: MOCK_MODELS.map(id => ({ id, object: 'model', created: 0, owned_by: 'mock' }))
+    });
+});
+
+app.post('/v1/chat/completions', async (req, res) => {
+    if (!requireModel(req, res)) return;
+
+    const { model, messages = [], stream = false, response_format: responseFormat } = req.body;
+    const reply = responseFormat
+        ? JSON.stringify(mockStructuredValue(responseFormat.json_schema?.schema || { type: 'object' }))
+        : mockReply(messages);
+    const tokens = splitTokens(reply);
+    const id = `chatcmpl-mock-${Date.now()}`;
+    const usage = {
+        prompt_tokens: countTokens(messages.map(m => m.content).join('\n')),
+        completion_tokens: tokens.length,
+        total_tokens: 0
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (!stream) {
+        await delay(TOKEN_DELAY_MS * tokens.length);
+        return res.json({
+            id,
+            object: 'chat.completion',
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+            usage
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    const send = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+    for (const token of tokens) {
+        if (closed) return;
+        await delay(TOKEN_DELAY_MS);
+        send({
+            id,
+            object: 'chat.completion.chunk',
+            model,
+            choices: [{ index: 0, delta: { content: token }, finish_reason: null }]
+        });
+    }
+
+    send({ id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+    if (req.body.stream_options?.include_usage) {
+        send({ id, object: 'chat.completion.chunk', model, choices: [], usage });
+    }
+    res.end('data: [DONE]\n\n');
+});
+
+app.post('/v1/embeddings', (req, res) => {
+    if (!requireModel(req, res)) return;
+
+    const inputs = Array.isArray(req.body.input) ? req.body.input : [req.body.input];
+    res.json({
+        object: 'list',
+        model: req.body.model,
+        data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: mockEmbedding(text) }))
+    });
+});
+
+// Started directly (npm run mock:openai); tests import the app and listen on a free port
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    app.listen(PORT, () => {
+        console.log(`Mock OpenAI-compatible server listening on http://localhost:${PORT}`);
+    });
+}
+
+export default app;
@@ -0,0 +1,93 @@
+/**
+ * Mock LLM Server Helpers
+ * ========================
+ *
+ * Deterministic fixtures shared by the Ollama and OpenAI-compatible
+ * stand-in servers. Same input always produces the same reply and vectors,
+ * so the app can be exercised end-to-end without a real model.
+ */
+
+export const MOCK_MODELS = ['llama3.2:latest', 'mistral:latest', 'llava:latest', 'nomic-embed-text:latest'];
+
+export const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Build the scripted reply for a conversation
+ */
+export function mockReply(messages = []) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    // /v1 messages with images carry a list of content parts
+    const parts = Array.isArray(lastUser?.content) ? lastUser.content : null;
+    const text = parts ? parts.find(part => part.type === 'text')?.text : lastUser?.content;
+    const question = (text || '').split('\n')[0].slice(0, 200);
+    const images = parts
+        ? parts.filter(part => part.type === 'image_url').length
+        : lastUser?.images?.length || 0;
+
+    return `**Mock reply** from the local stand-in server.\n\nYou asked: "${question}"\n\n` +
+        (images > 0 ? `- Received ${images} image${images > 1 ? 's' : ''}\n` : '') +
+        `- This response is deterministic\n- No model was loaded\n`;
+}
+
+/**
+ * Smallest value that satisfies a JSON schema - the scripted reply
+ * for structured-output requests (`format` / `response_format`)
+ */
+export function mockStructuredValue(schema = {}) {
+    if (schema.enum) return schema.enum[0];
+
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([key, property]) => [key, mockStructuredValue(property)])
+            );
+        case 'array':
+            return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => mockStructuredValue(schema.items));
+        case 'number':
+        case 'integer':
+            return 1;
+        case 'boolean':
+            return true;
+        default:
+            return 'mock';
+    }
+}
+
+/**
+ * Split a reply into stream chunks (word-sized, keeping whitespace)
+ */
+export function splitTokens(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Hash-based pseudo embedding - stable for identical input
+ */
+export function mockEmbedding(text = '') {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+        let hash = 2166136261;
+        for (let i = 0; i < word.length; i++) {
+            hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+        }
+        vector[Math.abs(hash) % EMBEDDING_DIMENSIONS] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+}
+
+/**
+ * Rough token count for usage reporting
+ */
+export function countTokens(text = '') {
+    return Math.ceil(text.length / 4);
+}
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Per-token delay, configurable with MOCK_TOKEN_DELAY_MS
+ */
+export const TOKEN_DELAY_MS = parseInt(process.env.MOCK_TOKEN_DELAY_MS) || 30;
@@ -1,49 +1,78 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import {
   Menu, User, Sparkles, MessageSquare,
-  Paperclip, Download, ArrowRight
+  Paperclip, Download, ArrowRight, Square, BookOpen, Wrench, Pencil, RefreshCw
 } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import CodeBlock from './components/CodeBlock';
 import Sidebar from './components/Sidebar';
 import FileUploadModal from './components/FileUploadModal';
+import ModelManager from './components/ModelManager';
+import CompareView from './components/CompareView';
+import PersonaManager from './components/PersonaManager';
+import TelemetryDashboard from './components/TelemetryDashboard';
+import FeedbackView from './components/FeedbackView';
+import Library from './components/Library/Library';
+import LibraryUpload from './components/Library/LibraryUpload';
+import LibraryService from './services/Library';
+import MessageFeedback from './components/MessageFeedback';
+import MessageDetails from './components/MessageDetails';
+import ToolTrace from './components/ToolTrace';
+import SlashCommandMenu from './components/SlashCommandMenu';
+import BranchSwitcher, { MessageEditForm } from './components/BranchControls';
 import ContextSettings, { SourceReferenceDisplay } from './components/ContextSettings';
-import { buildFileContext, extractSourceReferences } from './services/FileProcessor';
+import { extractSourceReferences } from './services/FileProcessor';
 import CommandPalette from './components/CommandPalette';
-import aiService from './services/AIService';
+import aiService, { ERROR_TYPES, PRIORITIES } from './services/AIService';
+import healthMonitor, { HEALTH_STATES } from './services/HealthMonitor';
+import semanticSearch from './services/SemanticSearch';
+import toolRegistry from './services/ToolRegistry';
+import { getPersonas, BUILT_IN_PERSONAS, DEFAULT_PERSONA_ID } from './services/Personas';
+import {
+  listConversations, getConversation, saveConversation, migrateLegacyThread,
+  renameConversation, setConversationArchived, setConversationStarred, deleteConversation,
+  getBranchInfo, forkBranch, switchBranch, importConversation
+} from './services/Conversations';
+import { rateReply, removeRating } from './services/Feedback';
+import { parseSlashCommand, resolveSlashCommand, getSlashSuggestions } from './services/SlashCommands';
+import { TRUST_LEVELS, strictestTrust } from './services/ContentGuard';
+import { renderTemplate, mergeWithDefaults } from './templates/templateUtils';
+import { generateId } from './services/DatabaseService';
 import ExportService from './services/ExportService';
 import VoiceInputButton from './components/VoiceInputButton';
+import { useSetting } from './hooks/useDatabase';
 
 // --- CONFIGURATION ---
 const DEFAULT_MODEL = "llama3.2";
-const STORAGE_KEY = "devsavvy_current_thread";
+const ACTIVE_CONVERSATION_KEY = "devsavvy_active_conversation";
 
-// Custom Hook for LocalStorage
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error(error);
-      return initialValue;
-    }
-  });
+// Thread changes are written to IndexedDB once they settle (e.g. after streaming)
+const SAVE_DELAY_MS = 500;
 
-  const setValue = (value) => {
-    try {
-      setStoredValue(currentValue => {
-        const valueToStore = value instanceof Function ? value(currentValue) : value;
-        window.localStorage.setItem(key, JSON.stringify(valueToStore));
-        return valueToStore;
-      });
-    } catch (error) {
-      console.error(error);
-    }
-  };
+// Whether the thread state differs from what was last loaded or saved
+const threadChanged = (saved, thread) =>
+  !saved || Object.keys(thread).some(key => thread[key] !== saved[key]);
 
-  return [storedValue, setValue];
+// Document tasks for the uploaded files, run per file
+const DOCUMENT_TASKS = {
+  summarize: { label: 'Summarize', run: (content, options) => aiService.summarize(content, options) },
+  keypoints: { label: 'List the key points of', run: (content, options) => aiService.extractKeyPoints(content, options) }
+};
+
+const EXPORT_FORMATS = [
+  { id: 'markdown', label: 'Export as Markdown' },
+  { id: 'json', label: 'Export as JSON' },
+  { id: 'html', label: 'Export as HTML' }
+];
+
+// Conversation open when the app was last closed
+const readActiveConversationId = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(ACTIVE_CONVERSATION_KEY));
+  } catch {
+    return null;
+  }
 };
 
 // Professional Feature Card
@@ -57,23 +86,65 @@ const FEATURE_CARD = {
 
 function App() {
   // State
-  const [messages, setMessages] = useLocalStorage(STORAGE_KEY, []);
+  const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [taskProgress, setTaskProgress] = useState(null);
   const [showSidebar, setShowSidebar] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState("Connecting...");
   const [model, setModel] = useState(DEFAULT_MODEL);
   const [availableModels, setAvailableModels] = useState([]);
   const [isDemoMode, setIsDemoMode] = useState(false);
+  const [health, setHealth] = useState(healthMonitor.status);
+  const [modelParams, setModelParams] = useState({});
+  const [compareModels, setCompareModels] = useState([]);
+  const [compareParallel, setCompareParallel] = useState(false);
+
+  // Persona State (system prompt per conversation)
+  const [personas, setPersonas] = useState(BUILT_IN_PERSONAS);
+  const [personaId, setPersonaId] = useState(DEFAULT_PERSONA_ID);
+  const [promptOverride, setPromptOverride] = useState(null);
+  const [showPersonaManager, setShowPersonaManager] = useState(false);
+  const [providerType, setProviderType, isProviderLoading] = useSetting('aiProvider', aiService.getProviderType());
+
+  // Conversation State (thread messages, params, persona and override are stored per conversation)
+  const [conversationId, setConversationId] = useState(readActiveConversationId);
+  const [conversations, setConversations] = useState([]);
+  const [isThreadRestored, setIsThreadRestored] = useState(false);
+  const [branchTree, setBranchTree] = useState(null); // Every version of the thread; messages is the shown branch
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  // Request Queue State
+  const [aiConcurrency, setAiConcurrency] = useSetting('aiConcurrency', aiService.queue.concurrency);
+  const [queueStatus, setQueueStatus] = useState(() => aiService.queue.getStatus());
+  const [queuePosition, setQueuePosition] = useState(0); // Of the pending chat request; 0 once it runs
 
   // File Upload State
   const [showUploadModal, setShowUploadModal] = useState(false);
+  const [showModelManager, setShowModelManager] = useState(false);
+  const [showTelemetry, setShowTelemetry] = useState(false);
+  const [showFeedback, setShowFeedback] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showLibraryUpload, setShowLibraryUpload] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  // Slash Command State
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [slashMenuDismissed, setSlashMenuDismissed] = useState(false);
+  const [slashNotice, setSlashNotice] = useState(null);
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [canSeeImages, setCanSeeImages] = useState(false);
 
   // Context-Aware Chat State
   const [sourceOnlyMode, setSourceOnlyMode] = useState(false);
   const [showContextSettings, setShowContextSettings] = useState(false);
   const [referencedSources, setReferencedSources] = useState([]);
+  const [useLibrary, setUseLibrary] = useSetting('libraryRetrieval', false);
+
+  // Tool Calling State
+  const [useTools, setUseTools] = useSetting('chatTools', false);
+  const [toolConfirm, setToolConfirm] = useState(null); // { id, resolve } of the step awaiting approval
 
   // Mode State
   const [activeMode, setActiveMode] = useState('chat');
@@ -84,6 +155,11 @@ function App() {
   // Refs
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const healthStateRef = useRef(null);
+  const savedThreadRef = useRef(null); // Thread state last loaded or saved
+  const restoreIdRef = useRef(conversationId);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -95,39 +171,158 @@ function App() {
     }
   }, [messages, isLoading, activeMode]);
 
-  // Auto-detect available models or enable demo mode
-  const checkConnection = useCallback(async () => {
-    try {
-      setConnectionStatus("Connecting...");
-
-      // Use centralized AI service
-      const result = await aiService.checkConnection();
-
-      if (result.connected) {
-        setAvailableModels(result.models || []);
-        setModel(result.selectedModel);
-        setConnectionStatus("Ready");
+  // Follow backend health: leave or enter demo mode as the backend comes and goes
+  useEffect(() => {
+    return healthMonitor.subscribe((status) => {
+      const previousState = healthStateRef.current;
+      healthStateRef.current = status.state;
+      setHealth(status);
+
+      if (status.state === HEALTH_STATES.HEALTHY) {
+        setAvailableModels(status.models);
+        setModel(status.selectedModel);
         setIsDemoMode(false);
-        console.log(`Connected to Ollama. Model: ${result.selectedModel}`);
-      } else {
-        console.warn("Ollama not available. Enabling demo mode.");
+        if (previousState !== HEALTH_STATES.HEALTHY) {
+          setConnectionStatus("Ready");
+          console.log(`Connected to ${aiService.getProviderType()}. Model: ${status.selectedModel}`);
+        }
+      } else if (status.state === HEALTH_STATES.CHECKING) {
+        setConnectionStatus("Connecting...");
+      } else if (status.errorType === ERROR_TYPES.OUT_OF_MEMORY) {
+        // Backend is up; only this model is too large
+        setConnectionStatus("Out of Memory");
+      } else if (previousState !== status.state || status.failures === 1) {
+        console.warn(`AI backend unavailable (${status.errorType}). Enabling demo mode.`);
         setAvailableModels([]);
-        setConnectionStatus("Demo Mode");
+        setConnectionStatus(status.state === HEALTH_STATES.DEGRADED ? "No Models" : "Demo Mode");
         setIsDemoMode(true);
         setModel("demo");
       }
-    } catch (e) {
-      console.warn("Ollama not available. Enabling demo mode.", e.message);
-      setAvailableModels([]);
-      setConnectionStatus("Demo Mode");
-      setIsDemoMode(true);
-      setModel("demo");
-    }
+    });
+  }, []);
+
+  // Connect with this workspace's provider once its setting has loaded
+  useEffect(() => {
+    if (isProviderLoading) return;
+    aiService.setProvider(providerType);
+    healthMonitor.start();
+    healthMonitor.checkNow();
+  }, [providerType, isProviderLoading]);
+
+  useEffect(() => () => healthMonitor.stop(), []);
+
+  useEffect(() => aiService.queue.subscribe(setQueueStatus), []);
+
+  useEffect(() => {
+    aiService.setConcurrency(aiConcurrency);
+  }, [aiConcurrency]);
+
+  const loadPersonas = useCallback(() => {
+    getPersonas()
+      .then(setPersonas)
+      .catch(error => console.error("Failed to load personas:", error));
+  }, []);
+
+  useEffect(() => {
+    loadPersonas();
+  }, [loadPersonas]);
+
+  const refreshConversations = useCallback(() => {
+    listConversations()
+      .then(setConversations)
+      .catch(error => console.error("Failed to load conversations:", error));
+  }, []);
+
+  // Show a stored conversation; its state counts as saved
+  const applyConversation = useCallback((conversation) => {
+    const thread = {
+      messages: conversation?.messages || [],
+      tree: conversation?.tree || null,
+      params: conversation?.params || {},
+      personaId: conversation?.personaId || DEFAULT_PERSONA_ID,
+      promptOverride: conversation?.promptOverride ?? null
+    };
+    savedThreadRef.current = thread;
+    setMessages(thread.messages);
+    setBranchTree(thread.tree);
+    setEditingIndex(null);
+    setModelParams(thread.params);
+    setPersonaId(thread.personaId);
+    setPromptOverride(thread.promptOverride);
   }, []);
 
+  const persistThread = useCallback((id, thread) => {
+    savedThreadRef.current = thread;
+    return saveConversation(id, thread)
+      .then(refreshConversations)
+      .catch(error => console.error("Failed to save conversation:", error));
+  }, [refreshConversations]);
+
+  // Reopen the last conversation (or the thread kept in localStorage by earlier versions)
   useEffect(() => {
-    checkConnection();
-  }, [checkConnection]);
+    let cancelled = false;
+
+    migrateLegacyThread()
+      .then(migratedId => getConversation(migratedId || restoreIdRef.current))
+      .then(conversation => {
+        if (cancelled) return;
+        applyConversation(conversation);
+        setConversationId(conversation?.id || null);
+      })
+      .catch(error => console.error("Failed to restore conversation:", error))
+      .finally(() => !cancelled && setIsThreadRestored(true));
+    refreshConversations();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [applyConversation, refreshConversations]);
+
+  useEffect(() => {
+    window.localStorage.setItem(ACTIVE_CONVERSATION_KEY, JSON.stringify(conversationId));
+  }, [conversationId]);
+
+  // Save the open conversation whenever its thread changes
+  useEffect(() => {
+    if (!isThreadRestored || !conversationId) return;
+
+    const thread = { messages, tree: branchTree, params: modelParams, personaId, promptOverride };
+    if (!threadChanged(savedThreadRef.current, thread)) return;
+
+    const timer = setTimeout(() => persistThread(conversationId, thread), SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isThreadRestored, conversationId, messages, branchTree, modelParams, personaId, promptOverride, persistThread]);
+
+  // Vision models get attached images themselves, not just their metadata
+  useEffect(() => {
+    if (isDemoMode) {
+      setCanSeeImages(false);
+      return;
+    }
+
+    let cancelled = false;
+    aiService.supportsVision(model)
+      .then(supported => !cancelled && setCanSeeImages(supported))
+      .catch(() => !cancelled && setCanSeeImages(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [model, isDemoMode]);
+
+  const imageFiles = uploadedFiles.filter(f => f.type?.startsWith('image/') && f.preview);
+
+  const activePersona = personas.find(p => p.id === personaId) || personas[0];
+  const systemPrompt = promptOverride ?? activePersona.systemPrompt;
+  const branchInfo = getBranchInfo(branchTree, messages.length);
+  const conversationTitle = conversations.find(c => c.id === conversationId)?.title || 'DevSavvy Chat';
+
+  const slashContext = {
+    documents: uploadedFiles.filter(f => f.extractedContent),
+    models: availableModels,
+    personas
+  };
+  const slashSuggestions = getSlashSuggestions(input, slashContext);
+  const showSlashMenu = !!slashSuggestions && !slashMenuDismissed && !isLoading;
 
   useEffect(() => {
     if (messages.length > 0 && window.innerWidth > 1024) {
@@ -138,225 +333,520 @@ function App() {
     }
   }, [activeMode, messages.length]);
 
-  const handleSend = async (customMessage = null) => {
+  // The first message of a new thread starts a conversation (saved by the effect above)
+  const ensureConversation = () => {
+    if (!conversationId) {
+      setConversationId(generateId('conv'));
+    }
+  };
+
+  // `history` replaces the thread before the message (editing an earlier one);
+  // the other options override the chat context for this message (see generateReply)
+  const handleSend = async (customMessage = null, { images = null, history = null, ...context } = {}) => {
     const messageText = customMessage || input;
     if (!messageText.trim()) return;
 
-    // Build file context using the professional service
-    let fileContext = '';
-    if (uploadedFiles.length > 0) {
-      fileContext = buildFileContext(uploadedFiles, {
-        sourceOnlyMode: sourceOnlyMode,
-        maxContentLength: 4000
-      });
+    // Typed slash commands run their pipeline instead of being sent
+    if (!customMessage && messageText.trimStart().startsWith('/')) {
+      handleSlashCommand(messageText);
+      return;
     }
 
-    // Create user message (visible to user without file context)
-    const userMsg = { role: 'user', content: messageText };
+    // Attached images go along when the model can see them (data URLs, per request only);
+    // when comparing, AIService.compare() sends them to the vision models among the compared
+    const isComparing = (context.compareWith ?? compareModels).filter(m => availableModels.includes(m)).length > 1;
+    const sentImages = images ?? (canSeeImages || isComparing ? imageFiles : []);
+
+    // Create user message (file context is injected by AIService)
+    const userMsg = {
+      role: 'user',
+      content: messageText,
+      timestamp: new Date().toISOString(),
+      ...(sentImages.length > 0 && { imageNames: sentImages.map(f => f.name) })
+    };
 
-    const newMessages = [...messages, userMsg];
+    const newMessages = [...(history ?? messages), userMsg];
+    ensureConversation();
     setMessages(newMessages);
     setInput("");
+    await generateReply(newMessages, { images: sentImages, ...context });
+  };
+
+  // Answer the last (user) message of `newMessages`, appending the reply as it streams.
+  // Files, source-only mode, library search and compared models default to the chat's settings
+  const generateReply = async (newMessages, {
+    images: sentImages = [],
+    files = uploadedFiles,
+    sourceOnly = sourceOnlyMode,
+    searchLibrary = useLibrary,
+    compareWith = compareModels
+  } = {}) => {
+    const messageText = newMessages[newMessages.length - 1].content;
+    const startedAt = Date.now();
+
+    // Recorded on the reply so the thread shows exactly which prompt, model and context were used
+    const promptInfo = {
+      timestamp: new Date(startedAt).toISOString(),
+      model,
+      persona: activePersona.name,
+      systemPrompt,
+      promptOverridden: promptOverride !== null,
+      params: modelParams,
+      contextFiles: files.map(f => f.name)
+    };
+
     setIsLoading(true);
     setReferencedSources([]);
 
-    // Demo mode - simulate AI response
-    if (isDemoMode) {
-      setConnectionStatus("Demo Mode");
-      await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 700));
+    // Without a backend, AIService answers from the offline demo provider
+    setConnectionStatus(isDemoMode ? "Demo Mode" : "Processing...");
 
-      const demoResponse = generateDemoResponse(messageText, uploadedFiles);
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: demoResponse,
-        referencedSources: []
-      }]);
+    // Placeholder assistant message that fills in as tokens stream
+    setMessages(prev => [...prev, { role: 'assistant', content: '', referencedSources: [], ...promptInfo }]);
 
-      setIsLoading(false);
-      return;
-    }
+    const updateAssistantMessage = (updates) => {
+      setMessages(prev => {
+        const next = [...prev];
+        next[next.length - 1] = { ...next[next.length - 1], ...updates };
+        return next;
+      });
+    };
 
-    // Real API call
-    setConnectionStatus("Processing...");
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
-    // Create system-enhanced message for API (includes file context)
-    const systemPrompt = {
-      role: 'system',
-      content: `You are DevSavvy, an intelligent coding assistant. 
-      - Always format your responses using clean, readable Markdown.
-      - Use code blocks with language identifiers for code (e.g., \`\`\`javascript).
-      - Use bolding for key terms and headers for sections.
-      - If explaining code, break it down step-by-step.
-      - Be concise. Avoid unnecessary conversational filler.
-      - Adapt your technical level to the user's question. If the user asks a simple question, give a simple answer.
-      - If you don't know the answer, admit it. Do not make up information.`
-    };
+    try {
+      // Retrieve the most relevant Library chunks, indexing new documents first
+      let excerpts = [];
+      if (searchLibrary && !isDemoMode) {
+        setConnectionStatus("Searching library...");
+        try {
+          excerpts = await semanticSearch.search(messageText, {
+            signal: controller.signal,
+            priority: PRIORITIES.INTERACTIVE,
+            onProgress: setTaskProgress
+          });
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            console.warn("Library search failed:", error);
+            updateAssistantMessage({ retrievalError: error.message });
+          }
+        } finally {
+          setTaskProgress(null);
+          setConnectionStatus("Processing...");
+        }
+      }
 
-    const messageForAPI = {
-      role: 'user',
-      content: fileContext
-        ? `${messageText}\n\n${fileContext}`
-        : messageText
-    };
+      // Compare mode: the same prompt and context go to every selected model
+      const comparing = compareWith.filter(m => availableModels.includes(m));
+      if (comparing.length > 1) {
+        setIsStreaming(true);
+        updateAssistantMessage({ compare: comparing.map(name => ({ model: name, status: 'queued', content: '' })) });
+
+        const updateEntry = (name, updates) => {
+          setMessages(prev => {
+            const next = [...prev];
+            const last = next[next.length - 1];
+            next[next.length - 1] = {
+              ...last,
+              compare: last.compare.map(entry => entry.model === name ? { ...entry, ...updates } : entry)
+            };
+            return next;
+          });
+        };
 
-    // Limit history to last 10 messages for performance
-    const recentMessages = messages.slice(-10);
-    const messagesForAPI = [systemPrompt, ...recentMessages, messageForAPI];
+        await aiService.compare(newMessages, comparing, {
+          systemPrompt,
+          files,
+          sourceOnlyMode: sourceOnly,
+          excerpts,
+          images: sentImages.map(f => f.preview),
+          params: modelParams,
+          parallel: compareParallel,
+          stream: true,
+          signal: controller.signal,
+          priority: PRIORITIES.INTERACTIVE,
+          onStart: (name, { imagesDropped }) => updateEntry(name, {
+            status: 'running',
+            notice: imagesDropped ? `${name} can't see images - sent the text only` : null
+          }),
+          onToken: (name, token, contentSoFar) => updateEntry(name, { content: contentSoFar }),
+          onResult: (name, { result, latencyMs, firstTokenMs }) => {
+            healthMonitor.report(result);
+            updateEntry(name, {
+              status: result.success ? 'done' : (result.aborted || result.timedOut ? 'stopped' : 'error'),
+              content: result.content || '',
+              error: result.success ? null : result.hint,
+              stats: result.stats || null,
+              excerpts: result.excerpts,
+              latencyMs,
+              firstTokenMs
+            });
+          }
+        });
 
-    try {
-      const response = await fetch('/ollama/api/chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: model,
-          messages: messagesForAPI,
-          stream: false
-        })
-      });
+        setConnectionStatus("Ready");
+        return;
+      }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API Error (${response.status}): ${errorText || response.statusText}`);
+      const chatOptions = {
+        systemPrompt,
+        files,
+        sourceOnlyMode: sourceOnly,
+        excerpts,
+        images: sentImages.map(f => f.preview),
+        params: modelParams,
+        stream: true,
+        signal: controller.signal,
+        priority: PRIORITIES.INTERACTIVE,
+        onQueue: setQueuePosition,
+        demo: true,
+        onToken: (token, contentSoFar) => {
+          setIsStreaming(true);
+          updateAssistantMessage({ content: contentSoFar });
+        }
+      };
+
+      // With tools on, the assistant may act on the app; mutating actions wait for approval
+      const result = useTools
+        ? await aiService.chatWithTools(newMessages, {
+          ...chatOptions,
+          registry: toolRegistry,
+          onTrace: (toolTrace) => {
+            setIsStreaming(true);
+            updateAssistantMessage({ content: '', toolTrace });
+          },
+          confirm: (step) => new Promise(resolve => setToolConfirm({ id: step.id, resolve }))
+        })
+        : await aiService.chat(newMessages, chatOptions);
+      healthMonitor.report(result);
+
+      // Stopped by the user or timed out - keep whatever was generated
+      if (result.aborted || result.timedOut) {
+        setConnectionStatus(result.timedOut ? "Timed Out" : "Ready");
+        updateAssistantMessage({
+          content: result.content
+            ? `${result.content}\n\n*${result.hint}*`
+            : `*${result.hint}*`,
+          stopped: true
+        });
+        return;
       }
 
-      const data = await response.json();
-      setConnectionStatus("Connected");
+      if (!result.success) {
+        if (result.isDemo) {
+          throw new Error(result.error);
+        }
 
-      if (data.message) {
-        // Extract source references from AI response
-        const sources = extractSourceReferences(data.message.content);
-        setReferencedSources(sources);
+        // Backend is up but refused the request - explain instead of faking a reply
+        setConnectionStatus("Error");
+        updateAssistantMessage({
+          content: `${result.content ? `${result.content}\n\n` : ''}**⚠️ ${result.hint}**\n\n\`${result.error}\``,
+          errorType: result.errorType
+        });
+        return;
+      }
 
-        // Store sources with the message for display
-        const enrichedMessage = {
-          ...data.message,
-          referencedSources: sources
-        };
+      setConnectionStatus(result.isDemo ? "Demo Mode" : "Connected");
 
-        setMessages(prev => [...prev, enrichedMessage]);
+      // Extract source references from AI response
+      const sources = extractSourceReferences(result.content);
+      setReferencedSources(sources);
 
-        // Auto-expand context settings if sources were cited
-        if (sources.length > 0) {
-          setShowContextSettings(true);
-        }
-      } else if (data.error) {
-        throw new Error(data.error);
-      } else {
-        throw new Error("Invalid response format");
+      // Store sources and eval stats with the message for display
+      updateAssistantMessage({
+        content: result.content,
+        model: result.model,
+        referencedSources: sources,
+        excerpts: result.excerpts,
+        stats: result.stats,
+        contextReport: result.contextReport
+      });
+
+      // Auto-expand context settings if sources were cited
+      if (sources.length > 0) {
+        setShowContextSettings(true);
       }
 
     } catch (error) {
       console.error("Connection Error:", error);
-      // Fall back to demo mode on error
+      // Fall back to demo mode when the backend is unreachable
       setConnectionStatus("Demo Mode (Fallback)");
       setIsDemoMode(true);
 
-      const demoResponse = generateDemoResponse(messageText, uploadedFiles);
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: demoResponse,
+      updateAssistantMessage({
+        content: `**⚠️ Lost the connection to the AI backend.** Replies come from the offline demo until it is back.\n\n\`${error.message}\``,
         referencedSources: []
-      }]);
+      });
     } finally {
+      updateAssistantMessage({ durationMs: Date.now() - startedAt });
+      abortControllerRef.current = null;
+      setQueuePosition(0);
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
-  // Generate demo responses based on user input
-  const generateDemoResponse = (userMessage, files) => {
-    const msg = userMessage.toLowerCase();
+  // Answer the pending tool approval (Deny when generation is stopped)
+  const handleToolConfirm = (approved) => {
+    toolConfirm?.resolve(approved);
+    setToolConfirm(null);
+  };
 
-    // Check if there are uploaded files
-    if (files.length > 0) {
-      const file = files[0];
-      const content = file.extractedContent || file.content || '';
-      const contentPreview = content ? content.substring(0, 300) + '...' : 'No text content extracted.';
-      const wordCount = content ? content.split(/\s+/).length : 0;
-
-      return `### 📄 Analysis of **${file.name}**\n\n` +
-        `**File Stats:**\n` +
-        `- **Size:** ${(file.size / 1024).toFixed(2)} KB\n` +
-        `- **Words:** ${wordCount}\n` +
-        `- **Type:** ${file.type}\n\n` +
-        `**Content Preview:**\n` +
-        `> ${contentPreview.replace(/\n/g, '\n> ')}\n\n` +
-        `**Simulated Insights (Demo Mode):**\n` +
-        `1. This document appears to contain **${wordCount > 1000 ? 'detailed' : 'brief'}** information.\n` +
-        `2. Key topics typically found in this type of file include specifications, requirements, or documentation.\n` +
-        `3. To get a *real* AI summary and semantic Q&A, please ensure **Ollama** is running locally.\n\n` +
-        `*(You can retry the connection by clicking the status indicator in the sidebar)*`;
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+    handleToolConfirm(false);
+  };
+
+  // Editing an earlier message sends it as a new version; the thread below it moves to the old one
+  const handleEditMessage = (index, content) => {
+    if (isLoading || !content.trim()) return;
+
+    const fork = forkBranch(branchTree, messages, index);
+    setBranchTree(fork.tree);
+    setEditingIndex(null);
+    handleSend(content, { images: [], history: fork.messages });
+  };
+
+  // A new version of the reply at `index`; the previous ones stay reachable
+  const handleRegenerate = (index) => {
+    if (isLoading || messages[index - 1]?.role !== 'user') return;
+
+    const fork = forkBranch(branchTree, messages, index);
+    setBranchTree(fork.tree);
+    setMessages(fork.messages);
+    generateReply(fork.messages);
+  };
+
+  const handleSwitchBranch = (index, offset) => {
+    if (isLoading) return;
+
+    const branch = switchBranch(branchTree, messages, index, offset);
+    setBranchTree(branch.tree);
+    setMessages(branch.messages);
+    setEditingIndex(null);
+  };
+
+  // Ratings stay on the message and go into the evaluation dataset (see Feedback.js)
+  const handleRateMessage = async (index, rating, comment = '') => {
+    const msg = messages[index];
+
+    try {
+      let feedback = null;
+      if (rating) {
+        feedback = await rateReply({
+          messages,
+          index,
+          rating,
+          comment,
+          conversationId,
+          conversationTitle,
+          id: msg.feedback?.id
+        });
+      } else if (msg.feedback) {
+        await removeRating(msg.feedback.id);
+      }
+      setMessages(prev => prev.map(m => m === msg ? { ...m, feedback } : m));
+    } catch (error) {
+      console.error("Failed to save rating:", error);
     }
+  };
 
-    // Code-related responses
-    if (msg.includes('code') || msg.includes('function') || msg.includes('javascript') || msg.includes('python')) {
-      return `Here's an example of what I can help you with:\n\n` +
-        `\`\`\`javascript\n// Example: A simple utility function\nfunction greet(name) {\n  return \`Hello, \${name}! Welcome to DevSavvy.\`;\n}\n\nconsole.log(greet('Developer'));\n\`\`\`\n\n` +
-        `In full mode with Ollama connected, I can:\n` +
-        `- Generate complete code solutions\n` +
-        `- Debug your existing code\n` +
-        `- Explain complex algorithms\n` +
-        `- Convert between programming languages`;
+  // A rating removed from the dataset view no longer shows on its message
+  const handleFeedbackRemoved = (id) => {
+    setMessages(prev => prev.map(m => m.feedback?.id === id ? { ...m, feedback: null } : m));
+  };
+
+  // Replace a comparison with the chosen reply so the thread continues from it
+  const handlePromote = (index, entry) => {
+    setMessages(prev => prev.map((msg, i) => i !== index ? msg : {
+      role: 'assistant',
+      content: entry.content,
+      timestamp: msg.timestamp,
+      model: entry.model,
+      durationMs: entry.latencyMs,
+      stats: entry.stats,
+      excerpts: entry.excerpts,
+      persona: msg.persona,
+      systemPrompt: msg.systemPrompt,
+      promptOverridden: msg.promptOverridden,
+      params: msg.params,
+      contextFiles: msg.contextFiles,
+      comparedWith: msg.compare.map(e => e.model).filter(name => name !== entry.model)
+    }));
+  };
+
+  // Switching persona applies its prompt, default model and params to this conversation
+  const handleSelectPersona = (id) => {
+    const persona = personas.find(p => p.id === id);
+    if (!persona) return;
+
+    setPersonaId(id);
+    setPromptOverride(null);
+    if (persona.model && availableModels.includes(persona.model)) {
+      setModel(persona.model);
+      aiService.setModel(persona.model);
     }
+    if (Object.keys(persona.params).length > 0) {
+      setModelParams(persona.params);
+    }
+  };
+
+  // Image attachment actions (vision models only)
+  const handleDescribeImage = (file) => {
+    if (isLoading) return;
+    handleSend(`Describe the image "${file.name}" in detail, including any text, diagrams or charts in it.`, { images: [file] });
+  };
 
-    // Explain-related responses
-    if (msg.includes('explain') || msg.includes('what is') || msg.includes('how does')) {
-      return `Great question! In demo mode, I'll give you a brief overview.\n\n` +
-        `**DevSavvy** is an AI-powered knowledge workspace that helps you:\n\n` +
-        `1. 📄 **Process Documents** - Upload and analyze PDFs, images, and more\n` +
-        `2. 🎨 **Create on Canvas** - Visual brainstorming with AI assistance\n` +
-        `3. 🎬 **Extract from Videos** - Get insights from YouTube content\n` +
-        `4. 🔗 **Parse URLs** - Extract and summarize web content\n\n` +
-        `*Connect to Ollama for full AI-powered explanations!*`;
+  const handleAskAboutImage = (file) => {
+    setInput(`About the image "${file.name}": `);
+    inputRef.current?.focus();
+  };
+
+  // Add a request and a reply that `run` fills in ({ signal, updateAssistantMessage }), for tasks
+  // that are not a chat turn
+  const runChatTask = async (request, reply, run) => {
+    const startedAt = Date.now();
+    const timestamp = new Date(startedAt).toISOString();
+    ensureConversation();
+    setMessages(prev => [
+      ...prev,
+      { role: 'user', content: request, timestamp },
+      { role: 'assistant', content: '', referencedSources: [], timestamp, model, params: modelParams, ...reply }
+    ]);
+    setIsLoading(true);
+    setConnectionStatus("Processing...");
+
+    const updateAssistantMessage = (updates) => {
+      setMessages(prev => {
+        const next = [...prev];
+        next[next.length - 1] = { ...next[next.length - 1], ...updates };
+        return next;
+      });
+    };
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      await run({ signal: controller.signal, updateAssistantMessage });
+    } finally {
+      updateAssistantMessage({ durationMs: Date.now() - startedAt });
+      abortControllerRef.current = null;
+      setTaskProgress(null);
+      setIsLoading(false);
     }
+  };
 
-    // Debug-related responses
-    if (msg.includes('debug') || msg.includes('error') || msg.includes('fix')) {
-      return `I'd love to help debug! Here's how I can assist:\n\n` +
-        `**Common Debugging Steps:**\n` +
-        `1. Check console for error messages\n` +
-        `2. Verify variable types and values\n` +
-        `3. Review recent code changes\n` +
-        `4. Test with simplified inputs\n\n` +
-        `Share your code when connected to Ollama, and I'll provide specific fixes!`;
+  // Summarize the uploaded files (or list their key points); long documents go through
+  // map-reduce with progress. Results are cached per file content and settings; `refresh` regenerates them
+  const handleDocumentTask = async (task = 'summarize', { documents = null, refresh = false } = {}) => {
+    const docs = documents?.length > 0 ? documents : uploadedFiles.filter(f => f.extractedContent);
+    if (isLoading) return;
+    if (docs.length === 0) {
+      setShowUploadModal(true);
+      return;
     }
 
-    // Help/introduction
-    if (msg.includes('help') || msg.includes('hello') || msg.includes('hi') || msg.includes('start')) {
-      return `👋 **Welcome to DevSavvy!**
+    const { label, run } = DOCUMENT_TASKS[task];
+    const request = `${label} ${docs.map(f => f.name).join(', ')}`;
+    if (isDemoMode) {
+      handleSend(request);
+      return;
+    }
 
-I'm running in **Demo Mode** right now. Here's what you can explore:
+    await runChatTask(request, { documentTask: task, contextFiles: docs.map(f => f.name) }, async ({ signal, updateAssistantMessage }) => {
+      const parts = [];
+      const sections = [];
+      const cachedFiles = [];
+
+      for (const file of docs) {
+        const result = await run(file.extractedContent, {
+          title: file.name,
+          trust: file.trust,
+          params: modelParams,
+          refreshCache: refresh,
+          signal,
+          onProgress: (progress) => setTaskProgress({ ...progress, file: file.name })
+        });
+
+        // A cached result says nothing about the backend
+        if (result.cached) {
+          cachedFiles.push(file.name);
+        } else {
+          healthMonitor.report(result);
+        }
 
-| Feature | Status |
-|:--------|:-------|
-| 💬 Chat Interface | ✅ Working |
-| 📁 File Upload | ✅ Working |
-| 🎨 Canvas | ✅ Working |
-| 📝 Documents | ✅ Working |
-| 🤖 AI Responses | ⚠️ Demo Only |
+        if (!result.success) {
+          setConnectionStatus(result.aborted ? "Ready" : result.timedOut ? "Timed Out" : "Error");
+          parts.push(result.aborted || result.timedOut
+            ? `*${result.hint}*`
+            : `**⚠️ ${result.hint || result.error}**`);
+          break;
+        }
 
-**To enable full AI:**
+        setConnectionStatus("Connected");
+        parts.push(docs.length > 1 ? `### ${file.name}\n\n${result.content}` : result.content);
+        sections.push(...(result.sections || []).map(section => ({ ...section, file: file.name })));
+      }
 
-1. Install [Ollama](https://ollama.ai)
-2. Run: \`ollama run llama3.2\`
-3. Refresh this page
+      updateAssistantMessage({ content: parts.join('\n\n'), sections, cachedFiles });
+    });
+  };
 
-Try asking me about code, explanations, or debugging!`;
-    }
+  // Fill a document template (see src/templates) from documents and/or notes and show it rendered
+  const handleTemplateTask = async ({ template, variant, documents = [], notes = '' }) => {
+    if (isLoading) return;
+
+    const from = [notes && 'notes', ...documents.map(f => f.name)].filter(Boolean).join(', ');
+    const sourceText = [notes, ...documents.map(f => `${f.name}:\n${f.extractedContent}`)].filter(Boolean).join('\n\n');
+
+    await runChatTask(`Fill the ${template.name} template (${variant}) from ${from}`, {
+      contextFiles: documents.map(f => f.name)
+    }, async ({ signal, updateAssistantMessage }) => {
+      const result = await aiService.fillTemplateFields(template.fields, sourceText, {
+        templateName: template.name,
+        // Notes are typed by the user; documents bring their own trust level
+        trust: documents.length > 0 ? strictestTrust(documents.map(f => f.trust)) : TRUST_LEVELS.TRUSTED,
+        params: modelParams,
+        signal,
+        // Offline, the demo provider fills in sample values; those must not be cached
+        ...(isDemoMode && { demo: true, cache: false })
+      });
+      if (!result.cached) healthMonitor.report(result);
+
+      if (!result.success) {
+        setConnectionStatus(result.aborted ? "Ready" : result.timedOut ? "Timed Out" : "Error");
+        updateAssistantMessage({
+          content: result.aborted || result.timedOut ? `*${result.hint}*` : `**⚠️ ${result.hint || result.error}**`
+        });
+        return;
+      }
+
+      setConnectionStatus(result.isDemo ? "Demo Mode" : "Connected");
+      updateAssistantMessage({
+        content: renderTemplate(
+          template.structure[variant] || Object.values(template.structure)[0],
+          mergeWithDefaults(result.data, template, variant)
+        ),
+        model: result.model || model,
+        stats: result.stats
+      });
+    });
+  };
 
-    // Default response
-    return `Thanks for your message! I'm currently in **Demo Mode**.\n\n` +
-      `Your query: *"${userMessage}"*\n\n` +
-      `In demo mode, I provide sample responses to showcase the interface. ` +
-      `For full AI capabilities including:\n\n` +
-      `- 🧠 Intelligent code generation\n` +
-      `- 📖 Document analysis\n` +
-      `- 💡 Creative brainstorming\n` +
-      `- 🔍 Deep explanations\n\n` +
-      `Please connect Ollama by running \`ollama run llama3.2\` in your terminal.`;
+  // Write pending changes of the open conversation before leaving it
+  const flushThread = () => {
+    const thread = { messages, tree: branchTree, params: modelParams, personaId, promptOverride };
+    return conversationId && threadChanged(savedThreadRef.current, thread)
+      ? persistThread(conversationId, thread)
+      : Promise.resolve();
   };
 
-  const handleNewThread = useCallback(() => {
-    setMessages([]);
+  // Show a conversation (null for a new thread) with fresh chat context
+  const openConversation = (conversation) => {
+    applyConversation(conversation);
+    setConversationId(conversation?.id || null);
     setInput("");
     setUploadedFiles([]);
     setSourceOnlyMode(false);
@@ -365,18 +855,209 @@ Try asking me about code, explanations, or debugging!`;
     if (activeMode === 'chat') {
       inputRef.current?.focus();
     }
-  }, [activeMode, setMessages, setInput, setUploadedFiles, setSourceOnlyMode, setShowContextSettings, setReferencedSources]);
+  };
+
+  // Like switching, a new thread waits for the current reply (see handleSelectConversation)
+  const handleNewThread = () => {
+    if (isLoading) return;
+
+    flushThread();
+    openConversation(null);
+  };
+
+  // Switching waits for the current reply; it would otherwise land in the other conversation
+  const handleSelectConversation = async (id) => {
+    if (id === conversationId || isLoading) return;
+
+    await flushThread();
+    const conversation = await getConversation(id);
+    if (conversation) {
+      openConversation(conversation);
+    } else {
+      refreshConversations();
+    }
+  };
 
+  const handleExportConversation = (format) => {
+    setShowExportMenu(false);
+    if (format === 'json') {
+      ExportService.downloadChatJSON(messages, conversationTitle, model);
+    } else if (format === 'html') {
+      ExportService.downloadChatHTML(messages, conversationTitle);
+    } else {
+      ExportService.downloadChatMarkdown(messages, conversationTitle);
+    }
+  };
+
+  // A JSON export comes back as a new conversation, metadata included
+  const handleImportConversation = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    setShowExportMenu(false);
+    if (!file || isLoading) return;
+
+    try {
+      const conversation = await importConversation(ExportService.parseChatJSON(await file.text()));
+      await flushThread();
+      openConversation(conversation);
+      refreshConversations();
+    } catch (error) {
+      alert(`Import failed: ${error.message}`);
+    }
+  };
+
+  const handleRenameConversation = (id, title) => {
+    renameConversation(id, title)
+      .then(refreshConversations)
+      .catch(error => console.error("Failed to rename conversation:", error));
+  };
+
+  const handleArchiveConversation = (id) => {
+    const conversation = conversations.find(c => c.id === id);
+    setConversationArchived(id, !conversation?.archived)
+      .then(refreshConversations)
+      .catch(error => console.error("Failed to archive conversation:", error));
+  };
+
+  const handleStarConversation = (id) => {
+    const conversation = conversations.find(c => c.id === id);
+    setConversationStarred(id, !conversation?.starred)
+      .then(refreshConversations)
+      .catch(error => console.error("Failed to star conversation:", error));
+  };
+
+  const handleDeleteConversation = async (id) => {
+    if (id === conversationId && isLoading) return;
+    if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+    try {
+      await deleteConversation(id);
+      if (id === conversationId) {
+        openConversation(null);
+      }
+      refreshConversations();
+    } catch (error) {
+      console.error("Failed to delete conversation:", error);
+    }
+  };
+
+  // The upload list does not know about trust levels set here; keep them
   const handleFilesChange = (files) => {
-    setUploadedFiles(files);
+    // The upload modal reports its own files; documents added from the Library stay
+    setUploadedFiles(prev => [
+      ...prev.filter(file => file.fromLibrary),
+      ...files.map(file => ({
+        ...file,
+        trust: prev.find(p => p.id === file.id)?.trust ?? file.trust
+      }))
+    ]);
     // Auto-show context settings when files are uploaded
     if (files.length > 0) {
       setShowContextSettings(true);
     }
   };
 
+  // "Add to Chat" in the Library attaches the document like an uploaded file
+  const handleAddLibraryDocument = (doc) => {
+    setUploadedFiles(prev => prev.some(file => file.id === doc.id) ? prev : [...prev, {
+      id: doc.id,
+      name: doc.name,
+      type: doc.metadata?.mimeType || 'text/plain',
+      size: doc.metadata?.fileSize || 0,
+      status: 'complete',
+      extractedContent: doc.content,
+      preview: doc.imageData,
+      scan: doc.scan,
+      trust: doc.trust,
+      fromLibrary: true
+    }]);
+    setShowContextSettings(true);
+    setShowLibrary(false);
+  };
+
+  // What happens to content flagged by the injection scanner (see ContentGuard)
+  const handleFileTrustChange = (index, trust) => {
+    setUploadedFiles(prev => prev.map((file, i) => (i === index ? { ...file, trust } : file)));
+  };
+
   // Handle Command Palette actions
-  const handleCommand = useCallback((action) => {
+  // Slash commands run real pipelines (see services/SlashCommands.js); problems show above the input
+  const handleSlashCommand = (text) => {
+    const action = resolveSlashCommand(parseSlashCommand(text), slashContext);
+    if (action.error) {
+      setSlashNotice(action.error);
+      return;
+    }
+
+    setInput("");
+    setSlashNotice(null);
+    switch (action.type) {
+      case 'document-task':
+        handleDocumentTask(action.task, { documents: action.documents });
+        break;
+      case 'ask':
+        handleSend(`About ${action.document.name}: ${action.question}`, {
+          files: [action.document],
+          sourceOnly: true,
+          searchLibrary: false,
+          compareWith: []
+        });
+        break;
+      case 'template':
+        handleTemplateTask(action);
+        break;
+      case 'compare':
+        handleSend(action.prompt, { compareWith: action.models });
+        break;
+      case 'model':
+        setModel(action.model);
+        aiService.setModel(action.model);
+        break;
+      case 'persona':
+        handleSelectPersona(action.persona.id);
+        break;
+      case 'export':
+        if (messages.length === 0) {
+          setSlashNotice('Nothing to export yet.');
+          return;
+        }
+        handleExportConversation(action.format);
+        break;
+      case 'new':
+        handleNewThread();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Autocomplete: Tab (or Enter on a command name) takes the highlighted suggestion
+  const handleInputKeyDown = (e) => {
+    const items = showSlashMenu ? slashSuggestions.items : [];
+    if (items.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSlashIndex(i => (i + step + items.length) % items.length);
+        return;
+      }
+      if (e.key === 'Tab' || (e.key === 'Enter' && !slashSuggestions.command)) {
+        e.preventDefault();
+        setInput(items[Math.min(slashIndex, items.length - 1)].value);
+        setSlashIndex(0);
+        return;
+      }
+    }
+    if (e.key === 'Escape' && showSlashMenu) {
+      setSlashMenuDismissed(true);
+      return;
+    }
+    if (e.key === 'Enter' && !isLoading) {
+      handleSend();
+    }
+  };
+
+  const handleCommand = (action) => {
     switch (action.type) {
       case 'ai-prompt':
         setInput(action.prompt);
@@ -388,6 +1069,8 @@ Try asking me about code, explanations, or debugging!`;
         const cmd = action.command;
         if (cmd.id === 'action-clear') {
           handleNewThread();
+        } else if (cmd.id === 'ai-summarize') {
+          handleDocumentTask('summarize');
         } else if (cmd.id === 'settings-theme') {
           // Theme toggle would go here
           console.log('Toggle theme');
@@ -397,7 +1080,7 @@ Try asking me about code, explanations, or debugging!`;
       default:
         break;
     }
-  }, [handleNewThread]);
+  };
 
   return (
     <div className="flex h-screen overflow-hidden bg-background text-primary selection:bg-accent/20 font-sans">
@@ -407,7 +1090,7 @@ Try asking me about code, explanations, or debugging!`;
         isOpen={showCommandPalette}
         onClose={() => setShowCommandPalette(false)}
         onCommand={handleCommand}
-        onModeChange={setActiveMode}
+        onModeChange={(mode) => (mode === 'library' ? setShowLibrary(true) : setActiveMode(mode))}
         onNewThread={handleNewThread}
         onUploadClick={() => {
           setShowCommandPalette(false);
@@ -425,6 +1108,51 @@ Try asking me about code, explanations, or debugging!`;
         onFilesChange={handleFilesChange}
       />
 
+      {/* MODEL MANAGER */}
+      <ModelManager
+        isOpen={showModelManager}
+        onClose={() => setShowModelManager(false)}
+        models={availableModels}
+        currentModel={model}
+        onModelsChanged={() => healthMonitor.checkNow()}
+      />
+
+      <PersonaManager
+        isOpen={showPersonaManager}
+        onClose={() => setShowPersonaManager(false)}
+        personas={personas}
+        activePersonaId={activePersona.id}
+        onSelect={handleSelectPersona}
+        onPersonasChange={loadPersonas}
+        models={availableModels}
+        promptOverride={promptOverride}
+        onPromptOverrideChange={setPromptOverride}
+      />
+
+      <FeedbackView
+        isOpen={showFeedback}
+        onClose={() => setShowFeedback(false)}
+        onRemoved={handleFeedbackRemoved}
+      />
+
+      <TelemetryDashboard
+        isOpen={showTelemetry}
+        onClose={() => setShowTelemetry(false)}
+      />
+
+      <Library
+        isOpen={showLibrary}
+        onClose={() => setShowLibrary(false)}
+        onAddToChat={handleAddLibraryDocument}
+        onUploadClick={() => setShowLibraryUpload(true)}
+      />
+
+      <LibraryUpload
+        isOpen={showLibraryUpload}
+        onClose={() => setShowLibraryUpload(false)}
+        onUpload={LibraryService.addFileDocument}
+      />
+
       {/* MODULAR SIDEBAR */}
       <Sidebar
         showSidebar={showSidebar}
@@ -441,7 +1169,36 @@ Try asking me about code, explanations, or debugging!`;
           aiService.setModel(newModel); // Ensure service is updated too
           console.log(`Model changed to: ${newModel}`);
         }}
-        onRetryConnection={checkConnection}
+        onRetryConnection={() => healthMonitor.checkNow()}
+        health={health}
+        onManageModels={() => setShowModelManager(true)}
+        providerType={providerType}
+        providers={aiService.getProviders()}
+        onProviderChange={setProviderType}
+        modelParams={modelParams}
+        onModelParamsChange={setModelParams}
+        compareModels={compareModels}
+        onCompareModelsChange={setCompareModels}
+        compareParallel={compareParallel}
+        onCompareParallelChange={setCompareParallel}
+        personas={personas}
+        activePersonaId={activePersona.id}
+        promptOverridden={promptOverride !== null}
+        onPersonaChange={handleSelectPersona}
+        onManagePersonas={() => setShowPersonaManager(true)}
+        onShowTelemetry={() => setShowTelemetry(true)}
+        onShowFeedback={() => setShowFeedback(true)}
+        onShowLibrary={() => setShowLibrary(true)}
+        concurrency={aiConcurrency}
+        onConcurrencyChange={setAiConcurrency}
+        queueStatus={queueStatus}
+        conversations={conversations}
+        activeConversationId={conversationId}
+        onSelectConversation={handleSelectConversation}
+        onRenameConversation={handleRenameConversation}
+        onArchiveConversation={handleArchiveConversation}
+        onStarConversation={handleStarConversation}
+        onDeleteConversation={handleDeleteConversation}
       />
 
       {/* MAIN CONTENT AREA */}
@@ -466,16 +1223,46 @@ Try asking me about code, explanations, or debugging!`;
 
                 <div className="flex items-center gap-3">
                   {/* Command Palette Button */}
-                  {/* Export Button - Only show when there are messages */}
-                  {messages.length > 0 && (
+                  {/* Export (with message metadata) and import of JSON exports */}
+                  <div className="relative">
                     <button
-                      onClick={() => ExportService.downloadChatMarkdown(messages, 'DevSavvy Chat')}
+                      onClick={() => setShowExportMenu(open => !open)}
                       className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
-                      title="Export conversation"
+                      title="Export or import conversation"
                     >
                       <Download size={18} />
                     </button>
-                  )}
+                    {showExportMenu && (
+                      <div
+                        className="absolute right-0 top-full mt-1 z-20 w-48 py-1 rounded-xl bg-white shadow-lg border border-black/10 text-sm animate-enter"
+                        onMouseLeave={() => setShowExportMenu(false)}
+                      >
+                        {messages.length > 0 && EXPORT_FORMATS.map(({ id, label }) => (
+                          <button
+                            key={id}
+                            onClick={() => handleExportConversation(id)}
+                            className="w-full px-3 py-2 text-left text-primary hover:bg-black/5 transition-colors"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => importInputRef.current?.click()}
+                          disabled={isLoading}
+                          className="w-full px-3 py-2 text-left text-primary hover:bg-black/5 transition-colors disabled:opacity-50"
+                        >
+                          Import JSON export...
+                        </button>
+                      </div>
+                    )}
+                    <input
+                      ref={importInputRef}
+                      type="file"
+                      accept=".json,application/json"
+                      className="hidden"
+                      onChange={handleImportConversation}
+                    />
+                  </div>
 
                   <div className="w-8 h-8 rounded-full bg-surface-highlight border border-black/5 flex items-center justify-center">
                     <User size={16} className="text-secondary" />
@@ -525,7 +1312,7 @@ Try asking me about code, explanations, or debugging!`;
 
                   /* MESSAGES LIST */
                   <div className="max-w-3xl mx-auto py-8 space-y-10 pb-32">
-                    {messages.map((msg, idx) => (
+                    {messages.map((msg, idx) => msg.role === 'assistant' && !msg.content && !msg.compare && !msg.toolTrace ? null : (
                       <div
                         key={idx}
                         className={`flex gap-6 animate-enter ${msg.role === 'user' ? 'flex-row-reverse' : ''}`}
@@ -547,8 +1334,21 @@ Try asking me about code, explanations, or debugging!`;
                           <div className="font-serif font-medium text-sm text-secondary mb-1">
                             {msg.role === 'assistant' ? 'DevSavvy AI' : 'You'}
                           </div>
-                          {msg.role === 'assistant' ? (
+                          {msg.compare ? (
+                            <CompareView
+                              entries={msg.compare}
+                              disabled={isLoading}
+                              onPromote={(entry) => handlePromote(idx, entry)}
+                            />
+                          ) : msg.role === 'assistant' ? (
                             <div className="prose-clean bg-white p-6 rounded-2xl shadow-card border border-black/5 max-w-full overflow-hidden">
+                              {msg.toolTrace?.length > 0 && (
+                                <ToolTrace
+                                  steps={msg.toolTrace}
+                                  awaitingId={idx === messages.length - 1 ? toolConfirm?.id : null}
+                                  onRespond={handleToolConfirm}
+                                />
+                              )}
                               <ReactMarkdown
                                 remarkPlugins={[remarkGfm]}
                                 components={{
@@ -579,25 +1379,176 @@ Try asking me about code, explanations, or debugging!`;
                                   uploadedFiles={uploadedFiles}
                                 />
                               )}
+
+                              {/* Library chunks sent as context; cited ones first */}
+                              {msg.excerpts?.length > 0 && (
+                                <details className="mt-4 text-sm text-secondary">
+                                  <summary className="cursor-pointer text-[11px] text-secondary/60 hover:text-secondary">
+                                    Library sources ({msg.excerpts.filter(e => e.cited).length} cited of {msg.excerpts.length} retrieved)
+                                  </summary>
+                                  <div className="mt-2 space-y-3 border-l-2 border-black/5 pl-3">
+                                    {[...msg.excerpts].sort((a, b) => b.cited - a.cited).map(excerpt => (
+                                      <div key={excerpt.chunkId} className={excerpt.cited ? '' : 'opacity-60'}>
+                                        <div className="text-[11px] font-medium text-accent">
+                                          [Excerpt {excerpt.number}] {excerpt.documentName} • {excerpt.label} • {excerpt.score.toFixed(2)}
+                                        </div>
+                                        <div className="whitespace-pre-wrap line-clamp-4">{excerpt.text}</div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                </details>
+                              )}
+                              {msg.retrievalError && (
+                                <div className="mt-2 text-[11px] text-amber-600/80">
+                                  Library search unavailable: {msg.retrievalError}
+                                </div>
+                              )}
+
+                              {/* Generation Stats */}
+                              {msg.stats && (
+                                <div className="mt-4 text-[11px] text-secondary/60">
+                                  {msg.stats.completionTokens} tokens • {msg.stats.tokensPerSecond} tok/s • {(msg.stats.totalDurationMs / 1000).toFixed(1)}s
+                                </div>
+                              )}
+                              {msg.cachedFiles?.length > 0 && (
+                                <div className="mt-4 text-[11px] text-secondary/60">
+                                  ⚡ Cached summary of {msg.cachedFiles.join(', ')}
+                                  {idx === messages.length - 1 && !isLoading && (
+                                    <button
+                                      onClick={() => handleDocumentTask(msg.documentTask, {
+                                        refresh: true,
+                                        documents: uploadedFiles.filter(f => f.extractedContent && msg.contextFiles?.includes(f.name))
+                                      })}
+                                      className="ml-2 text-accent hover:underline"
+                                    >
+                                      Regenerate
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                              {msg.systemPrompt && (
+                                <details className="mt-1 text-[11px] text-secondary/60">
+                                  <summary className="cursor-pointer hover:text-secondary">
+                                    System prompt: {msg.persona}{msg.promptOverridden ? ' (overridden)' : ''}
+                                  </summary>
+                                  <pre className="mt-1 p-2 rounded-lg bg-black/5 whitespace-pre-wrap font-mono">{msg.systemPrompt}</pre>
+                                </details>
+                              )}
+                              {msg.comparedWith?.length > 0 && (
+                                <div className="mt-1 text-[11px] text-secondary/60">
+                                  {msg.model} answer, chosen over {msg.comparedWith.join(', ')}
+                                </div>
+                              )}
+
+                              {/* Per-section notes from map-reduce summarization */}
+                              {msg.sections?.length > 0 && (
+                                <details className="mt-4 text-sm text-secondary">
+                                  <summary className="cursor-pointer text-[11px] text-secondary/60 hover:text-secondary">
+                                    Section summaries ({msg.sections.length})
+                                  </summary>
+                                  <div className="mt-2 space-y-3 border-l-2 border-black/5 pl-3">
+                                    {msg.sections.map((section, i) => (
+                                      <div key={i}>
+                                        <div className="text-[11px] font-medium text-accent">
+                                          [{section.label}]{section.file ? ` • ${section.file}` : ''}
+                                        </div>
+                                        <div className="whitespace-pre-wrap">{section.content}</div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                </details>
+                              )}
+
+                              {/* Context trimmed to fit the model's window */}
+                              {msg.contextReport?.notes?.length > 0 && (
+                                <div className="mt-2 text-[11px] text-amber-600/80" title={`~${msg.contextReport.totalTokens} of ${msg.contextReport.numCtx} tokens used`}>
+                                  Context trimmed: {msg.contextReport.notes.join(' ')}
+                                </div>
+                              )}
                             </div>
+                          ) : editingIndex === idx ? (
+                            <MessageEditForm
+                              initialValue={msg.content}
+                              disabled={isLoading}
+                              onSubmit={(content) => handleEditMessage(idx, content)}
+                              onCancel={() => setEditingIndex(null)}
+                            />
                           ) : (
                             <div className="inline-block bg-surface-highlight px-6 py-4 rounded-2xl text-primary text-base leading-relaxed border border-black/5 text-left">
                               {msg.content}
+                              {msg.imageNames?.length > 0 && (
+                                <div className="mt-2 text-[11px] text-secondary/70">
+                                  🖼 {msg.imageNames.join(', ')}
+                                </div>
+                              )}
+                            </div>
+                          )}
+
+                          {/* Details and versions of this message; editing or regenerating adds a version */}
+                          {editingIndex !== idx && !(isLoading && idx === messages.length - 1) && (
+                            <div className={`flex items-center gap-2 mt-1.5 min-h-[20px] ${msg.role === 'user' ? 'justify-end' : ''}`}>
+                              <MessageDetails message={msg} align={msg.role === 'user' ? 'right' : 'left'} />
+                              <BranchSwitcher
+                                index={branchInfo[idx].index}
+                                count={branchInfo[idx].count}
+                                disabled={isLoading}
+                                onSwitch={(offset) => handleSwitchBranch(idx, offset)}
+                              />
+                              {!isLoading && msg.role === 'user' && (
+                                <button
+                                  onClick={() => setEditingIndex(idx)}
+                                  className="p-1 rounded text-secondary/50 hover:text-primary hover:bg-black/5 transition-colors"
+                                  title="Edit and resend (keeps this version)"
+                                >
+                                  <Pencil size={13} />
+                                </button>
+                              )}
+                              {msg.role === 'assistant' && !msg.compare && msg.content && (
+                                <MessageFeedback
+                                  key={msg.feedback?.id ?? 'unrated'}
+                                  feedback={msg.feedback}
+                                  disabled={isLoading}
+                                  onRate={(rating, comment) => handleRateMessage(idx, rating, comment)}
+                                />
+                              )}
+                              {!isLoading && msg.role === 'assistant' && messages[idx - 1]?.role === 'user' && !msg.sections && (
+                                <button
+                                  onClick={() => handleRegenerate(idx)}
+                                  className="p-1 rounded text-secondary/50 hover:text-primary hover:bg-black/5 transition-colors"
+                                  title="Regenerate (keeps this version)"
+                                >
+                                  <RefreshCw size={13} />
+                                </button>
+                              )}
                             </div>
                           )}
                         </div>
                       </div>
                     ))}
 
-                    {isLoading && (
+                    {isLoading && !isStreaming && (
                       <div className="flex gap-6 animate-enter">
                         <div className="w-10 h-10 rounded-full bg-white shrink-0 flex items-center justify-center shadow-sm border border-black/5">
                           <Sparkles size={18} className="text-accent animate-spin" />
                         </div>
-                        <div className="bg-white p-6 rounded-2xl shadow-card border border-black/5 flex items-center gap-2">
+                        <div className="bg-white p-6 rounded-2xl shadow-card border border-black/5 flex flex-col gap-2">
                           <span className="text-sm text-secondary animate-pulse">
-                            {sourceOnlyMode ? 'Analyzing sources...' : 'Thinking...'}
+                            {taskProgress
+                              ? (taskProgress.phase === 'index'
+                                ? `Indexing ${taskProgress.label} for library search (${taskProgress.completed + 1}/${taskProgress.total})...`
+                                : `${taskProgress.phase === 'map' ? 'Summarizing' : 'Combining'} ${taskProgress.label} of ${taskProgress.file} (${taskProgress.completed + 1}/${taskProgress.total})...`)
+                              : queuePosition > 0
+                                ? `Waiting for the model (#${queuePosition} in queue)...`
+                                : (sourceOnlyMode ? 'Analyzing sources...' : 'Thinking...')}
                           </span>
+                          {taskProgress && (
+                            <div className="h-1 w-48 rounded-full bg-black/5 overflow-hidden">
+                              <div
+                                className="h-full bg-accent transition-all"
+                                style={{ width: `${Math.round((taskProgress.completed / taskProgress.total) * 100)}%` }}
+                              />
+                            </div>
+                          )}
                         </div>
                       </div>
                     )}
@@ -620,10 +1571,27 @@ Try asking me about code, explanations, or debugging!`;
                         referencedSources={referencedSources}
                         isExpanded={showContextSettings}
                         onToggleExpand={() => setShowContextSettings(!showContextSettings)}
+                        canSeeImages={canSeeImages}
+                        onDescribeImage={handleDescribeImage}
+                        onAskAboutImage={handleAskAboutImage}
+                        onTrustChange={handleFileTrustChange}
                       />
                     </div>
                   )}
 
+                  {(showSlashMenu || slashNotice) && (
+                    <SlashCommandMenu
+                      suggestions={showSlashMenu ? slashSuggestions : null}
+                      activeIndex={slashIndex}
+                      notice={slashNotice}
+                      onSelect={(item) => {
+                        setInput(item.value);
+                        setSlashIndex(0);
+                        inputRef.current?.focus();
+                      }}
+                    />
+                  )}
+
                   <div className="float-input flex items-center p-2 pl-4">
                     {/* Attachment Button */}
                     <button
@@ -637,15 +1605,44 @@ Try asking me about code, explanations, or debugging!`;
                       <Paperclip size={18} />
                     </button>
 
+                    {/* Library Retrieval Toggle */}
+                    <button
+                      onClick={() => setUseLibrary(!useLibrary)}
+                      className={`p-2 rounded-lg transition-colors mr-2 ${useLibrary
+                        ? 'text-accent bg-accent/10'
+                        : 'text-subtle hover:text-secondary hover:bg-black/5'
+                        }`}
+                      title={useLibrary ? 'Answering from your Library (click to turn off)' : 'Answer from your Library'}
+                    >
+                      <BookOpen size={18} />
+                    </button>
+
+                    {/* Tool Calling Toggle */}
+                    <button
+                      onClick={() => setUseTools(!useTools)}
+                      className={`p-2 rounded-lg transition-colors mr-2 ${useTools
+                        ? 'text-accent bg-accent/10'
+                        : 'text-subtle hover:text-secondary hover:bg-black/5'
+                        }`}
+                      title={useTools ? 'Assistant can use app tools (click to turn off)' : 'Let the assistant search, open documents and add Canvas nodes'}
+                    >
+                      <Wrench size={18} />
+                    </button>
+
                     <input
                       ref={inputRef}
                       type="text"
                       value={input}
-                      onChange={(e) => setInput(e.target.value)}
-                      onKeyDown={(e) => e.key === 'Enter' && !isLoading && handleSend()}
+                      onChange={(e) => {
+                        setInput(e.target.value);
+                        setSlashIndex(0);
+                        setSlashMenuDismissed(false);
+                        setSlashNotice(null);
+                      }}
+                      onKeyDown={handleInputKeyDown}
                       placeholder={uploadedFiles.length > 0
                         ? (sourceOnlyMode ? 'Ask about your sources...' : 'Ask about your files...')
-                        : `Message ${model}...`}
+                        : `Message ${model}, or type / for commands...`}
                       disabled={isLoading}
                       className="flex-1 bg-transparent border-none outline-none text-primary placeholder-subtle text-base py-3"
                     />
@@ -655,21 +1652,31 @@ Try asking me about code, explanations, or debugging!`;
                       onTranscript={(text) => setInput(prev => prev + (prev ? ' ' : '') + text)}
                     />
 
-                    <button
-                      onClick={() => handleSend()}
-                      disabled={isLoading || !input.trim()}
-                      className="p-3 bg-primary text-white rounded-xl hover:bg-secondary transition-colors disabled:opacity-50 disabled:cursor-not-allowed shadow-md"
-                    >
-                      <ArrowRight size={20} />
-                    </button>
+                    {isLoading ? (
+                      <button
+                        onClick={handleStop}
+                        className="p-3 bg-red-500 text-white rounded-xl hover:bg-red-600 transition-colors shadow-md"
+                        title="Stop generating"
+                      >
+                        <Square size={20} />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => handleSend()}
+                        disabled={isLoading || !input.trim()}
+                        className="p-3 bg-primary text-white rounded-xl hover:bg-secondary transition-colors disabled:opacity-50 disabled:cursor-not-allowed shadow-md"
+                      >
+                        <ArrowRight size={20} />
+                      </button>
+                    )}
                   </div>
                   <div className="text-center mt-3">
                     <span className="text-[11px] text-secondary/60 bg-white/50 backdrop-blur px-2 py-1 rounded-full border border-black/5">
                       {uploadedFiles.length > 0
                         ? (sourceOnlyMode
                           ? `🔒 Source-Only Mode • ${uploadedFiles.length} files`
-                          : `${uploadedFiles.length} files ready • AI will use as context`)
-                        : `Powered by ${model} • Press Enter to send`
+                          : `${uploadedFiles.length} files ready • AI will use as context${imageFiles.length > 0 && !canSeeImages ? ` • ${model} can't see images` : ''}`)
+                        : `Powered by ${model}${useLibrary ? ' • Searching your Library' : ''}${useTools ? ' • Tools on' : ''} • Press Enter to send`
                       }
                     </span>
                   </div>
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+/**
+ * BranchSwitcher - Steps through the versions of a message (edited
+ * questions, regenerated replies). Hidden while there is only one.
+ */
+const BranchSwitcher = ({ index, count, onSwitch, disabled = false }) => {
+    if (count < 2) return null;
+
+    return (
+        <span className="inline-flex items-center gap-0.5 text-[11px] text-secondary/70 tabular-nums">
+            <button
+                onClick={() => onSwitch(-1)}
+                disabled={disabled || index === 0}
+                className="p-0.5 rounded hover:bg-black/5 hover:text-primary transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                title="Previous version"
+            >
+                <ChevronLeft size={14} />
+            </button>
+            {index + 1} / {count}
+            <button
+                onClick={() => onSwitch(1)}
+                disabled={disabled || index === count - 1}
+                className="p-0.5 rounded hover:bg-black/5 hover:text-primary transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                title="Next version"
+            >
+                <ChevronRight size={14} />
+            </button>
+        </span>
+    );
+};
+
+/**
+ * MessageEditForm - Inline editor for an earlier user message; saving
+ * sends the text as a new version of it.
+ */
+export const MessageEditForm = ({ initialValue = '', onSubmit, onCancel, disabled = false }) => {
+    const [value, setValue] = useState(initialValue);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onSubmit(value);
+        } else if (e.key === 'Escape') {
+            onCancel();
+        }
+    };
+
+    return (
+        <div className="bg-surface-highlight p-3 rounded-2xl border border-black/10 text-left">
+            <textarea
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={Math.min(Math.max(value.split('\n').length, 2), 10)}
+                className="w-full bg-transparent resize-none text-base text-primary leading-relaxed focus:outline-none"
+                autoFocus
+            />
+            <div className="flex justify-end gap-2 mt-2 text-sm">
+                <button
+                    onClick={onCancel}
+                    className="px-3 py-1.5 rounded-lg text-secondary hover:bg-black/5 transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={() => onSubmit(value)}
+                    disabled={disabled || !value.trim()}
+                    className="px-3 py-1.5 rounded-lg bg-primary text-white hover:bg-primary/90 transition-colors disabled:opacity-50"
+                >
+                    Save & Send
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default BranchSwitcher;
@@ -8,7 +8,6 @@
  */
 
 import React, { useState, useMemo } from 'react';
-import { AnimatePresence } from 'framer-motion';
 import {
     MessageSquare, Plus, Search, Trash2, Edit2, Check, X,
     MoreHorizontal, Star, Archive, Clock, ChevronDown
@@ -46,7 +45,8 @@ const ChatHistory = ({
             const query = searchQuery.toLowerCase();
             filtered = filtered.filter(c =>
                 c.title?.toLowerCase().includes(query) ||
-                c.lastMessage?.toLowerCase().includes(query)
+                c.lastMessage?.toLowerCase().includes(query) ||
+                c.searchText?.includes(query)
             );
         }
 
@@ -116,15 +116,11 @@ const ChatHistory = ({
 
     // Render conversation item
     const renderConversation = (conv) => (
-        <motion.div
+        <div
             key={conv.id}
-            layout
-            initial={{ opacity: 0, x: -20 }}
-            animate={{ opacity: 1, x: 0 }}
-            exit={{ opacity: 0, x: -20 }}
             className={`
                 group relative rounded-lg cursor-pointer
-                transition-colors
+                transition-colors animate-enter
                 ${conv.id === activeId
                     ? 'bg-indigo-50 dark:bg-indigo-900/30 text-indigo-900 dark:text-indigo-100'
                     : 'hover:bg-neutral-100 dark:hover:bg-neutral-800'
@@ -230,7 +226,7 @@ const ChatHistory = ({
                     </div>
                 )}
             </div>
-        </motion.div>
+        </div>
     );
 
     // Render group
@@ -243,9 +239,7 @@ const ChatHistory = ({
                     {title}
                 </h3>
                 <div className="space-y-1">
-                    <AnimatePresence>
-                        {items.map(renderConversation)}
-                    </AnimatePresence>
+                    {items.map(renderConversation)}
                 </div>
             </div>
         );
@@ -254,19 +248,21 @@ const ChatHistory = ({
     return (
         <div className={`flex flex-col h-full ${className}`}>
             {/* Header */}
-            <div className="p-4 border-b border-neutral-200 dark:border-neutral-800">
-                <button
-                    onClick={onNew}
-                    className="w-full flex items-center justify-center gap-2 
-                              px-4 py-2.5 rounded-xl
-                              bg-indigo-600 hover:bg-indigo-700
-                              text-white text-sm font-medium
-                              transition-colors"
-                >
-                    <Plus size={18} />
-                    New Chat
-                </button>
-            </div>
+            {onNew && (
+                <div className="p-4 border-b border-neutral-200 dark:border-neutral-800">
+                    <button
+                        onClick={onNew}
+                        className="w-full flex items-center justify-center gap-2 
+                                  px-4 py-2.5 rounded-xl
+                                  bg-indigo-600 hover:bg-indigo-700
+                                  text-white text-sm font-medium
+                                  transition-colors"
+                    >
+                        <Plus size={18} />
+                        New Chat
+                    </button>
+                </div>
+            )}
 
             {/* Search */}
             <div className="p-3 border-b border-neutral-200 dark:border-neutral-800">
@@ -7,6 +7,7 @@ import {
     Clock, Cpu, FileCode, Folder, AlertCircle, Palette, RefreshCw,
     Save, Eye, ArrowRight, CornerDownLeft, ArrowUp, ArrowDown
 } from 'lucide-react';
+import { SLASH_COMMANDS } from '../services/SlashCommands';
 
 // Command categories
 const CATEGORIES = {
@@ -169,6 +170,24 @@ const CommandPalette = ({
                             </Command.Group>
                         )}
 
+                        {/* Puts the command in the chat input to fill in its arguments */}
+                        {page === 'ai' && (
+                            <Command.Group heading="Slash Commands">
+                                {SLASH_COMMANDS.map(command => (
+                                    <Command.Item
+                                        key={command.name}
+                                        value={`/${command.name} ${command.description}`}
+                                        onSelect={() => runCommand({ type: 'ai-prompt', prompt: `/${command.name} ` })}
+                                        className="cmd-item"
+                                    >
+                                        <ComIcon className="w-4 h-4 mr-2" />
+                                        <span className="font-mono mr-2">/{command.name}</span>
+                                        <span className="text-xs text-gray-400 truncate">{command.description}</span>
+                                    </Command.Item>
+                                ))}
+                            </Command.Group>
+                        )}
+
                         {page === 'files' && (
                             <Command.Group heading="Files">
                                 {files.map(file => (
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Loader2, ArrowUpRight, Clock, AlertTriangle } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Generating...',
+    done: 'Done',
+    stopped: 'Stopped',
+    error: 'Failed'
+};
+
+const formatMs = (ms) => (ms == null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+/**
+ * CompareView - Replies from several models to one prompt, side by side.
+ * Each column shows latency and token counts; a finished reply can be
+ * promoted into the thread as the answer.
+ */
+const CompareView = ({ entries = [], onPromote, disabled = false }) => (
+    <div className={`grid gap-3 ${entries.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {entries.map((entry) => (
+            <div key={entry.model} className="flex flex-col bg-white rounded-2xl shadow-card border border-black/5 overflow-hidden min-w-0">
+                {/* Header */}
+                <div className="flex items-center justify-between px-4 py-2.5 border-b border-black/5 bg-surface/50">
+                    <span className="text-sm font-medium text-primary truncate" title={entry.model}>{entry.model}</span>
+                    <span className={`flex items-center gap-1 text-[11px] ${entry.status === 'error' ? 'text-red-600' : 'text-secondary/70'}`}>
+                        {entry.status === 'running' && <Loader2 size={12} className="animate-spin" />}
+                        {entry.status === 'error' && <AlertTriangle size={12} />}
+                        {STATUS_LABELS[entry.status]}
+                    </span>
+                </div>
+
+                {entry.notice && (
+                    <div className="px-4 py-1.5 border-b border-black/5 text-[11px] text-amber-700 bg-amber-50">{entry.notice}</div>
+                )}
+
+                {/* Reply */}
+                <div className="prose-clean flex-1 p-4 text-sm max-h-[28rem] overflow-y-auto">
+                    {entry.content ? (
+                        <ReactMarkdown remarkPlugins={[remarkGfm]}>{entry.content}</ReactMarkdown>
+                    ) : entry.status === 'queued' ? (
+                        <span className="text-secondary/60">Waiting for the previous model...</span>
+                    ) : null}
+                    {entry.error && (
+                        <p className="mt-2 text-xs text-red-600">{entry.error}</p>
+                    )}
+                </div>
+
+                {/* Stats & promote */}
+                <div className="flex items-center justify-between gap-2 px-4 py-2.5 border-t border-black/5 text-[11px] text-secondary/70">
+                    <span className="flex items-center gap-1" title="Time to first token / total latency">
+                        <Clock size={12} />
+                        {formatMs(entry.firstTokenMs)} / {formatMs(entry.latencyMs)}
+                        {entry.stats && ` • ${entry.stats.promptTokens} in / ${entry.stats.completionTokens} out • ${entry.stats.tokensPerSecond} tok/s`}
+                    </span>
+                    {entry.status === 'done' && (
+                        <button
+                            onClick={() => onPromote?.(entry)}
+                            disabled={disabled}
+                            className="flex items-center gap-1 px-2 py-1 rounded-lg text-accent hover:bg-accent/10 transition-colors disabled:opacity-50"
+                            title="Use this reply as the answer in the thread"
+                        >
+                            <ArrowUpRight size={12} />
+                            Use this
+                        </button>
+                    )}
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+export default CompareView;
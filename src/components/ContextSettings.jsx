@@ -2,9 +2,11 @@ import React, { useState } from 'react';
 import {
     FileText, Lock, Unlock, Settings, ChevronDown,
     ChevronUp, BookOpen, Zap, Info, CheckCircle,
-    AlertTriangle, X, Eye
+    AlertTriangle, X, Eye, ScanEye, MessageCircleQuestion, ShieldAlert
 } from 'lucide-react';
 
+import { TRUST_LEVELS, TRUST_LABELS, describeScan } from '../services/ContentGuard';
+
 /**
  * Context Settings Panel
  * Provides controls for Source Only Mode and displays file references
@@ -15,7 +17,11 @@ const ContextSettings = ({
     onSourceOnlyModeChange,
     referencedSources = [],
     isExpanded,
-    onToggleExpand
+    onToggleExpand,
+    canSeeImages = false,
+    onDescribeImage,
+    onAskAboutImage,
+    onTrustChange
 }) => {
     const [showFilePreview, setShowFilePreview] = useState(null);
 
@@ -209,9 +215,41 @@ const ContextSettings = ({
                                                         • Cited in response
                                                     </span>
                                                 )}
+                                                {file.scan?.flagged && (
+                                                    <span
+                                                        className="flex items-center gap-0.5 text-[10px] text-red-600 font-medium"
+                                                        title={describeScan(file.scan)}
+                                                    >
+                                                        <ShieldAlert size={10} /> Flagged
+                                                    </span>
+                                                )}
                                             </div>
                                         </div>
 
+                                        {/* Image actions (vision models see the picture itself) */}
+                                        {file.type?.startsWith('image/') && file.preview && (onDescribeImage || onAskAboutImage) && (
+                                            <div className="flex items-center gap-1">
+                                                {[
+                                                    { label: 'Describe', icon: <ScanEye size={12} />, action: onDescribeImage },
+                                                    { label: 'Ask', icon: <MessageCircleQuestion size={12} />, action: onAskAboutImage }
+                                                ].filter(a => a.action).map(({ label, icon, action }) => (
+                                                    <button
+                                                        key={label}
+                                                        onClick={(e) => {
+                                                            e.stopPropagation();
+                                                            action(file);
+                                                        }}
+                                                        disabled={!canSeeImages}
+                                                        className="flex items-center gap-1 px-2 py-1 rounded-lg text-[11px] text-secondary hover:bg-black/5 hover:text-accent disabled:opacity-40 disabled:cursor-not-allowed"
+                                                        title={canSeeImages ? (label === 'Describe' ? 'Describe this image' : 'Answer a question about this image') : 'The current model cannot see images; switch to a vision model (e.g. llava)'}
+                                                    >
+                                                        {icon}
+                                                        {label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+
                                         {/* Preview Indicator */}
                                         <Eye size={14} className={`
                       transition-colors
@@ -237,6 +275,33 @@ const ContextSettings = ({
                                     <X size={14} />
                                 </button>
                             </div>
+                            {uploadedFiles[showFilePreview].scan?.flagged && (
+                                <div className="mb-2 p-3 rounded-xl bg-red-50 border border-red-200 text-xs text-red-700 space-y-1">
+                                    <div className="flex items-center gap-1.5 font-medium">
+                                        <ShieldAlert size={14} />
+                                        This file contains text that looks like instructions to the AI
+                                    </div>
+                                    {uploadedFiles[showFilePreview].scan.findings.slice(0, 3).map((finding, i) => (
+                                        <div key={i} className="text-red-600/80">
+                                            {finding.label}: <span className="font-mono">"{finding.excerpt}"</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            {onTrustChange && (
+                                <label className="mb-2 flex items-center justify-between gap-2 text-xs text-secondary">
+                                    Flagged content
+                                    <select
+                                        value={uploadedFiles[showFilePreview].trust || TRUST_LEVELS.STANDARD}
+                                        onChange={(e) => onTrustChange(showFilePreview, e.target.value)}
+                                        className="px-2 py-1 rounded-lg border border-black/10 bg-white text-xs"
+                                    >
+                                        {Object.values(TRUST_LEVELS).map(level => (
+                                            <option key={level} value={level}>{TRUST_LABELS[level]}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
                             <div className="p-3 bg-[#1e1e1e] rounded-xl text-xs text-gray-300 font-mono max-h-40 overflow-y-auto whitespace-pre-wrap">
                                 {uploadedFiles[showFilePreview].extractedContent?.substring(0, 1000) ||
                                     '[No content extracted]'}
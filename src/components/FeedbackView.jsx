@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { X, ThumbsUp, ThumbsDown, RefreshCw, Trash2, Loader2, Download } from 'lucide-react';
+
+import { RATINGS, listFeedback, removeRating, summarizeFeedback } from '../services/Feedback';
+import ExportService from '../services/ExportService';
+
+const RATING_FILTERS = [
+    { id: null, label: 'All' },
+    { id: RATINGS.UP, label: 'Good' },
+    { id: RATINGS.DOWN, label: 'Bad' }
+];
+
+const clip = (text = '', length = 220) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+/**
+ * FeedbackView - Rated replies as an evaluation dataset: approval per
+ * model and persona, the rated exchanges, and a JSONL export of the
+ * current selection
+ */
+const FeedbackView = ({ isOpen, onClose, onRemoved }) => {
+    const [records, setRecords] = useState(null);
+    const [rating, setRating] = useState(null);
+    const [model, setModel] = useState('');
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        listFeedback()
+            .then(result => {
+                if (cancelled) return;
+                setError(null);
+                setRecords(result);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(err.message);
+                setRecords([]);
+            });
+
+        return () => { cancelled = true; };
+    }, [isOpen, reloadKey]);
+
+    if (!isOpen) return null;
+
+    const reload = () => setReloadKey(key => key + 1);
+
+    const handleRemove = async (id) => {
+        try {
+            await removeRating(id);
+            onRemoved?.(id);
+            reload();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const models = [...new Set((records || []).map(r => r.model).filter(Boolean))];
+    const visible = (records || []).filter(r => (!rating || r.rating === rating) && (!model || r.model === model));
+    const summary = summarizeFeedback(records || []);
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4"
+            onClick={onClose}
+        >
+            {/* Backdrop */}
+            <div className="absolute inset-0 bg-black/40 backdrop-blur-sm animate-enter" />
+
+            {/* Modal */}
+            <div
+                className="relative w-full max-w-3xl max-h-[85vh] bg-background rounded-2xl shadow-2xl overflow-hidden animate-scale flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-black/5 bg-surface/50">
+                    <div className="flex items-center gap-3">
+                        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-emerald-500 to-teal-600 flex items-center justify-center shadow-lg">
+                            <ThumbsUp size={20} className="text-white" />
+                        </div>
+                        <div>
+                            <h2 className="font-serif text-lg font-semibold text-primary">
+                                Rated Replies
+                            </h2>
+                            <p className="text-xs text-secondary">
+                                Your ratings as an evaluation dataset • stored on this device only
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-1">
+                        <button
+                            onClick={() => ExportService.downloadFeedbackJSONL(visible)}
+                            disabled={visible.length === 0}
+                            className="flex items-center gap-1.5 px-3 py-2 rounded-lg hover:bg-black/5 text-sm text-secondary transition-colors disabled:opacity-40"
+                            title="Download the listed exchanges as JSONL"
+                        >
+                            <Download size={16} />
+                            JSONL
+                        </button>
+                        <button
+                            onClick={reload}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                            title="Refresh"
+                        >
+                            <RefreshCw size={18} />
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                    {error && (
+                        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+                    )}
+
+                    {!records ? (
+                        <div className="flex justify-center p-8">
+                            <Loader2 size={24} className="animate-spin text-gray-400" />
+                        </div>
+                    ) : records.length === 0 ? (
+                        <p className="text-sm text-secondary">
+                            No rated replies yet. Rate a reply with 👍 or 👎 in the chat to add it here.
+                        </p>
+                    ) : (
+                        <>
+                            {/* Approval per model and persona */}
+                            <div className="space-y-2">
+                                <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                                    By model and persona
+                                </h3>
+                                <div className="rounded-xl bg-white border border-gray-200 overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-xs text-gray-500 border-b border-gray-100">
+                                                <th className="text-left font-medium px-3 py-2">Model</th>
+                                                <th className="text-left font-medium px-3 py-2">Persona</th>
+                                                <th className="text-right font-medium px-3 py-2">👍 / 👎</th>
+                                                <th className="text-right font-medium px-3 py-2">Approval</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {summary.map(row => (
+                                                <tr key={`${row.model}/${row.persona}`} className="border-b border-gray-50 last:border-0">
+                                                    <td className="px-3 py-2 font-medium text-gray-900">{row.model || 'Unknown'}</td>
+                                                    <td className="px-3 py-2 text-gray-700">{row.persona || '—'}</td>
+                                                    <td className="px-3 py-2 text-right text-gray-700">{row.up} / {row.down}</td>
+                                                    <td className="px-3 py-2 text-right font-semibold text-gray-900">{Math.round(row.approval * 100)}%</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+
+                            {/* Filters */}
+                            <div className="flex flex-wrap items-center gap-3">
+                                <div className="flex gap-1 p-1 rounded-xl bg-black/5 w-fit">
+                                    {RATING_FILTERS.map(({ id, label }) => (
+                                        <button
+                                            key={label}
+                                            onClick={() => setRating(id)}
+                                            className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                                                id === rating ? 'bg-white text-blue-600 shadow-sm' : 'text-secondary hover:text-primary'
+                                            }`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                                {models.length > 1 && (
+                                    <select
+                                        value={model}
+                                        onChange={(e) => setModel(e.target.value)}
+                                        className="px-2 py-1.5 rounded-lg border border-gray-200 bg-white text-xs text-gray-700"
+                                    >
+                                        <option value="">All models</option>
+                                        {models.map(name => <option key={name} value={name}>{name}</option>)}
+                                    </select>
+                                )}
+                                <span className="text-xs text-secondary">{visible.length} exchanges</span>
+                            </div>
+
+                            {/* Rated exchanges */}
+                            <div className="space-y-3">
+                                {visible.map(record => (
+                                    <div key={record.id} className="rounded-xl bg-white border border-gray-200 p-4 text-sm space-y-2">
+                                        <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                                            <span className="flex items-center gap-1.5 min-w-0">
+                                                {record.rating === RATINGS.UP
+                                                    ? <ThumbsUp size={13} className="text-green-600 shrink-0" />
+                                                    : <ThumbsDown size={13} className="text-red-600 shrink-0" />}
+                                                <span className="truncate">
+                                                    {record.model || 'Unknown model'}{record.persona ? ` • ${record.persona}` : ''} • {new Date(record.ratedAt).toLocaleString()}
+                                                    {record.conversationTitle ? ` • ${record.conversationTitle}` : ''}
+                                                </span>
+                                            </span>
+                                            <button
+                                                onClick={() => handleRemove(record.id)}
+                                                className="p-1 rounded hover:bg-black/5 text-gray-400 hover:text-red-600 transition-colors shrink-0"
+                                                title="Remove this rating"
+                                            >
+                                                <Trash2 size={13} />
+                                            </button>
+                                        </div>
+                                        <div className="text-gray-900 font-medium whitespace-pre-wrap">{clip(record.prompt, 160)}</div>
+                                        <div className="text-gray-600 whitespace-pre-wrap">{clip(record.response)}</div>
+                                        {record.comment && (
+                                            <div className="text-xs text-gray-700 border-l-2 border-gray-200 pl-2 italic">{record.comment}</div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FeedbackView;
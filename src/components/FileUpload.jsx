@@ -429,6 +429,7 @@ const FileUpload = ({ onFilesChange, maxFiles = 10, className = '' }) => {
                             status: result.success ? 'complete' : 'error',
                             extractedContent: result.content,
                             contentMetadata: result.metadata,
+                            scan: result.scan,
                             error: result.success ? null : 'Failed to extract content'
                         }
                         : f
@@ -4,12 +4,18 @@
  * Full document preview modal with content display
  */
 
-import React from 'react';
-import { X, Plus, Download, Tag, Clock, FileText, ExternalLink } from 'lucide-react';
+import React, { useState } from 'react';
+import { X, Plus, Download, Tag, Clock, FileText, ExternalLink, Sparkles, Loader2, ScanEye, ArrowRight, ShieldAlert } from 'lucide-react';
 import { TYPE_CONFIG, formatRelativeDate } from './LibraryItem';
+import { TRUST_LEVELS, TRUST_LABELS, scanContent } from '../../services/ContentGuard';
 import { DocumentType } from '../../services/Library';
 
-const DocumentPreview = ({ document, onClose, onAddToChat, onDownload }) => {
+const DocumentPreview = ({
+    document, onClose, onAddToChat, onDownload, onAnalyze, analyzing = false, analyzeError = null, analyzeCachedAt = null,
+    onImageQuestion, imageAnswer = null, onTrustChange
+}) => {
+    const [question, setQuestion] = useState('');
+
     if (!document) return null;
 
     const config = TYPE_CONFIG[document.type] || TYPE_CONFIG[DocumentType.TEXT];
@@ -79,6 +85,11 @@ const DocumentPreview = ({ document, onClose, onAddToChat, onDownload }) => {
                                 AI Summary
                             </h4>
                             <p className="text-sm text-amber-900 leading-relaxed">{document.summary}</p>
+                            {analyzeCachedAt && (
+                                <p className="mt-2 text-[11px] text-amber-700/70">
+                                    ⚡ Cached result from {new Date(analyzeCachedAt).toLocaleString()} • Re-analyze to regenerate
+                                </p>
+                            )}
                         </div>
                     )}
 
@@ -99,6 +110,87 @@ const DocumentPreview = ({ document, onClose, onAddToChat, onDownload }) => {
                         </div>
                     )}
 
+                    {/* Entities */}
+                    {document.entities?.length > 0 && (
+                        <div className="p-4 rounded-2xl bg-sky-50 border border-sky-200">
+                            <h4 className="text-sm font-bold text-sky-800 mb-3">Entities</h4>
+                            <div className="flex flex-wrap gap-2">
+                                {document.entities.map((entity, i) => (
+                                    <span
+                                        key={i}
+                                        className="px-2.5 py-1 rounded-lg bg-white border border-sky-200 text-xs text-sky-900"
+                                        title={entity.type}
+                                    >
+                                        {entity.name}
+                                        <span className="ml-1.5 text-sky-500">{entity.type}</span>
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Image (vision models can describe it or answer questions about it) */}
+                    {document.imageData && (
+                        <div className="p-4 rounded-2xl bg-purple-50 border border-purple-200 space-y-3">
+                            <img src={document.imageData} alt={document.name} className="max-h-80 mx-auto rounded-xl" />
+                            {onImageQuestion && (
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => onImageQuestion(document)}
+                                        disabled={imageAnswer?.loading}
+                                        className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white border border-purple-200 text-sm text-purple-700 font-medium hover:bg-purple-100 transition-colors disabled:opacity-50 shrink-0"
+                                    >
+                                        <ScanEye size={14} />
+                                        {document.summary ? 'Describe again' : 'Describe this image'}
+                                    </button>
+                                    <form
+                                        className="flex-1 flex items-center gap-2"
+                                        onSubmit={(e) => {
+                                            e.preventDefault();
+                                            if (question.trim()) onImageQuestion(document, question.trim());
+                                        }}
+                                    >
+                                        <input
+                                            type="text"
+                                            value={question}
+                                            onChange={(e) => setQuestion(e.target.value)}
+                                            placeholder="Ask about this image..."
+                                            className="flex-1 px-3 py-2 rounded-xl bg-white border border-purple-200 text-sm outline-none focus:border-purple-400"
+                                        />
+                                        <button
+                                            type="submit"
+                                            disabled={imageAnswer?.loading || !question.trim()}
+                                            className="p-2 rounded-xl bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+                                        >
+                                            <ArrowRight size={16} />
+                                        </button>
+                                    </form>
+                                </div>
+                            )}
+                            {imageAnswer?.loading && (
+                                <p className="flex items-center gap-2 text-sm text-purple-700">
+                                    <Loader2 size={14} className="animate-spin" />
+                                    Looking at the image...
+                                </p>
+                            )}
+                            {imageAnswer?.content && (
+                                <div className="text-sm text-purple-900">
+                                    <p className="font-medium mb-1">{imageAnswer.question}</p>
+                                    <p className="whitespace-pre-wrap leading-relaxed">{imageAnswer.content}</p>
+                                </div>
+                            )}
+                            {imageAnswer?.error && (
+                                <p className="text-sm text-red-700">{imageAnswer.error}</p>
+                            )}
+                        </div>
+                    )}
+
+                    {analyzeError && (
+                        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">
+                            {analyzeError}
+                        </div>
+                    )}
+
                     {/* Source URL */}
                     {document.metadata?.sourceUrl && (
                         <a
@@ -112,6 +204,44 @@ const DocumentPreview = ({ document, onClose, onAddToChat, onDownload }) => {
                         </a>
                     )}
 
+                    {/* Injection scan (documents saved before scanning existed are scanned here) */}
+                    {(() => {
+                        const scan = document.scan || scanContent(document.content || '');
+                        return (
+                            <div className={`p-4 rounded-2xl border space-y-2 ${scan.flagged ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}`}>
+                                {scan.flagged && (
+                                    <>
+                                        <h4 className="text-sm font-bold text-red-800 flex items-center gap-2">
+                                            <ShieldAlert size={14} />
+                                            Contains text that looks like instructions to the AI
+                                        </h4>
+                                        <ul className="space-y-1">
+                                            {scan.findings.slice(0, 5).map((finding, i) => (
+                                                <li key={i} className="text-xs text-red-700">
+                                                    {finding.label}: <span className="font-mono">"{finding.excerpt}"</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </>
+                                )}
+                                {onTrustChange && (
+                                    <label className="flex items-center justify-between gap-3 text-sm text-gray-600">
+                                        Flagged content
+                                        <select
+                                            value={document.trust || TRUST_LEVELS.STANDARD}
+                                            onChange={(e) => onTrustChange(document, e.target.value)}
+                                            className="px-3 py-1.5 rounded-xl border border-gray-200 bg-white text-sm"
+                                        >
+                                            {Object.values(TRUST_LEVELS).map(level => (
+                                                <option key={level} value={level}>{TRUST_LABELS[level]}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                )}
+                            </div>
+                        );
+                    })()}
+
                     {/* Content Preview */}
                     <div>
                         <h4 className="text-sm font-bold text-gray-700 mb-3 flex items-center gap-2">
@@ -160,6 +290,17 @@ const DocumentPreview = ({ document, onClose, onAddToChat, onDownload }) => {
                         Version {document.version || 1} • {document.metadata?.source || 'uploaded'}
                     </p>
                     <div className="flex items-center gap-3">
+                        {onAnalyze && document.content && (
+                            <button
+                                onClick={() => onAnalyze(document)}
+                                disabled={analyzing}
+                                className="flex items-center gap-2 px-4 py-2.5 rounded-xl border border-amber-200 
+                                         text-amber-700 font-medium hover:bg-amber-50 transition-colors disabled:opacity-50"
+                            >
+                                {analyzing ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />}
+                                {analyzing ? 'Analyzing...' : (document.summary ? 'Re-analyze' : 'Analyze with AI')}
+                            </button>
+                        )}
                         {onDownload && (
                             <button
                                 onClick={() => onDownload(document)}
@@ -19,9 +19,11 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
     Search, Grid, List, Filter, Plus, Trash2, Star,
     Download, RefreshCw, X, SortAsc, SortDesc, Clock,
-    Tag, Database, FolderOpen, AlertCircle, Loader2, BookOpen
+    Tag, Database, FolderOpen, AlertCircle, Loader2, BookOpen, Sparkles
 } from 'lucide-react';
 import LibraryService, { DocumentType, subscribe } from '../../services/Library';
+import aiService from '../../services/AIService';
+import semanticSearch from '../../services/SemanticSearch';
 import LibraryItem, { TYPE_CONFIG } from './LibraryItem';
 import DocumentPreview from './DocumentPreview';
 
@@ -157,6 +159,15 @@ const Library = ({ isOpen, onClose, onAddToChat, onUploadClick }) => {
     const [previewDoc, setPreviewDoc] = useState(null);
     const [deleteConfirm, setDeleteConfirm] = useState({ open: false, ids: [] });
     const [deleting, setDeleting] = useState(false);
+    const [analyzing, setAnalyzing] = useState(false);
+    const [analyzeError, setAnalyzeError] = useState(null);
+    const [analyzeCachedAt, setAnalyzeCachedAt] = useState(null);
+    const [imageAnswer, setImageAnswer] = useState(null); // { question, content, loading, error }
+
+    // Semantic index for chat retrieval
+    const [indexStatus, setIndexStatus] = useState(null);
+    const [indexProgress, setIndexProgress] = useState(null);
+    const [indexError, setIndexError] = useState(null);
 
     // ==========================================================================
     // DATA LOADING
@@ -190,6 +201,18 @@ const Library = ({ isOpen, onClose, onAddToChat, onUploadClick }) => {
         if (isOpen) loadData();
     }, [isOpen, loadData]);
 
+    const loadIndexStatus = useCallback(async () => {
+        try {
+            setIndexStatus(await semanticSearch.getIndexStatus());
+        } catch (err) {
+            console.error('Failed to read index status:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isOpen) loadIndexStatus();
+    }, [isOpen, documents, loadIndexStatus]);
+
     useEffect(() => {
         const unsubs = [
             subscribe('document:added', loadData),
@@ -244,6 +267,103 @@ const Library = ({ isOpen, onClose, onAddToChat, onUploadClick }) => {
         await LibraryService.downloadLibraryExport();
     }, []);
 
+    // Fill summary, key points and entities from structured AI output
+    const handleAnalyze = useCallback(async (doc) => {
+        try {
+            setAnalyzing(true);
+            setAnalyzeError(null);
+            setAnalyzeCachedAt(null);
+
+            if (!aiService.isAvailable()) {
+                await aiService.checkConnection();
+            }
+
+            // Re-analyze asks for a fresh result rather than the cached one
+            const result = await aiService.analyzeDocument(doc.content, {
+                title: doc.name,
+                trust: doc.trust,
+                refreshCache: !!doc.summary
+            });
+            if (!result.success) {
+                setAnalyzeError(result.hint || result.error);
+                return;
+            }
+
+            const updated = await LibraryService.updateDocument(doc.id, {
+                summary: result.data.summary,
+                keyPoints: result.data.keyPoints.map(k => k.point),
+                entities: result.data.entities
+            });
+            setPreviewDoc(updated);
+            setAnalyzeCachedAt(result.cached ? result.cachedAt : null);
+        } catch (err) {
+            setAnalyzeError('Failed to analyze document');
+            console.error('Analyze failed:', err);
+        } finally {
+            setAnalyzing(false);
+        }
+    }, []);
+
+    // Describe an image document with a vision model (saved as its summary),
+    // or answer a question about it
+    const handleImageQuestion = useCallback(async (doc, question = null) => {
+        try {
+            setImageAnswer({ question, content: '', loading: true, error: null });
+
+            if (!aiService.isAvailable()) {
+                await aiService.checkConnection();
+            }
+
+            const result = question
+                ? await aiService.askAboutImage(question, doc.imageData, { name: doc.name })
+                : await aiService.describeImage(doc.imageData, { name: doc.name });
+
+            if (!result.success) {
+                setImageAnswer({ question, content: '', loading: false, error: result.hint || result.error });
+                return;
+            }
+
+            if (question) {
+                setImageAnswer({ question, content: result.content, loading: false, error: null });
+            } else {
+                setImageAnswer(null);
+                setPreviewDoc(await LibraryService.updateDocument(doc.id, { summary: result.content }));
+            }
+        } catch (err) {
+            setImageAnswer({ question, content: '', loading: false, error: 'Failed to ask about the image' });
+            console.error('Image question failed:', err);
+        }
+    }, []);
+
+    // Whether content flagged by the injection scanner is sent to the model
+    const handleTrustChange = useCallback(async (doc, trust) => {
+        try {
+            setPreviewDoc(await LibraryService.updateDocument(doc.id, { trust }));
+        } catch (err) {
+            console.error('Trust update failed:', err);
+        }
+    }, []);
+
+    // Embed new and changed documents so chat can retrieve from them
+    const handleIndex = useCallback(async () => {
+        try {
+            setIndexError(null);
+            setIndexProgress({ completed: 0, total: 0 });
+
+            if (!aiService.isAvailable()) {
+                await aiService.checkConnection();
+            }
+
+            await semanticSearch.indexLibrary({ onProgress: setIndexProgress });
+        } catch (err) {
+            setIndexError(`Indexing failed: ${err.message}`);
+            console.error('Index failed:', err);
+        } finally {
+            setIndexProgress(null);
+            loadIndexStatus();
+        }
+    }, [loadIndexStatus]);
+
     // ==========================================================================
     // RENDER
     // ==========================================================================
@@ -265,10 +385,27 @@ const Library = ({ isOpen, onClose, onAddToChat, onUploadClick }) => {
                         </div>
                         <div>
                             <h2 className="text-2xl font-bold text-gray-900">Knowledge Library</h2>
-                            <p className="text-sm text-gray-500">{stats?.totalDocuments || 0} documents • {stats?.totalSizeFormatted || '0 B'}</p>
+                            <p className="text-sm text-gray-500">
+                                {stats?.totalDocuments || 0} documents • {stats?.totalSizeFormatted || '0 B'}
+                                {indexStatus?.total > 0 && ` • ${indexStatus.indexed}/${indexStatus.total} indexed for chat`}
+                            </p>
+                            {indexError && <p className="text-xs text-red-500">{indexError}</p>}
                         </div>
                     </div>
                     <div className="flex items-center gap-2">
+                        {indexStatus && indexStatus.indexed < indexStatus.total && (
+                            <button
+                                onClick={handleIndex}
+                                disabled={!!indexProgress}
+                                className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/60 hover:bg-white text-sm text-indigo-600 disabled:opacity-70"
+                                title={`Embed documents with ${indexStatus.model} for chat retrieval`}
+                            >
+                                {indexProgress ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />}
+                                {indexProgress?.total
+                                    ? `Indexing ${indexProgress.completed + 1}/${indexProgress.total}`
+                                    : 'Index for chat'}
+                            </button>
+                        )}
                         <button onClick={handleExport} className="p-2.5 rounded-xl hover:bg-white/60 text-gray-500" title="Export">
                             <Download size={20} />
                         </button>
@@ -406,7 +543,18 @@ const Library = ({ isOpen, onClose, onAddToChat, onUploadClick }) => {
 
             {/* Modals */}
             {previewDoc && (
-                <DocumentPreview document={previewDoc} onClose={() => setPreviewDoc(null)} onAddToChat={onAddToChat} />
+                <DocumentPreview
+                    document={previewDoc}
+                    onClose={() => { setPreviewDoc(null); setAnalyzeError(null); setAnalyzeCachedAt(null); setImageAnswer(null); }}
+                    onAddToChat={onAddToChat}
+                    onAnalyze={handleAnalyze}
+                    analyzing={analyzing}
+                    analyzeError={analyzeError}
+                    analyzeCachedAt={analyzeCachedAt}
+                    onImageQuestion={handleImageQuestion}
+                    onTrustChange={handleTrustChange}
+                    imageAnswer={imageAnswer}
+                />
             )}
 
             <ConfirmDialog
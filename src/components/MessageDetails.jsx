@@ -0,0 +1,50 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+
+import { getMessageMetadata } from '../services/Conversations';
+import { describeParams } from '../services/ModelParams';
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+/**
+ * MessageDetails - Info icon with a hover panel of what the message
+ * records: time, model, params, duration, tokens and the files and
+ * sources in context
+ */
+const MessageDetails = ({ message, align = 'left' }) => {
+    const meta = getMessageMetadata(message);
+
+    const rows = [
+        ['Time', meta.timestamp && new Date(meta.timestamp).toLocaleString()],
+        ['Model', meta.model],
+        ['Params', meta.params && (describeParams(meta.params) || 'Model defaults')],
+        ['Duration', meta.durationMs !== null && formatDuration(meta.durationMs)],
+        ['Tokens', meta.completionTokens !== null &&
+            `${meta.promptTokens ?? '?'} in • ${meta.completionTokens} out${meta.tokensPerSecond ? ` • ${meta.tokensPerSecond} tok/s` : ''}`],
+        ['Files', meta.contextFiles.join(', ')],
+        ['Cited', meta.sources.join(', ')],
+        ['Images', meta.imageNames.join(', ')]
+    ].filter(([, value]) => value);
+
+    if (rows.length === 0) return null;
+
+    return (
+        <span className="relative inline-flex group/details">
+            <span className="p-1 rounded text-secondary/50 group-hover/details:text-primary group-hover/details:bg-black/5 transition-colors cursor-default">
+                <Info size={13} />
+            </span>
+            <div className={`hidden group-hover/details:block absolute bottom-full mb-1 z-20 w-72 p-3 rounded-xl bg-white shadow-lg border border-black/10 text-left ${align === 'right' ? 'right-0' : 'left-0'}`}>
+                <dl className="grid grid-cols-[4.5rem_1fr] gap-x-2 gap-y-1 text-[11px]">
+                    {rows.map(([label, value]) => (
+                        <React.Fragment key={label}>
+                            <dt className="text-secondary/60">{label}</dt>
+                            <dd className="text-primary break-words">{value}</dd>
+                        </React.Fragment>
+                    ))}
+                </dl>
+            </div>
+        </span>
+    );
+};
+
+export default MessageDetails;
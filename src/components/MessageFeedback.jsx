@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, MessageSquarePlus } from 'lucide-react';
+
+import { RATINGS } from '../services/Feedback';
+
+/**
+ * MessageFeedback - Thumbs up/down on a reply, with an optional comment
+ * once rated. Clicking the active thumb again withdraws the rating.
+ * @param {Object} feedback - The message's stored feedback ({ rating, comment })
+ * @param {Function} onRate - (rating, comment), rating null to withdraw
+ */
+const MessageFeedback = ({ feedback, onRate, disabled = false }) => {
+    const [isCommenting, setIsCommenting] = useState(false);
+    const [comment, setComment] = useState(feedback?.comment || '');
+
+    const rating = feedback?.rating || null;
+
+    const handleRate = (value) => {
+        if (value === rating) {
+            setIsCommenting(false);
+            onRate(null);
+            return;
+        }
+        onRate(value, comment);
+    };
+
+    const handleSaveComment = () => {
+        setIsCommenting(false);
+        if (comment.trim() !== (feedback?.comment || '')) {
+            onRate(rating, comment);
+        }
+    };
+
+    const thumbClass = (value, activeClass) => `p-1 rounded transition-colors disabled:opacity-40 ${rating === value
+        ? activeClass
+        : 'text-secondary/50 hover:text-primary hover:bg-black/5'}`;
+
+    return (
+        <span className="inline-flex items-center gap-0.5">
+            <button
+                onClick={() => handleRate(RATINGS.UP)}
+                disabled={disabled}
+                className={thumbClass(RATINGS.UP, 'text-green-600 bg-green-50')}
+                title={rating === RATINGS.UP ? 'Remove rating' : 'Good response'}
+            >
+                <ThumbsUp size={13} />
+            </button>
+            <button
+                onClick={() => handleRate(RATINGS.DOWN)}
+                disabled={disabled}
+                className={thumbClass(RATINGS.DOWN, 'text-red-600 bg-red-50')}
+                title={rating === RATINGS.DOWN ? 'Remove rating' : 'Bad response'}
+            >
+                <ThumbsDown size={13} />
+            </button>
+
+            {rating && (isCommenting ? (
+                <input
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    onBlur={handleSaveComment}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSaveComment();
+                        if (e.key === 'Escape') {
+                            setComment(feedback?.comment || '');
+                            setIsCommenting(false);
+                        }
+                    }}
+                    placeholder="What was good or wrong?"
+                    className="ml-1 w-56 px-2 py-0.5 rounded-md border border-black/10 bg-white text-[11px] text-primary focus:outline-none focus:border-accent/40"
+                    autoFocus
+                />
+            ) : (
+                <button
+                    onClick={() => setIsCommenting(true)}
+                    disabled={disabled}
+                    className="ml-1 flex items-center gap-1 p-1 rounded text-[11px] text-secondary/60 hover:text-primary hover:bg-black/5 transition-colors max-w-[16rem]"
+                    title={feedback?.comment ? 'Edit comment' : 'Add a comment'}
+                >
+                    <MessageSquarePlus size={13} className="shrink-0" />
+                    {feedback?.comment && <span className="truncate italic">{feedback.comment}</span>}
+                </button>
+            ))}
+        </span>
+    );
+};
+
+export default MessageFeedback;
@@ -0,0 +1,306 @@
+import React, { useState, useRef } from 'react';
+import { X, HardDrive, Download, Trash2, Info, Loader2, Square } from 'lucide-react';
+
+import aiService from '../services/AIService';
+
+const SUGGESTED_MODELS = ['llama3.2', 'mistral', 'qwen2.5', 'phi3', 'gemma2', 'nomic-embed-text'];
+
+const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / 1024 ** i).toFixed(i > 1 ? 1 : 0)} ${units[i]}`;
+};
+
+/**
+ * ModelManager - Pull, delete and inspect backend models (Ollama)
+ */
+const ModelManager = ({ isOpen, onClose, models = [], currentModel, onModelsChanged }) => {
+    const [pullName, setPullName] = useState('');
+    const [pull, setPull] = useState(null); // { name, status, completed, total }
+    const [error, setError] = useState(null);
+    const [details, setDetails] = useState({}); // name -> info | 'loading'
+    const [expanded, setExpanded] = useState(null);
+    const [confirmDelete, setConfirmDelete] = useState(null);
+    const [deleting, setDeleting] = useState(null);
+    const pullControllerRef = useRef(null);
+
+    if (!isOpen) return null;
+
+    const supported = aiService.supportsModelManagement();
+
+    const handlePull = async (name = pullName.trim()) => {
+        if (!name || pull) return;
+
+        const controller = new AbortController();
+        pullControllerRef.current = controller;
+        const layers = {};
+        setError(null);
+        setPull({ name, status: 'starting', completed: 0, total: 0 });
+
+        // Ollama reports progress per layer; sum them for one bar
+        const result = await aiService.pullModel(name, {
+            signal: controller.signal,
+            onProgress: (progress) => {
+                if (progress.digest && progress.total) {
+                    layers[progress.digest] = { total: progress.total, completed: progress.completed || 0 };
+                }
+                const all = Object.values(layers);
+                setPull({
+                    name,
+                    status: progress.status,
+                    completed: all.reduce((sum, l) => sum + l.completed, 0),
+                    total: all.reduce((sum, l) => sum + l.total, 0)
+                });
+            }
+        });
+
+        pullControllerRef.current = null;
+        setPull(null);
+
+        if (result.success) {
+            setPullName('');
+            onModelsChanged?.();
+        } else if (!result.aborted) {
+            setError(`Could not pull "${name}": ${result.error}`);
+        }
+    };
+
+    const handleDelete = async (name) => {
+        setConfirmDelete(null);
+        setDeleting(name);
+        const result = await aiService.deleteModel(name);
+        setDeleting(null);
+
+        if (result.success) {
+            onModelsChanged?.();
+        } else {
+            setError(`Could not delete "${name}": ${result.error}`);
+        }
+    };
+
+    const toggleDetails = async (name) => {
+        if (expanded === name) {
+            setExpanded(null);
+            return;
+        }
+        setExpanded(name);
+        if (details[name]) return;
+
+        setDetails(prev => ({ ...prev, [name]: 'loading' }));
+        const result = await aiService.getModelInfo(name);
+        setDetails(prev => ({ ...prev, [name]: result.success ? result.info : { error: result.error } }));
+    };
+
+    const percent = pull?.total ? Math.round((pull.completed / pull.total) * 100) : 0;
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4"
+            onClick={onClose}
+        >
+            {/* Backdrop */}
+            <div className="absolute inset-0 bg-black/40 backdrop-blur-sm animate-enter" />
+
+            {/* Modal */}
+            <div
+                className="relative w-full max-w-2xl max-h-[85vh] bg-background rounded-2xl shadow-2xl overflow-hidden animate-scale flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-black/5 bg-surface/50">
+                    <div className="flex items-center gap-3">
+                        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-600 to-indigo-600 flex items-center justify-center shadow-lg">
+                            <HardDrive size={20} className="text-white" />
+                        </div>
+                        <div>
+                            <h2 className="font-serif text-lg font-semibold text-primary">
+                                Manage Models
+                            </h2>
+                            <p className="text-xs text-secondary">
+                                Pull, inspect and remove models on the backend
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                    {!supported && (
+                        <div className="p-4 rounded-xl bg-amber-50 border border-amber-200 text-sm text-amber-800">
+                            The active provider does not support model management. Switch to Ollama in the model menu.
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Pull */}
+                    {supported && (
+                        <div className="space-y-3">
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={pullName}
+                                    onChange={(e) => setPullName(e.target.value)}
+                                    onKeyDown={(e) => e.key === 'Enter' && handlePull()}
+                                    placeholder="Model name, e.g. mistral or llama3.2:1b"
+                                    disabled={!!pull}
+                                    className="flex-1 px-4 py-2.5 rounded-xl bg-white border border-gray-200 focus:border-blue-500 outline-none text-sm"
+                                />
+                                {pull ? (
+                                    <button
+                                        onClick={() => pullControllerRef.current?.abort()}
+                                        className="flex items-center gap-2 px-4 py-2.5 rounded-xl bg-red-500 text-white text-sm font-medium hover:bg-red-600 transition-colors"
+                                    >
+                                        <Square size={14} />
+                                        Cancel
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={() => handlePull()}
+                                        disabled={!pullName.trim()}
+                                        className="flex items-center gap-2 px-4 py-2.5 rounded-xl bg-primary text-white text-sm font-medium hover:bg-secondary transition-colors disabled:opacity-50"
+                                    >
+                                        <Download size={14} />
+                                        Pull
+                                    </button>
+                                )}
+                            </div>
+
+                            {!pull && (
+                                <div className="flex flex-wrap gap-2">
+                                    {SUGGESTED_MODELS.filter(name => !models.some(m => m.split(':')[0] === name)).map(name => (
+                                        <button
+                                            key={name}
+                                            onClick={() => handlePull(name)}
+                                            className="px-3 py-1 rounded-full border border-gray-200 text-xs text-secondary hover:border-blue-500 hover:text-blue-600 transition-colors"
+                                        >
+                                            + {name}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {pull && (
+                                <div className="p-3 rounded-xl bg-white border border-gray-200">
+                                    <div className="flex justify-between text-xs text-secondary mb-2">
+                                        <span>{pull.name} • {pull.status}</span>
+                                        {pull.total > 0 && <span>{formatBytes(pull.completed)} / {formatBytes(pull.total)} ({percent}%)</span>}
+                                    </div>
+                                    <div className="w-full h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                                        <div
+                                            className="h-full bg-gradient-to-r from-blue-500 to-indigo-500 rounded-full transition-all"
+                                            style={{ width: `${percent}%` }}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Installed */}
+                    <div>
+                        <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider mb-2">
+                            Installed ({models.length})
+                        </h3>
+                        <div className="space-y-2">
+                            {models.map(name => {
+                                const info = details[name];
+                                return (
+                                    <div key={name} className="rounded-xl bg-white border border-gray-200">
+                                        <div className="flex items-center justify-between px-4 py-3">
+                                            <div className="text-sm font-medium text-gray-900">
+                                                {name}
+                                                {name === currentModel && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-50 text-blue-600 text-[10px]">in use</span>
+                                                )}
+                                            </div>
+                                            <div className="flex items-center gap-1">
+                                                {supported && (
+                                                    <button
+                                                        onClick={() => toggleDetails(name)}
+                                                        className="p-2 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                                        title="Details"
+                                                    >
+                                                        <Info size={16} />
+                                                    </button>
+                                                )}
+                                                {supported && (confirmDelete === name ? (
+                                                    <button
+                                                        onClick={() => handleDelete(name)}
+                                                        className="px-3 py-1.5 rounded-lg bg-red-500 text-white text-xs font-medium hover:bg-red-600"
+                                                    >
+                                                        Confirm delete
+                                                    </button>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => setConfirmDelete(name)}
+                                                        disabled={deleting === name}
+                                                        className="p-2 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                                                        title="Delete"
+                                                    >
+                                                        {deleting === name ? <Loader2 size={16} className="animate-spin" /> : <Trash2 size={16} />}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+
+                                        {expanded === name && (
+                                            <div className="px-4 pb-4 text-xs text-secondary border-t border-gray-100 pt-3">
+                                                {info === 'loading' && <Loader2 size={14} className="animate-spin" />}
+                                                {info?.error && <span className="text-red-600">{info.error}</span>}
+                                                {info && info !== 'loading' && !info.error && (
+                                                    <div className="space-y-3">
+                                                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                                                            {[
+                                                                ['Family', info.family],
+                                                                ['Parameters', info.parameterSize],
+                                                                ['Quantization', info.quantization],
+                                                                ['Context', info.contextLength?.toLocaleString()]
+                                                            ].map(([label, value]) => (
+                                                                <div key={label} className="p-2 rounded-lg bg-gray-50">
+                                                                    <div className="text-[10px] text-gray-400">{label}</div>
+                                                                    <div className="font-medium text-gray-700">{value || '—'}</div>
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                        {info.capabilities.length > 0 && (
+                                                            <div>Capabilities: {info.capabilities.join(', ')}</div>
+                                                        )}
+                                                        {info.parameters && (
+                                                            <pre className="p-2 rounded-lg bg-gray-50 whitespace-pre-wrap font-mono">{info.parameters}</pre>
+                                                        )}
+                                                        {info.template && (
+                                                            <details>
+                                                                <summary className="cursor-pointer">Prompt template</summary>
+                                                                <pre className="mt-2 p-2 rounded-lg bg-gray-50 whitespace-pre-wrap font-mono">{info.template}</pre>
+                                                            </details>
+                                                        )}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                            {models.length === 0 && (
+                                <p className="text-sm text-secondary">No models found. Pull one to get started.</p>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ModelManager;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+
+import { MODEL_PARAMS, normalizeParams } from '../services/ModelParams';
+
+/**
+ * ModelParamsEditor - Generation settings for the current conversation.
+ * Empty fields fall back to the backend's defaults. Values are committed
+ * on blur/Enter so partially typed numbers ("0.") are not clamped mid-edit.
+ */
+const ModelParamsEditor = ({ params = {}, onChange }) => {
+    const [drafts, setDrafts] = useState({});
+
+    const formatValue = (definition) => {
+        const value = params[definition.key];
+        if (value === undefined) return '';
+        return definition.list ? value.join(', ') : String(value);
+    };
+
+    const commit = (key) => {
+        if (!(key in drafts)) return;
+        onChange?.(normalizeParams({ ...params, [key]: drafts[key] }));
+        setDrafts(prev => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+        });
+    };
+
+    const hasParams = Object.keys(params).length > 0;
+
+    return (
+        <div className="p-3 space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                    Generation Settings
+                </span>
+                {hasParams && (
+                    <button
+                        onClick={() => onChange?.({})}
+                        className="flex items-center gap-1 text-xs text-gray-500 hover:text-blue-600 transition-colors"
+                        title="Reset to backend defaults"
+                    >
+                        <RotateCcw size={12} />
+                        Reset
+                    </button>
+                )}
+            </div>
+
+            {MODEL_PARAMS.map((definition) => (
+                <label key={definition.key} className="flex items-center justify-between gap-3" title={definition.hint}>
+                    <span className="text-xs text-gray-600">{definition.label}</span>
+                    <input
+                        type={definition.list ? 'text' : 'number'}
+                        min={definition.list ? undefined : definition.min}
+                        max={definition.list ? undefined : definition.max}
+                        step={definition.list ? undefined : definition.step}
+                        value={drafts[definition.key] ?? formatValue(definition)}
+                        onChange={(e) => setDrafts(prev => ({ ...prev, [definition.key]: e.target.value }))}
+                        onBlur={() => commit(definition.key)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                        placeholder="default"
+                        className="w-28 px-2 py-1 rounded-md bg-gray-50 border border-gray-200 focus:border-blue-500 outline-none text-xs text-right"
+                    />
+                </label>
+            ))}
+        </div>
+    );
+};
+
+export default ModelParamsEditor;
@@ -0,0 +1,311 @@
+import React, { useState, useRef } from 'react';
+import { X, UserCog, Plus, Copy, Trash2, Upload, Download, Check, Save } from 'lucide-react';
+
+import ModelParamsEditor from './ModelParamsEditor';
+import { savePersona, deletePersona, importPersonas, downloadPersonasExport } from '../services/Personas';
+
+const EMPTY_PERSONA = { name: '', description: '', systemPrompt: '', model: null, params: {} };
+
+/**
+ * PersonaManager - Create, edit, import and export system prompt personas,
+ * pick the conversation's persona and override its prompt for this thread
+ */
+const PersonaManager = ({
+    isOpen,
+    onClose,
+    personas = [],
+    activePersonaId,
+    onSelect,
+    onPersonasChange,
+    models = [],
+    promptOverride = null,
+    onPromptOverrideChange
+}) => {
+    const [editing, setEditing] = useState(null); // persona draft
+    const [overrideDraft, setOverrideDraft] = useState(null);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const fileInputRef = useRef(null);
+
+    if (!isOpen) return null;
+
+    const handleClose = () => {
+        setOverrideDraft(null);
+        setError(null);
+        setNotice(null);
+        onClose?.();
+    };
+
+    const activePersona = personas.find(p => p.id === activePersonaId) || personas[0];
+    const effectivePrompt = promptOverride ?? activePersona?.systemPrompt ?? '';
+
+    const run = async (action, successMessage) => {
+        try {
+            setError(null);
+            await action();
+            setNotice(successMessage);
+            onPersonasChange?.();
+        } catch (err) {
+            setNotice(null);
+            setError(err.message);
+        }
+    };
+
+    const handleSave = () => run(async () => {
+        const saved = await savePersona(editing);
+        setEditing(saved);
+    }, `Saved "${editing.name}"`);
+
+    const handleDelete = (persona) => run(async () => {
+        await deletePersona(persona.id);
+        if (editing?.id === persona.id) setEditing(null);
+        if (persona.id === activePersonaId) onSelect?.(personas[0].id);
+    }, `Deleted "${persona.name}"`);
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        let count = 0;
+        await run(async () => {
+            count = await importPersonas(await file.text());
+        });
+        if (count) setNotice(`Imported ${count} persona${count === 1 ? '' : 's'}`);
+    };
+
+    const duplicate = (persona) => setEditing({
+        ...EMPTY_PERSONA,
+        name: `${persona.name} (copy)`,
+        description: persona.description,
+        systemPrompt: persona.systemPrompt,
+        model: persona.model,
+        params: persona.params
+    });
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4"
+            onClick={handleClose}
+        >
+            {/* Backdrop */}
+            <div className="absolute inset-0 bg-black/40 backdrop-blur-sm animate-enter" />
+
+            {/* Modal */}
+            <div
+                className="relative w-full max-w-4xl max-h-[85vh] bg-background rounded-2xl shadow-2xl overflow-hidden animate-scale flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-black/5 bg-surface/50">
+                    <div className="flex items-center gap-3">
+                        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-600 to-indigo-600 flex items-center justify-center shadow-lg">
+                            <UserCog size={20} className="text-white" />
+                        </div>
+                        <div>
+                            <h2 className="font-serif text-lg font-semibold text-primary">
+                                Personas
+                            </h2>
+                            <p className="text-xs text-secondary">
+                                System prompts with a default model and settings
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-1">
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                            title="Import personas (JSON)"
+                        >
+                            <Upload size={18} />
+                        </button>
+                        <button
+                            onClick={() => run(downloadPersonasExport, 'Exported your personas')}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                            title="Export your personas (JSON)"
+                        >
+                            <Download size={18} />
+                        </button>
+                        <button
+                            onClick={handleClose}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                        >
+                            <X size={20} />
+                        </button>
+                        <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                    {error && (
+                        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+                    )}
+                    {notice && !error && (
+                        <div className="p-3 rounded-xl bg-green-50 border border-green-200 text-sm text-green-700">{notice}</div>
+                    )}
+
+                    {/* This conversation */}
+                    <div className="space-y-2">
+                        <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                            This conversation • {activePersona?.name}{promptOverride !== null && ' (overridden)'}
+                        </h3>
+                        <textarea
+                            value={overrideDraft ?? effectivePrompt}
+                            onChange={(e) => setOverrideDraft(e.target.value)}
+                            rows={5}
+                            className="w-full px-4 py-3 rounded-xl bg-white border border-gray-200 focus:border-blue-500 outline-none text-sm font-mono"
+                        />
+                        <div className="flex justify-end gap-2">
+                            {promptOverride !== null && (
+                                <button
+                                    onClick={() => {
+                                        setOverrideDraft(null);
+                                        onPromptOverrideChange?.(null);
+                                    }}
+                                    className="px-3 py-1.5 rounded-lg text-xs text-secondary hover:bg-black/5"
+                                >
+                                    Use persona prompt
+                                </button>
+                            )}
+                            <button
+                                onClick={() => {
+                                    onPromptOverrideChange?.(overrideDraft.trim() || null);
+                                    setOverrideDraft(null);
+                                }}
+                                disabled={overrideDraft === null || overrideDraft === effectivePrompt}
+                                className="px-3 py-1.5 rounded-lg bg-primary text-white text-xs font-medium hover:bg-secondary disabled:opacity-50"
+                            >
+                                Override for this conversation
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="grid md:grid-cols-[16rem_1fr] gap-6">
+                        {/* Persona list */}
+                        <div className="space-y-2">
+                            {personas.map(persona => (
+                                <div
+                                    key={persona.id}
+                                    className={`group rounded-xl border px-3 py-2.5 cursor-pointer transition-colors ${
+                                        editing?.id === persona.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white hover:border-blue-300'
+                                    }`}
+                                    onClick={() => setEditing(persona)}
+                                >
+                                    <div className="flex items-center justify-between gap-2">
+                                        <span className="text-sm font-medium text-gray-900 truncate">{persona.name}</span>
+                                        {persona.id === activePersonaId ? (
+                                            <span className="flex items-center gap-1 text-[10px] text-blue-600"><Check size={12} /> active</span>
+                                        ) : (
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    onSelect?.(persona.id);
+                                                }}
+                                                className="text-[10px] text-gray-400 hover:text-blue-600 opacity-0 group-hover:opacity-100"
+                                            >
+                                                Use
+                                            </button>
+                                        )}
+                                    </div>
+                                    <div className="text-xs text-gray-500 truncate">
+                                        {persona.builtIn ? 'Built-in' : persona.description || persona.model || 'Custom'}
+                                    </div>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => setEditing({ ...EMPTY_PERSONA })}
+                                className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-xl border border-dashed border-gray-300 text-sm text-secondary hover:border-blue-500 hover:text-blue-600"
+                            >
+                                <Plus size={14} /> New persona
+                            </button>
+                        </div>
+
+                        {/* Editor */}
+                        {editing ? (
+                            <div className="space-y-3">
+                                <input
+                                    type="text"
+                                    value={editing.name}
+                                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                    disabled={editing.builtIn}
+                                    placeholder="Name"
+                                    className="w-full px-4 py-2.5 rounded-xl bg-white border border-gray-200 focus:border-blue-500 outline-none text-sm"
+                                />
+                                <input
+                                    type="text"
+                                    value={editing.description}
+                                    onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                                    disabled={editing.builtIn}
+                                    placeholder="Short description (optional)"
+                                    className="w-full px-4 py-2.5 rounded-xl bg-white border border-gray-200 focus:border-blue-500 outline-none text-sm"
+                                />
+                                <textarea
+                                    value={editing.systemPrompt}
+                                    onChange={(e) => setEditing({ ...editing, systemPrompt: e.target.value })}
+                                    disabled={editing.builtIn}
+                                    rows={8}
+                                    placeholder="System prompt"
+                                    className="w-full px-4 py-3 rounded-xl bg-white border border-gray-200 focus:border-blue-500 outline-none text-sm font-mono"
+                                />
+                                <label className="flex items-center justify-between gap-3 text-sm text-gray-600">
+                                    Default model
+                                    <select
+                                        value={editing.model || ''}
+                                        onChange={(e) => setEditing({ ...editing, model: e.target.value || null })}
+                                        disabled={editing.builtIn}
+                                        className="px-3 py-2 rounded-xl border border-gray-200 text-sm"
+                                    >
+                                        <option value="">Keep current model</option>
+                                        {[...new Set([...models, editing.model].filter(Boolean))].map(name => (
+                                            <option key={name} value={name}>{name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {!editing.builtIn && (
+                                    <div className="rounded-xl bg-white border border-gray-200">
+                                        <ModelParamsEditor
+                                            params={editing.params}
+                                            onChange={(params) => setEditing({ ...editing, params })}
+                                        />
+                                    </div>
+                                )}
+                                <div className="flex justify-end gap-2">
+                                    {editing.id && (
+                                        <button
+                                            onClick={() => duplicate(editing)}
+                                            className="flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm text-secondary hover:bg-black/5"
+                                        >
+                                            <Copy size={14} /> Duplicate
+                                        </button>
+                                    )}
+                                    {editing.id && !editing.builtIn && (
+                                        <button
+                                            onClick={() => handleDelete(editing)}
+                                            className="flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm text-red-600 hover:bg-red-50"
+                                        >
+                                            <Trash2 size={14} /> Delete
+                                        </button>
+                                    )}
+                                    {!editing.builtIn && (
+                                        <button
+                                            onClick={handleSave}
+                                            className="flex items-center gap-1.5 px-4 py-2 rounded-xl bg-primary text-white text-sm font-medium hover:bg-secondary"
+                                        >
+                                            <Save size={14} /> Save
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        ) : (
+                            <p className="text-sm text-secondary">
+                                Select a persona to view it, or create a new one. Built-in personas can be duplicated and then edited.
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PersonaManager;
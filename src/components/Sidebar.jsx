@@ -1,11 +1,16 @@
 import React, { useState, useRef, useEffect } from 'react';
 import {
     MessageSquare, User,
-    Search, ChevronRight, RefreshCw, Upload, Plus,
-    Moon, Sun, LogOut, Sparkles, Clock, Check
+    ChevronRight, RefreshCw, Upload, Plus,
+    Moon, Sun, LogOut, Sparkles, Check, HardDrive, Columns2, UserCog, Activity, ThumbsUp, BookOpen
 } from 'lucide-react';
 
-import { useHistory, useStorageInfo } from '../hooks/useDatabase';
+import { useStorageInfo } from '../hooks/useDatabase';
+import { describeParams } from '../services/ModelParams';
+import ModelParamsEditor from './ModelParamsEditor';
+import ChatHistory from './Chat/ChatHistory';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
 
 const Sidebar = ({
     showSidebar,
@@ -18,26 +23,45 @@ const Sidebar = ({
     activeMode,
     onModeChange,
     onModelChange,
-    onRetryConnection
+    onRetryConnection,
+    providerType = 'ollama',
+    providers = [],
+    onProviderChange,
+    modelParams = {},
+    onModelParamsChange,
+    onManageModels,
+    compareModels = [],
+    onCompareModelsChange,
+    compareParallel = false,
+    onCompareParallelChange,
+    personas = [],
+    activePersonaId,
+    promptOverridden = false,
+    onPersonaChange,
+    onManagePersonas,
+    onShowTelemetry,
+    onShowFeedback,
+    onShowLibrary,
+    concurrency = 1,
+    onConcurrencyChange,
+    queueStatus = null,
+    conversations = [],
+    activeConversationId = null,
+    onSelectConversation,
+    onRenameConversation,
+    onArchiveConversation,
+    onStarConversation,
+    onDeleteConversation,
+    health = null
 }) => {
     // State
-    const [searchQuery, setSearchQuery] = useState('');
     const [showModelDropdown, setShowModelDropdown] = useState(false);
     const [showUserMenu, setShowUserMenu] = useState(false);
     const [isDarkMode, setIsDarkMode] = useState(false);
     
     // Database Hooks
-    const { history: actionHistory } = useHistory();
     const storageInfo = useStorageInfo();
 
-    // Map history to recent items
-    const recentItems = actionHistory.map((item, idx) => ({
-        id: `hist_${idx}`,
-        title: item.action,
-        time: new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-        icon: Clock
-    })).slice(0, 5); 
-
     // Refs
     const modelDropdownRef = useRef(null);
     const userMenuRef = useRef(null);
@@ -62,12 +86,24 @@ const Sidebar = ({
         setShowModelDropdown(false);
     };
 
+    // Add or remove a model from compare mode; the first pick also adds the current model
+    const toggleCompare = (modelId) => {
+        if (compareModels.includes(modelId)) {
+            onCompareModelsChange(compareModels.filter(m => m !== modelId));
+        } else if (compareModels.length === 0 && modelId !== modelName) {
+            onCompareModelsChange([modelName, modelId]);
+        } else {
+            onCompareModelsChange([...compareModels, modelId]);
+        }
+    };
+
     // Prepare model list
+    const providerLabel = providers.find(p => p.id === providerType)?.label || 'Ollama';
     const modelList = availableModels.length > 0 
         ? availableModels.map(m => ({ 
             id: m, 
             name: m, 
-            description: 'Ollama Model'
+            description: `${providerLabel} Model`
           }))
         : [
             { id: 'llama3.2', name: 'Llama 3.2', description: 'Fast & Efficient' },
@@ -75,6 +111,9 @@ const Sidebar = ({
           ];
 
     const currentModelInfo = modelList.find(m => m.id === modelName) || { name: modelName || 'Select Model' };
+    const paramsSummary = describeParams(modelParams);
+    const canCompare = onCompareModelsChange && availableModels.length > 1;
+    const isComparing = compareModels.length > 1;
 
     return (
         <aside className={`
@@ -99,9 +138,20 @@ const Sidebar = ({
                             <div className={`w-2 h-2 rounded-full ${
                                 connectionStatus === 'Connected' || connectionStatus === 'Ready' 
                                     ? 'bg-green-500' 
-                                    : 'bg-amber-500'
+                                    : health?.state === 'unreachable' ? 'bg-red-500' : 'bg-amber-500'
                             }`} />
                             <span className="text-xs text-gray-500">{connectionStatus}</span>
+                            {queueStatus?.pending > 0 && (
+                                <span
+                                    className="text-xs text-amber-600"
+                                    title={Object.entries(queueStatus.byPriority)
+                                        .filter(([, count]) => count > 0)
+                                        .map(([priority, count]) => `${count} ${priority}`)
+                                        .join(', ')}
+                                >
+                                    • {queueStatus.pending} queued
+                                </span>
+                            )}
                             <RefreshCw size={10} className="text-gray-400 opacity-0 group-hover:opacity-100 transition-opacity" />
                         </div>
                     </div>
@@ -140,6 +190,20 @@ const Sidebar = ({
                 </div>
             </div>
 
+            {/* Backend Health */}
+            {health && (health.hint || health.missingModel) && (
+                <div className="px-4 py-2 border-b border-gray-100 min-w-[18rem] bg-amber-50 text-xs text-amber-800">
+                    <div>
+                        {health.hint || `"${health.missingModel}" is no longer available; switched to ${health.selectedModel}.`}
+                    </div>
+                    {health.nextCheckAt && health.state !== 'healthy' && (
+                        <div className="text-amber-600 mt-0.5">
+                            Attempt {health.failures} failed • retrying in {Math.max(1, Math.round((health.nextCheckAt - (health.lastChecked || 0)) / 1000))}s
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Model Selector */}
             <div className="px-4 py-3 border-b border-gray-100 min-w-[18rem]">
                 <div className="relative" ref={modelDropdownRef}>
@@ -152,87 +216,199 @@ const Sidebar = ({
                                 <Sparkles size={16} className="text-blue-600" />
                             </div>
                             <div className="text-left">
-                                <div className="text-sm font-semibold text-gray-900">{currentModelInfo.name}</div>
-                                <div className="text-xs text-gray-500">{currentModelInfo.description || 'AI Model'}</div>
+                                <div className="text-sm font-semibold text-gray-900">
+                                    {isComparing ? `Comparing ${compareModels.length} models` : currentModelInfo.name}
+                                </div>
+                                <div className="text-xs text-gray-500 truncate max-w-[10rem]">
+                                    {isComparing ? compareModels.join(' vs ') : (paramsSummary || currentModelInfo.description || 'AI Model')}
+                                </div>
                             </div>
                         </div>
                         <ChevronRight size={16} className={`text-gray-400 transition-transform ${showModelDropdown ? 'rotate-90' : ''}`} />
                     </button>
 
                     {showModelDropdown && (
-                        <div className="absolute top-full left-0 right-0 mt-2 bg-white rounded-xl shadow-xl border border-gray-200 overflow-hidden z-50 max-h-64 overflow-y-auto">
+                        <div className="absolute top-full left-0 right-0 mt-2 bg-white rounded-xl shadow-xl border border-gray-200 overflow-hidden z-50 max-h-[28rem] overflow-y-auto">
+                            {/* Provider Selector */}
+                            {providers.length > 1 && (
+                                <div className="flex gap-1 p-2 border-b border-gray-100 bg-gray-50">
+                                    {providers.map((provider) => (
+                                        <button
+                                            key={provider.id}
+                                            onClick={() => onProviderChange?.(provider.id)}
+                                            className={`flex-1 px-2 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                                                provider.id === providerType
+                                                    ? 'bg-white text-blue-600 shadow-sm'
+                                                    : 'text-gray-500 hover:text-gray-700'
+                                            }`}
+                                        >
+                                            {provider.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {/* Compare mode */}
+                            {canCompare && (
+                                <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100 text-xs text-gray-500">
+                                    <span>
+                                        {isComparing
+                                            ? `Comparing ${compareModels.length} models side by side`
+                                            : <>Pick models with <Columns2 size={12} className="inline" /> to compare</>}
+                                    </span>
+                                    {compareModels.length > 0 && (
+                                        <div className="flex items-center gap-3">
+                                            <label className="flex items-center gap-1 cursor-pointer" title="Send to all models at once instead of one after another">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={compareParallel}
+                                                    onChange={(e) => onCompareParallelChange?.(e.target.checked)}
+                                                />
+                                                Parallel
+                                            </label>
+                                            <button
+                                                onClick={() => onCompareModelsChange([])}
+                                                className="text-gray-500 hover:text-blue-600 transition-colors"
+                                            >
+                                                Clear
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
                             {modelList.map((model) => (
-                                <button
+                                <div
                                     key={model.id}
-                                    onClick={() => handleModelSelect(model.id)}
-                                    className={`w-full flex items-center justify-between px-4 py-3 hover:bg-gray-50 transition-colors ${
+                                    className={`flex items-center hover:bg-gray-50 transition-colors ${
                                         model.id === modelName ? 'bg-blue-50' : ''
                                     }`}
                                 >
-                                    <div className="text-left">
-                                        <div className="text-sm font-medium text-gray-900">{model.name}</div>
-                                        <div className="text-xs text-gray-500">{model.description}</div>
-                                    </div>
-                                    {model.id === modelName && (
-                                        <Check size={16} className="text-blue-600" />
+                                    <button
+                                        onClick={() => handleModelSelect(model.id)}
+                                        className="flex-1 flex items-center justify-between px-4 py-3"
+                                    >
+                                        <div className="text-left">
+                                            <div className="text-sm font-medium text-gray-900">{model.name}</div>
+                                            <div className="text-xs text-gray-500">{model.description}</div>
+                                        </div>
+                                        {model.id === modelName && (
+                                            <Check size={16} className="text-blue-600" />
+                                        )}
+                                    </button>
+                                    {canCompare && (
+                                        <button
+                                            onClick={() => toggleCompare(model.id)}
+                                            className={`p-2 mr-2 rounded-lg transition-colors ${
+                                                compareModels.includes(model.id)
+                                                    ? 'text-blue-600 bg-blue-100'
+                                                    : 'text-gray-300 hover:text-blue-600 hover:bg-blue-50'
+                                            }`}
+                                            title={compareModels.includes(model.id) ? 'Remove from comparison' : 'Add to comparison'}
+                                        >
+                                            <Columns2 size={14} />
+                                        </button>
                                     )}
-                                </button>
+                                </div>
                             ))}
+                            {onManageModels && (
+                                <button
+                                    onClick={() => {
+                                        setShowModelDropdown(false);
+                                        onManageModels();
+                                    }}
+                                    className="w-full flex items-center gap-2 px-4 py-2.5 border-t border-gray-100 text-sm text-gray-600 hover:bg-gray-50 hover:text-blue-600 transition-colors"
+                                >
+                                    <HardDrive size={14} />
+                                    Manage models...
+                                </button>
+                            )}
+                            {/* Per-conversation generation params */}
+                            {onModelParamsChange && (
+                                <div className="border-t border-gray-100">
+                                    <ModelParamsEditor params={modelParams} onChange={onModelParamsChange} />
+                                </div>
+                            )}
+                            {/* Backend requests allowed at once; the rest wait in the queue */}
+                            {onConcurrencyChange && (
+                                <label
+                                    className="flex items-center justify-between px-4 py-2.5 border-t border-gray-100 text-xs text-gray-500"
+                                    title="Requests sent to the backend at the same time. Others wait, chat first."
+                                >
+                                    Parallel requests
+                                    <select
+                                        value={concurrency}
+                                        onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+                                        className="px-2 py-1 rounded-lg bg-gray-50 border border-gray-200 focus:border-blue-500 outline-none text-xs text-gray-700"
+                                    >
+                                        {CONCURRENCY_OPTIONS.map(n => (
+                                            <option key={n} value={n}>{n}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
                         </div>
                     )}
                 </div>
             </div>
 
-            {/* Search */}
-            <div className="px-4 py-3 border-b border-gray-100 min-w-[18rem]">
-                <div className="relative">
-                    <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
-                    <input
-                        type="text"
-                        value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
-                        placeholder="Search..."
-                        className="w-full pl-10 pr-4 py-2.5 rounded-lg bg-gray-50 border border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-100 outline-none text-sm transition-all"
-                    />
+            {/* Persona */}
+            {personas.length > 0 && (
+                <div className="px-4 py-3 border-b border-gray-100 min-w-[18rem] flex items-center gap-2">
+                    <select
+                        value={activePersonaId}
+                        onChange={(e) => onPersonaChange?.(e.target.value)}
+                        className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-50 border border-gray-200 focus:border-blue-500 outline-none text-sm text-gray-700"
+                        title={promptOverridden ? 'System prompt overridden for this conversation' : 'Persona for this conversation'}
+                    >
+                        {personas.map(persona => (
+                            <option key={persona.id} value={persona.id}>
+                                {persona.name}{persona.id === activePersonaId && promptOverridden ? ' (overridden)' : ''}
+                            </option>
+                        ))}
+                    </select>
+                    {onManagePersonas && (
+                        <button
+                            onClick={onManagePersonas}
+                            className="p-2 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                            title="Manage personas"
+                        >
+                            <UserCog size={16} />
+                        </button>
+                    )}
                 </div>
-            </div>
+            )}
 
             {/* Navigation */}
-            <div className="flex-1 overflow-y-auto min-w-[18rem] px-4 py-4">
-                <div className="space-y-1">
+            <div className="px-4 pt-4 min-w-[18rem]">
+                <button
+                    onClick={() => onModeChange('chat')}
+                    className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-medium transition-all bg-gradient-to-r from-blue-600 to-indigo-600 text-white shadow-lg shadow-blue-500/30"
+                >
+                    <MessageSquare size={20} />
+                    AI Chat
+                </button>
+                {onShowLibrary && (
                     <button
-                        onClick={() => onModeChange('chat')}
-                        className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-medium transition-all bg-gradient-to-r from-blue-600 to-indigo-600 text-white shadow-lg shadow-blue-500/30"
+                        onClick={onShowLibrary}
+                        className="w-full mt-1 flex items-center gap-3 px-4 py-3 rounded-xl text-sm font-medium text-gray-600 hover:bg-gray-50 hover:text-blue-600 transition-all"
                     >
-                        <MessageSquare size={20} />
-                        AI Chat
+                        <BookOpen size={20} />
+                        Library
                     </button>
-                </div>
-
-                {/* Recent Activity */}
-                {recentItems.length > 0 && (
-                    <div className="mt-6">
-                        <h3 className="px-2 text-xs font-semibold text-gray-400 uppercase tracking-wider mb-2">
-                            Recent Activity
-                        </h3>
-                        <div className="space-y-1">
-                            {recentItems.map((item) => (
-                                <div
-                                    key={item.id}
-                                    className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer"
-                                >
-                                    <Clock size={14} className="text-gray-400" />
-                                    <div className="flex-1 min-w-0">
-                                        <div className="text-sm text-gray-700 truncate">{item.title}</div>
-                                        <div className="text-xs text-gray-400">{item.time}</div>
-                                    </div>
-                                </div>
-                            ))}
-                        </div>
-                    </div>
                 )}
             </div>
 
+            {/* Conversations */}
+            <ChatHistory
+                conversations={conversations}
+                activeId={activeConversationId}
+                onSelect={onSelectConversation}
+                onRename={onRenameConversation}
+                onArchive={onArchiveConversation}
+                onStar={onStarConversation}
+                onDelete={onDeleteConversation}
+                className="flex-1 min-h-0 min-w-[18rem]"
+            />
+
             {/* Footer Actions */}
             <div className="border-t border-gray-100 p-4 min-w-[18rem] space-y-2">
                 <button
@@ -269,6 +445,25 @@ const Sidebar = ({
                         </div>
                     </div>
                 )}
+
+                {onShowTelemetry && (
+                    <button
+                        onClick={onShowTelemetry}
+                        className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-xs text-gray-500 hover:bg-gray-50 hover:text-blue-600 transition-colors"
+                    >
+                        <Activity size={14} />
+                        Performance & token usage
+                    </button>
+                )}
+                {onShowFeedback && (
+                    <button
+                        onClick={onShowFeedback}
+                        className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-xs text-gray-500 hover:bg-gray-50 hover:text-blue-600 transition-colors"
+                    >
+                        <ThumbsUp size={14} />
+                        Rated replies & dataset
+                    </button>
+                )}
             </div>
         </aside>
     );
@@ -0,0 +1,48 @@
+import React from 'react';
+import { CornerDownLeft } from 'lucide-react';
+
+/**
+ * SlashCommandMenu - Autocomplete for slash commands above the chat
+ * input: command names while typing "/", then the argument hint and
+ * matching values (documents, models, personas, templates)
+ * @param {Object} suggestions - From SlashCommands.getSlashSuggestions()
+ */
+const SlashCommandMenu = ({ suggestions, activeIndex = 0, onSelect, notice = null }) => {
+    const { command, items } = suggestions || { command: null, items: [] };
+    if (!notice && !command && items.length === 0) return null;
+
+    return (
+        <div className="mb-2 rounded-2xl bg-white shadow-lg border border-black/10 overflow-hidden text-sm animate-enter">
+            {command && (
+                <div className="px-4 py-2 border-b border-black/5 bg-surface/50 text-xs text-secondary">
+                    <span className="font-mono text-primary">/{command.name}</span>
+                    {command.args && <span className="font-mono text-accent"> {command.args}</span>}
+                    <span className="ml-2">{command.description}</span>
+                </div>
+            )}
+            {items.length > 0 && (
+                <div className="max-h-64 overflow-y-auto py-1">
+                    {items.map((item, i) => (
+                        <button
+                            key={item.value}
+                            // Keep focus in the input
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => onSelect(item)}
+                            className={`w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${i === activeIndex ? 'bg-accent/10' : 'hover:bg-black/5'}`}
+                        >
+                            <span className="font-mono text-primary shrink-0">{item.label}</span>
+                            {item.hint && <span className="font-mono text-xs text-accent shrink-0">{item.hint}</span>}
+                            <span className="text-xs text-secondary truncate">{item.description}</span>
+                            {i === activeIndex && <CornerDownLeft size={12} className="ml-auto text-secondary/60 shrink-0" />}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {notice && (
+                <div className="px-4 py-2 border-t border-black/5 text-xs text-amber-700 bg-amber-50">{notice}</div>
+            )}
+        </div>
+    );
+};
+
+export default SlashCommandMenu;
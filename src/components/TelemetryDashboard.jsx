@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { X, Activity, RefreshCw, Trash2, Loader2 } from 'lucide-react';
+
+import { TELEMETRY_RANGES, getMetrics, clearMetrics, summarizeByModel, throughputOverTime } from '../services/Telemetry';
+
+const SERIES_COLORS = ['#2563eb', '#16a34a', '#d97706', '#db2777', '#7c3aed', '#0891b2', '#dc2626', '#4b5563'];
+
+const CHART = { width: 640, height: 200, padLeft: 36, padBottom: 22, padTop: 8 };
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+const formatBucket = (time, range) => new Date(time).toLocaleString([], range === 'day'
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric' });
+
+/**
+ * Tokens/sec per model over time as an SVG line chart; gaps where a
+ * model had no requests
+ */
+const ThroughputChart = ({ buckets, series, range }) => {
+    const { width, height, padLeft, padBottom, padTop } = CHART;
+    const max = Math.max(1, ...series.flatMap(s => s.points.filter(p => p !== null)));
+    const x = (i) => padLeft + (i / Math.max(1, buckets.length - 1)) * (width - padLeft - 4);
+    const y = (value) => padTop + (1 - value / max) * (height - padTop - padBottom);
+    const labelEvery = Math.ceil(buckets.length / 6);
+
+    // One path per run of consecutive buckets with data
+    const toPath = (points) => points
+        .map((p, i) => (p === null ? null : `${i > 0 && points[i - 1] !== null ? 'L' : 'M'}${x(i).toFixed(1)},${y(p).toFixed(1)}`))
+        .filter(Boolean)
+        .join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+            {[0, 0.5, 1].map(f => (
+                <g key={f}>
+                    <line x1={padLeft} x2={width} y1={y(max * f)} y2={y(max * f)} stroke="#e5e7eb" />
+                    <text x={padLeft - 6} y={y(max * f) + 3} textAnchor="end" fontSize="10" fill="#9ca3af">
+                        {Math.round(max * f)}
+                    </text>
+                </g>
+            ))}
+            {buckets.map((time, i) => i % labelEvery === 0 && (
+                <text key={time} x={x(i)} y={height - 6} textAnchor="middle" fontSize="10" fill="#9ca3af">
+                    {formatBucket(time, range)}
+                </text>
+            ))}
+            {series.map((s, si) => (
+                <g key={s.model}>
+                    <path d={toPath(s.points)} fill="none" stroke={SERIES_COLORS[si % SERIES_COLORS.length]} strokeWidth="2" />
+                    {s.points.map((p, i) => p !== null && (
+                        <circle key={i} cx={x(i)} cy={y(p)} r="2.5" fill={SERIES_COLORS[si % SERIES_COLORS.length]}>
+                            <title>{`${s.model}: ${p} tok/s (${formatBucket(buckets[i], range)})`}</title>
+                        </circle>
+                    ))}
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+/**
+ * TelemetryDashboard - Local token usage and generation speed per model,
+ * to compare models and quantizations on this machine
+ */
+const TelemetryDashboard = ({ isOpen, onClose }) => {
+    const [range, setRange] = useState('week');
+    const [metrics, setMetrics] = useState(null);
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        getMetrics(range)
+            .then(result => {
+                if (cancelled) return;
+                setError(null);
+                setMetrics(result);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(err.message);
+                setMetrics([]);
+            });
+
+        return () => { cancelled = true; };
+    }, [isOpen, range, reloadKey]);
+
+    if (!isOpen) return null;
+
+    const reload = () => setReloadKey(key => key + 1);
+
+    const handleClear = async () => {
+        if (!confirm('Delete all recorded request metrics?')) return;
+        await clearMetrics();
+        reload();
+    };
+
+    const summary = metrics ? summarizeByModel(metrics) : [];
+    const chart = metrics ? throughputOverTime(metrics, range) : null;
+    const colorOf = (model) => SERIES_COLORS[chart.series.findIndex(s => s.model === model) % SERIES_COLORS.length];
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-center justify-center p-4"
+            onClick={onClose}
+        >
+            {/* Backdrop */}
+            <div className="absolute inset-0 bg-black/40 backdrop-blur-sm animate-enter" />
+
+            {/* Modal */}
+            <div
+                className="relative w-full max-w-3xl max-h-[85vh] bg-background rounded-2xl shadow-2xl overflow-hidden animate-scale flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between px-6 py-4 border-b border-black/5 bg-surface/50">
+                    <div className="flex items-center gap-3">
+                        <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-600 to-indigo-600 flex items-center justify-center shadow-lg">
+                            <Activity size={20} className="text-white" />
+                        </div>
+                        <div>
+                            <h2 className="font-serif text-lg font-semibold text-primary">
+                                Performance
+                            </h2>
+                            <p className="text-xs text-secondary">
+                                Token usage and speed per model • stored on this device only
+                            </p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-1">
+                        <button
+                            onClick={reload}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                            title="Refresh"
+                        >
+                            <RefreshCw size={18} />
+                        </button>
+                        <button
+                            onClick={handleClear}
+                            disabled={!metrics?.length}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors disabled:opacity-40"
+                            title="Delete recorded metrics"
+                        >
+                            <Trash2 size={18} />
+                        </button>
+                        <button
+                            onClick={onClose}
+                            className="p-2 rounded-lg hover:bg-black/5 text-secondary transition-colors"
+                        >
+                            <X size={20} />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 space-y-6">
+                    {/* Range */}
+                    <div className="flex gap-1 p-1 rounded-xl bg-black/5 w-fit">
+                        {Object.entries(TELEMETRY_RANGES).map(([id, { label }]) => (
+                            <button
+                                key={id}
+                                onClick={() => setRange(id)}
+                                className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                                    id === range ? 'bg-white text-blue-600 shadow-sm' : 'text-secondary hover:text-primary'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {error && (
+                        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+                    )}
+
+                    {!metrics ? (
+                        <div className="flex justify-center p-8">
+                            <Loader2 size={24} className="animate-spin text-gray-400" />
+                        </div>
+                    ) : summary.length === 0 ? (
+                        <p className="text-sm text-secondary">
+                            No requests recorded in the last {TELEMETRY_RANGES[range].label}. Metrics appear here once the backend reports token counts.
+                        </p>
+                    ) : (
+                        <>
+                            {/* Throughput chart */}
+                            <div className="space-y-2">
+                                <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                                    Generation speed (tokens/sec)
+                                </h3>
+                                <div className="rounded-xl bg-white border border-gray-200 p-3">
+                                    <ThroughputChart buckets={chart.buckets} series={chart.series} range={range} />
+                                </div>
+                            </div>
+
+                            {/* Per-model totals */}
+                            <div className="space-y-2">
+                                <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                                    By model
+                                </h3>
+                                <div className="rounded-xl bg-white border border-gray-200 overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-xs text-gray-500 border-b border-gray-100">
+                                                <th className="text-left font-medium px-3 py-2">Model</th>
+                                                <th className="text-right font-medium px-3 py-2">Requests</th>
+                                                <th className="text-right font-medium px-3 py-2">Tokens in / out</th>
+                                                <th className="text-right font-medium px-3 py-2">tok/s</th>
+                                                <th className="text-right font-medium px-3 py-2">Avg time</th>
+                                                <th className="text-right font-medium px-3 py-2">Avg load</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {summary.map(row => (
+                                                <tr
+                                                    key={row.model}
+                                                    className="border-b border-gray-50 last:border-0"
+                                                    title={Object.entries(row.tasks).map(([task, n]) => `${task}: ${n}`).join(', ')}
+                                                >
+                                                    <td className="px-3 py-2">
+                                                        <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: colorOf(row.model) }} />
+                                                        <span className="font-medium text-gray-900">{row.model}</span>
+                                                        {row.quantization && <span className="ml-1.5 text-xs text-gray-400">{row.quantization}</span>}
+                                                    </td>
+                                                    <td className="px-3 py-2 text-right text-gray-700">{row.requests}</td>
+                                                    <td className="px-3 py-2 text-right text-gray-700">
+                                                        {row.promptTokens.toLocaleString()} / {row.completionTokens.toLocaleString()}
+                                                    </td>
+                                                    <td className="px-3 py-2 text-right font-semibold text-gray-900">{row.tokensPerSecond}</td>
+                                                    <td className="px-3 py-2 text-right text-gray-700">{formatDuration(row.avgDurationMs)}</td>
+                                                    <td className="px-3 py-2 text-right text-gray-700">{formatDuration(row.avgLoadMs)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TelemetryDashboard;
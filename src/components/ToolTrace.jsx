@@ -0,0 +1,78 @@
+import React from 'react';
+import { Wrench, Loader2, Check, X, AlertTriangle, ShieldQuestion } from 'lucide-react';
+
+const STATUS_ICONS = {
+    pending: <ShieldQuestion size={12} className="text-amber-600" />,
+    running: <Loader2 size={12} className="animate-spin text-accent" />,
+    done: <Check size={12} className="text-green-600" />,
+    denied: <X size={12} className="text-secondary/60" />,
+    error: <AlertTriangle size={12} className="text-red-600" />
+};
+
+const STATUS_LABELS = {
+    pending: 'Waiting for approval',
+    running: 'Running...',
+    done: 'Done',
+    denied: 'Declined',
+    error: 'Failed'
+};
+
+/**
+ * ToolTrace - The app actions the assistant called while answering,
+ * with their arguments and results. A step awaiting confirmation gets
+ * Allow / Deny buttons.
+ */
+const ToolTrace = ({ steps = [], awaitingId = null, onRespond }) => (
+    <div className="mb-4 space-y-2">
+        {steps.map(step => (
+            <div
+                key={step.id}
+                className={`rounded-xl border text-xs ${step.id === awaitingId ? 'border-amber-300 bg-amber-50' : 'border-black/5 bg-surface/50'}`}
+            >
+                <details>
+                    <summary className="flex items-center gap-2 px-3 py-2 cursor-pointer">
+                        <Wrench size={12} className="text-secondary/60" />
+                        <span className="font-mono font-medium text-primary">{step.name}</span>
+                        <span className="flex items-center gap-1 ml-auto text-secondary/70">
+                            {STATUS_ICONS[step.status]}
+                            {STATUS_LABELS[step.status]}
+                        </span>
+                    </summary>
+                    <div className="px-3 pb-3 space-y-2">
+                        <pre className="p-2 rounded-lg bg-black/5 whitespace-pre-wrap font-mono max-h-40 overflow-y-auto">
+                            {JSON.stringify(step.arguments, null, 2)}
+                        </pre>
+                        {step.result && (
+                            <pre className="p-2 rounded-lg bg-black/5 whitespace-pre-wrap font-mono max-h-60 overflow-y-auto">
+                                {step.result}
+                            </pre>
+                        )}
+                        {step.error && <p className="text-red-600">{step.error}</p>}
+                    </div>
+                </details>
+
+                {step.id === awaitingId && (
+                    <div className="flex items-center justify-between gap-2 px-3 pb-2">
+                        <span className="text-amber-700">The assistant wants to change your workspace.</span>
+                        <div className="flex gap-1">
+                            <button
+                                onClick={() => onRespond?.(false)}
+                                className="px-2.5 py-1 rounded-lg text-secondary hover:bg-black/5"
+                            >
+                                Deny
+                            </button>
+                            <button
+                                onClick={() => onRespond?.(true)}
+                                className="px-2.5 py-1 rounded-lg bg-primary text-white hover:bg-secondary"
+                            >
+                                Allow
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        ))}
+    </div>
+);
+
+export default ToolTrace;
@@ -127,6 +127,43 @@ const calculateBounds = (nodes) => {
     };
 };
 
+// =============================================================================
+// SAVED CANVAS (OUTSIDE THE HOOK)
+// =============================================================================
+
+/**
+ * Add a node to the saved canvas without mounting it (e.g. from a chat
+ * tool). New nodes go below the existing ones; the canvas shows them the
+ * next time it loads.
+ * @returns {Object} - The new node
+ */
+export function addNodeToSavedCanvas(type, data = {}) {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || 'null') || {
+        nodes: [],
+        edges: [],
+        showGrid: true,
+        canvasName: 'Untitled Canvas'
+    };
+
+    const bounds = calculateBounds(saved.nodes);
+    const id = generateId();
+    const node = {
+        id,
+        type,
+        position: { x: saved.nodes.length > 0 ? bounds.minX + 50 : 100, y: saved.nodes.length > 0 ? bounds.maxY : 100 },
+        data: { ...data, id }
+    };
+
+    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify({
+        ...saved,
+        nodes: [...saved.nodes, node],
+        savedAt: new Date().toISOString(),
+        version: '2.0'
+    }));
+
+    return node;
+}
+
 // =============================================================================
 // MAIN CANVAS STATE HOOK
 // =============================================================================
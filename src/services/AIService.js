@@ -3,13 +3,35 @@
  * ===============================================
  * Connects to Ollama (or your configured LLM backend) using env variables.
  * Used by Chat, YouTube, URLExtractor, and other AI-powered features.
+ *
+ * Backend calls go through a provider adapter (see ./providers), so the
+ * same pipeline works against Ollama and OpenAI-compatible servers.
  */
 
+import { PROVIDERS, createProvider } from './providers';
+import { buildFileContext } from './FileProcessor';
+import {
+    DEFAULT_CONTEXT_WINDOW, planContext, estimateTokens, tokensToChars, truncateToTokens, getReplyReserve
+} from './ContextBudget';
+import { chunkDocument, formatPageLabel } from './DocumentChunker';
+import { normalizeParams, mergeParams } from './ModelParams';
+import { SCHEMAS, buildTemplateSchema, parseJSON, validate } from './StructuredOutput';
+import { buildCacheKey, getCachedResult, cacheResult } from './ResponseCache';
+import { recordRequest } from './Telemetry';
+import { TRUST_LEVELS, SOURCE_DATA_NOTICE, guardContent, wrapSource } from './ContentGuard';
+import { RequestQueue, PRIORITIES } from './RequestQueue';
+
 // Configuration from environment variables
 const getConfig = () => ({
     baseUrl: import.meta.env.VITE_OLLAMA_BASE_URL || 'http://localhost:11434',
     defaultModel: import.meta.env.VITE_DEFAULT_MODEL || 'llama3.2',
     timeout: parseInt(import.meta.env.VITE_AI_TIMEOUT) || 60000,
+    provider: import.meta.env.VITE_AI_PROVIDER || 'ollama',
+    apiKey: import.meta.env.VITE_OPENAI_API_KEY || '',
+    numCtx: parseInt(import.meta.env.VITE_NUM_CTX) || DEFAULT_CONTEXT_WINDOW,
+    retries: parseInt(import.meta.env.VITE_AI_RETRIES) >= 0 ? parseInt(import.meta.env.VITE_AI_RETRIES) : 2,
+    embedModel: import.meta.env.VITE_EMBED_MODEL || 'nomic-embed-text',
+    concurrency: parseInt(import.meta.env.VITE_AI_CONCURRENCY) || 1,
 });
 
 // System prompts for different use cases
@@ -42,6 +64,17 @@ const SYSTEM_PROMPTS = {
 - Be accurate and cite the content directly.
 - Do not use outside knowledge unless explicitly asked.`,
 
+    structured: `You extract structured data from text.
+- Reply with a single JSON object that matches the requested schema, and nothing else
+- Use only information present in the provided content
+- Leave out optional fields the content does not mention`,
+
+    vision: `You are an assistant that looks at images.
+- Describe only what is actually visible; do not guess at what is cut off or unreadable.
+- Transcribe visible text exactly, and explain diagrams, charts and screenshots step by step.
+- If the image does not show the answer to a question, say so.
+- Use clean Markdown.`,
+
     document: `You are an intelligent document analyzer.
 - Analyze the provided document content carefully.
 - Answer questions based STRICTLY on the document.
@@ -50,34 +83,536 @@ const SYSTEM_PROMPTS = {
 - Be concise and direct.`
 };
 
+// Room for the instructions wrapped around document content in task prompts
+const TASK_PROMPT_OVERHEAD_TOKENS = 100;
+
+// Generation defaults per task; conversation/caller params override them
+const TASK_PARAMS = {
+    summarize: { temperature: 0.3 },
+    keypoints: { temperature: 0.2 },
+    document: { temperature: 0.3 },
+    structured: { temperature: 0 },
+    youtube: { temperature: 0.3 },
+    vision: { temperature: 0.2 }
+};
+
+// Corrective follow-ups sent when a structured reply fails validation
+const STRUCTURED_RETRIES = 2;
+
+// Tool-calling rounds before the model must answer without tools
+const MAX_TOOL_ROUNDS = 5;
+
+// How a fallback-protocol tool request starts (whitespace removed)
+const TOOL_REQUEST_START = '{"tool":';
+
+// Ollama rejects `tools` for models whose template has no tool support
+const TOOLS_UNSUPPORTED_PATTERN = /does not support tools/i;
+
+// Vision model families, for backends that do not report capabilities
+const VISION_MODEL_PATTERN = /llava|vision|bakllava|moondream|minicpm-v|qwen2\.5vl|gemma3|llama4|granite3\.2-vision/i;
+
+// Map-reduce prompts for documents larger than the context window.
+// Section notes carry their page labels so the final answer can cite them.
+const MAP_REDUCE_TASKS = {
+    summarize: {
+        systemPrompt: SYSTEM_PROMPTS.summarize,
+        map: (section, { title }) => `Summarize this section (${section.label}) of ${title ? `"${title}"` : 'a longer document'}.
+Keep names, figures and conclusions. Do not add information that is not in the text.
+${SOURCE_DATA_NOTICE}
+
+${section.text}`,
+        reduce: (notes, { title }) => `Below are summaries of consecutive sections of ${title ? `"${title}"` : 'a document'}, each headed by its location in square brackets.
+
+${notes}
+
+Combine them into one comprehensive but concise summary of the whole document.
+After each statement, cite the section(s) it comes from using their bracketed labels, e.g. [pp. 3–5].`
+    },
+    keypoints: {
+        systemPrompt: SYSTEM_PROMPTS.keypoints,
+        map: (section, { title, maxPoints }) => `Extract up to ${maxPoints} key points from this section (${section.label}) of ${title ? `"${title}"` : 'a longer document'}.
+${SOURCE_DATA_NOTICE}
+
+${section.text}`,
+        reduce: (notes, { title, maxPoints }) => `Below are key points from consecutive sections of ${title ? `"${title}"` : 'a document'}, each headed by its location in square brackets.
+
+${notes}
+
+Select and merge them into the ${maxPoints} most important key points of the whole document.
+End each point with the section(s) it comes from using their bracketed labels, e.g. [p. 12].`
+    }
+};
+
+// Failure categories reported in chat() and checkConnection() results
+const ERROR_TYPES = {
+    UNREACHABLE: 'unreachable',
+    MODEL_NOT_FOUND: 'model_not_found',
+    OUT_OF_MEMORY: 'out_of_memory',
+    TIMEOUT: 'timeout',
+    ABORTED: 'aborted',
+    INVALID_OUTPUT: 'invalid_output',
+    NO_VISION: 'no_vision',
+    CONTEXT_TOO_SMALL: 'context_too_small',
+    UNKNOWN: 'unknown'
+};
+
+// Failures worth retrying: the backend may come back (restart, model loading)
+const TRANSIENT_ERRORS = [ERROR_TYPES.UNREACHABLE, ERROR_TYPES.TIMEOUT];
+
+// Backoff for retried requests: 1s, 2s, 4s, ... capped, with jitter
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 15000;
+
+/**
+ * Delay before retry number `attempt` (1-based)
+ */
+function getRetryDelay(attempt) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @returns {Promise<boolean>} false if aborted
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) return resolve(false);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Find a model by name, accepting an implicit ":latest" tag
+ */
+function findModel(models, name) {
+    if (!name) return null;
+    return models.find(m => m === name || m === `${name}:latest`) || null;
+}
+
+/**
+ * Map a backend failure to one of ERROR_TYPES
+ * @param {Error} error - Error thrown by fetch or a provider adapter
+ */
+function classifyError(error) {
+    const message = (error?.message || '').toLowerCase();
+    const status = error?.status;
+
+    if (/out of memory|requires more system memory|insufficient memory|cudamalloc failed/.test(message)) {
+        return ERROR_TYPES.OUT_OF_MEMORY;
+    }
+
+    if (/model/.test(message) && (status === 404 || /not found|does not exist/.test(message))) {
+        return ERROR_TYPES.MODEL_NOT_FOUND;
+    }
+
+    // fetch() rejects with a TypeError on network failure; the dev proxy
+    // answers with an empty 5xx when the backend is down
+    if (
+        error instanceof TypeError ||
+        [502, 503, 504].includes(status) ||
+        (status === 500 && !error.body) ||
+        /econnrefused|failed to fetch|networkerror/.test(message)
+    ) {
+        return ERROR_TYPES.UNREACHABLE;
+    }
+
+    return ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * User-facing explanation for a classified failure
+ */
+function describeError(errorType, model) {
+    switch (errorType) {
+        case ERROR_TYPES.UNREACHABLE:
+            return 'Could not reach the AI backend. Make sure it is running.';
+        case ERROR_TYPES.MODEL_NOT_FOUND:
+            return `Model "${model}" is not available on the backend. Pull it first (e.g. \`ollama pull ${model}\`).`;
+        case ERROR_TYPES.OUT_OF_MEMORY:
+            return `Not enough memory to run "${model}". Try a smaller or more quantized model.`;
+        case ERROR_TYPES.TIMEOUT:
+            return 'The backend stopped responding before the reply finished.';
+        case ERROR_TYPES.ABORTED:
+            return 'Generation stopped.';
+        case ERROR_TYPES.INVALID_OUTPUT:
+            return `"${model}" did not return data in the expected format. Try again or use a larger model.`;
+        case ERROR_TYPES.NO_VISION:
+            return `"${model}" cannot see images. Switch to a vision model such as llava or llama3.2-vision.`;
+        case ERROR_TYPES.CONTEXT_TOO_SMALL:
+            return `The context window of "${model}" leaves no room for document text. Raise the context window (num_ctx) in the model settings.`;
+        default:
+            return 'The AI backend returned an error.';
+    }
+}
+
+/**
+ * Combine a caller's AbortSignal with an inactivity timeout.
+ * The timer restarts on every touch(), so a steadily streaming reply
+ * is never cut off; only a stalled backend is.
+ * @param {AbortSignal} [signal] - Caller's cancellation signal
+ * @param {number} timeoutMs - Inactivity timeout in milliseconds
+ */
+function createRequestController(signal, timeoutMs) {
+    const controller = new AbortController();
+    let timer = null;
+    let timedOut = false;
+
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) {
+        controller.abort();
+    } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    touch();
+
+    return {
+        signal: controller.signal,
+        touch,
+        isTimedOut: () => timedOut,
+        cleanup: () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Add up eval stats across the calls of a multi-step task
+ */
+function sumStats(statsList) {
+    const all = statsList.filter(Boolean);
+    if (all.length === 0) return null;
+
+    const total = (key) => all.reduce((sum, stats) => sum + (stats[key] || 0), 0);
+    const completionTokens = total('completionTokens');
+    const evalDurationMs = total('evalDurationMs');
+
+    return {
+        promptTokens: total('promptTokens'),
+        completionTokens,
+        totalDurationMs: total('totalDurationMs'),
+        loadDurationMs: total('loadDurationMs'),
+        evalDurationMs,
+        tokensPerSecond: evalDurationMs > 0
+            ? Math.round((completionTokens / (evalDurationMs / 1000)) * 10) / 10
+            : 0,
+        calls: all.length
+    };
+}
+
+/**
+ * Group consecutive map-reduce notes so each group fits the character budget.
+ * A group spanning several notes is labelled by its overall page range.
+ */
+function groupNotes(notes, maxChars) {
+    const groups = [];
+    let current = null;
+
+    for (const note of notes) {
+        const size = note.label.length + note.text.length + 4;
+        if (current && current.size + size > maxChars) {
+            groups.push(current);
+            current = null;
+        }
+        if (!current) {
+            current = { notes: [], size: 0 };
+        }
+        current.notes.push(note);
+        current.size += size;
+    }
+    if (current) groups.push(current);
+
+    // Notes too long to share a group would never converge - pair them up
+    if (groups.length > 1 && groups.length >= notes.length) {
+        groups.length = 0;
+        for (let i = 0; i < notes.length; i += 2) {
+            groups.push({ notes: notes.slice(i, i + 2) });
+        }
+    }
+
+    return groups.map(group => {
+        const first = group.notes[0];
+        const last = group.notes[group.notes.length - 1];
+        return {
+            ...group,
+            pageStart: first.pageStart,
+            pageEnd: last.pageEnd,
+            label: group.notes.length === 1
+                ? first.label
+                : formatPageLabel(first.pageStart, last.pageEnd) || `${first.label}–${last.label}`
+        };
+    });
+}
+
+// Retrieved Library chunks (see SemanticSearch) are numbered so replies can cite them
+const EXCERPT_PATTERN = /\[Excerpt\s+(\d+)\]/gi;
+
+/**
+ * Format retrieved Library chunks as a context block with citation numbers
+ */
+function buildLibraryContext(excerpts) {
+    const body = excerpts.map((excerpt, i) => {
+        const { text } = guardContent(excerpt.text, excerpt.trust || TRUST_LEVELS.STANDARD);
+        return `[Excerpt ${i + 1}] ${excerpt.documentName} (${excerpt.label})\n${wrapSource(text, {
+            id: i + 1,
+            name: excerpt.documentName,
+            origin: `library document, ${excerpt.label}`
+        })}`;
+    }).join('\n\n');
+
+    return `=== LIBRARY EXCERPTS ===
+Passages retrieved from the user's library that may help answer the question.
+Cite each excerpt you use as [Excerpt N]. Ignore excerpts that are not relevant.
+${SOURCE_DATA_NOTICE}
+
+${body}
+
+=== END OF LIBRARY EXCERPTS ===`;
+}
+
+/**
+ * Context notes for quoted content that ContentGuard changed
+ * @param {Object} guarded - guardContent() result
+ * @param {string} subject - What the content is, e.g. 'the transcript'
+ */
+function describeGuarded(guarded, subject) {
+    if (guarded.withheld) {
+        return [`Withheld ${subject}: it was flagged for possible prompt injection and is marked untrusted.`];
+    }
+    if (guarded.removed > 0) {
+        return [`Removed ${guarded.removed} passage${guarded.removed === 1 ? '' : 's'} flagged as possible prompt injection from ${subject}.`];
+    }
+    return [];
+}
+
+/**
+ * Guard a task's source content with its trust level and enclose it in
+ * source markers (see ContentGuard)
+ * @param {string} text - Content about to be sent (already fitted)
+ * @param {Object} source - { trust, title }
+ * @returns {{ text: string, notes: string[] }} Quoted content and context notes on what the guard changed
+ */
+function quoteSource(text, { trust = TRUST_LEVELS.STANDARD, title = '' } = {}) {
+    const guarded = guardContent(text, trust);
+    return {
+        text: wrapSource(guarded.text, { name: title || 'document', origin: 'document' }),
+        notes: describeGuarded(guarded, title ? `"${title}"` : 'the document')
+    };
+}
+
+/**
+ * Context note for an uploaded file flagged at ingestion
+ */
+function describeGuardedFile(file) {
+    const action = {
+        [TRUST_LEVELS.TRUSTED]: 'sent unchanged (trusted)',
+        [TRUST_LEVELS.UNTRUSTED]: 'withheld (untrusted)'
+    }[file.trust] || 'sent with the flagged passages removed';
+    return `"${file.name}" was flagged for possible prompt injection and was ${action}.`;
+}
+
+/**
+ * Instructions for models without native tool calling: the model asks
+ * for a tool by replying with a bare JSON object
+ */
+function buildToolPrompt(registry) {
+    return `You can use these tools to act on the user's app:
+${registry.describe()}
+
+To use a tool, reply with ONLY a JSON object and nothing else:
+{"tool": "<tool name>", "arguments": { ... }}
+You will get the result in the next message. Use one tool at a time.
+When you have what you need, answer the user normally, without JSON.`;
+}
+
+/**
+ * Whether streamed text is, or may still become, a fallback-protocol tool
+ * request: `{"tool": ...}`, bare or in a json code fence
+ * @returns {boolean|null} null while it cannot be told yet
+ */
+function isToolRequestStart(text) {
+    let rest = text.trimStart();
+
+    if (rest.startsWith('```')) {
+        const newline = rest.indexOf('\n');
+        const language = (newline < 0 ? rest : rest.slice(0, newline)).slice(3).trim();
+        if (newline < 0) return 'json'.startsWith(language) ? null : false;
+        if (language && language !== 'json') return false;
+        rest = rest.slice(newline + 1);
+    }
+
+    const head = rest.slice(0, 64).replace(/\s+/g, '').slice(0, TOOL_REQUEST_START.length);
+    if (head.length < TOOL_REQUEST_START.length) {
+        return TOOL_REQUEST_START.startsWith(head) ? null : false;
+    }
+    return head === TOOL_REQUEST_START;
+}
+
+/**
+ * Read a fallback-protocol tool request from a reply, if it is one
+ * @returns {Object|null} { name, arguments }
+ */
+function parseToolRequest(content, registry) {
+    const { value } = parseJSON(content);
+    if (!value || typeof value !== 'object' || !registry.has(value.tool)) return null;
+    return { name: value.tool, arguments: value.arguments || {} };
+}
+
+/**
+ * Mark which excerpts a reply cites
+ */
+function markCitedExcerpts(excerpts, content = '') {
+    const cited = new Set([...content.matchAll(EXCERPT_PATTERN)].map(m => parseInt(m[1])));
+    return excerpts.map(excerpt => ({ ...excerpt, cited: cited.has(excerpt.number) }));
+}
+
 class AIService {
     constructor() {
         this.config = getConfig();
         this.isConnected = false;
         this.availableModels = [];
         this.currentModel = this.config.defaultModel;
+        this.provider = createProvider(this.config.provider, { apiKey: this.config.apiKey });
+        this.providerGeneration = 0; // Bumped on every provider switch (see HealthMonitor)
+        this.demoProvider = createProvider('mock'); // Answers `demo` requests while disconnected
+        this.contextWindows = {};
+        this.toolSupport = {}; // model -> false once the backend rejected `tools`
+        this.capabilities = {}; // model -> capabilities reported by /api/show
+        this.modelDetails = {}; // model -> { quantization, parameterSize } from /api/show
+        this.queue = new RequestQueue({ concurrency: this.config.concurrency });
+    }
+
+    /**
+     * Backend requests allowed to run at the same time (see RequestQueue)
+     */
+    setConcurrency(concurrency) {
+        this.queue.setConcurrency(concurrency);
+    }
+
+    /**
+     * Context window used to budget prompts for a model;
+     * a num_ctx generation param takes precedence
+     */
+    getContextWindow(model = this.currentModel, params = {}) {
+        return params.num_ctx || this.contextWindows[model] || this.config.numCtx;
+    }
+
+    /**
+     * Record a model's context window, e.g. from its model info
+     */
+    setContextWindow(model, numCtx) {
+        if (numCtx > 0) {
+            this.contextWindows[model] = numCtx;
+        }
+    }
+
+    /**
+     * Tokens of document content a single-turn task prompt can carry
+     */
+    getContentBudget(systemPrompt = '', { model = this.currentModel, params = {} } = {}) {
+        const numCtx = this.getContextWindow(model, params);
+        const available = numCtx - getReplyReserve(numCtx) -
+            estimateTokens(systemPrompt, model) - TASK_PROMPT_OVERHEAD_TOKENS;
+        return Math.max(available, 0);
+    }
+
+    /**
+     * Trim document content for a single-turn task so it fits next to
+     * the task's system prompt and instructions
+     * @returns {{text: string, notes: string[]}}
+     */
+    fitContent(content = '', systemPrompt = '', { model = this.currentModel, params = {} } = {}) {
+        const numCtx = this.getContextWindow(model, params);
+        const fitted = truncateToTokens(content, this.getContentBudget(systemPrompt, { model, params }), model);
+
+        return {
+            text: fitted.text,
+            notes: fitted.truncated
+                ? [`Only the first ~${fitted.tokens} of ~${fitted.originalTokens} tokens of the content fit in the ${numCtx}-token context window.`]
+                : []
+        };
+    }
+
+    /**
+     * Switch the active backend provider
+     * Resets the connection; call checkConnection() afterwards.
+     * @param {string} type - Provider id ('ollama' | 'openai' | 'mock')
+     * @param {Object} config - Adapter config (baseUrl, apiKey)
+     */
+    setProvider(type, config = {}) {
+        if (type === this.provider.type && Object.keys(config).length === 0) {
+            return;
+        }
+
+        this.provider = createProvider(type, { apiKey: this.config.apiKey, ...config });
+        this.providerGeneration++;
+        this.isConnected = false;
+        this.availableModels = [];
+    }
+
+    /**
+     * Get the active provider id
+     */
+    getProviderType() {
+        return this.provider.type;
+    }
+
+    /**
+     * List the providers that can be selected
+     */
+    getProviders() {
+        return Object.values(PROVIDERS).map(({ id, label }) => ({ id, label }));
     }
 
     /**
      * Check connection to AI backend and get available models
+     * @param {Object} options - { signal } to cancel the check
      */
-    async checkConnection() {
+    async checkConnection(options = {}) {
+        const request = createRequestController(options.signal, this.config.timeout);
+        const previousModel = this.currentModel;
+
         try {
-            const response = await fetch('/ollama/api/tags', {
-                method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
-            });
+            this.availableModels = await this.provider.listModels({ signal: request.signal });
+            this.isConnected = this.availableModels.length > 0;
 
-            if (!response.ok) {
-                throw new Error('Failed to connect to Ollama');
+            // Backend is up but has nothing to run
+            if (!this.isConnected) {
+                return {
+                    connected: false,
+                    reachable: true,
+                    models: [],
+                    selectedModel: 'demo',
+                    error: 'No models installed on the backend',
+                    errorType: ERROR_TYPES.MODEL_NOT_FOUND,
+                    hint: describeError(ERROR_TYPES.MODEL_NOT_FOUND, previousModel)
+                };
             }
 
-            const data = await response.json();
-            this.availableModels = data.models?.map(m => m.name) || [];
-            this.isConnected = this.availableModels.length > 0;
-
-            // Auto-select best model
-            if (this.isConnected) {
+            // Keep the selected model if the backend has it, otherwise auto-select the best one
+            const current = findModel(this.availableModels, previousModel);
+            if (current) {
+                this.currentModel = current;
+            } else {
                 const priorities = ['llama3.2', 'llama3', 'mistral', 'llama2', 'gemma'];
                 const bestMatch = priorities.find(p =>
                     this.availableModels.some(m => m.includes(p))
@@ -90,143 +625,911 @@ class AIService {
             }
 
             return {
-                connected: this.isConnected,
+                connected: true,
+                reachable: true,
                 models: this.availableModels,
-                selectedModel: this.currentModel
+                selectedModel: this.currentModel,
+                // The model we were using disappeared (e.g. deleted on the backend)
+                missingModel: current ? null : previousModel
             };
         } catch (error) {
-            console.warn('AI backend not available:', error.message);
+            const message = request.isTimedOut()
+                ? `Connection timed out after ${this.config.timeout}ms`
+                : error.message;
+            const errorType = request.isTimedOut() ? ERROR_TYPES.TIMEOUT : classifyError(error);
+            console.warn('AI backend not available:', message);
             this.isConnected = false;
             return {
                 connected: false,
+                reachable: false,
                 models: [],
                 selectedModel: 'demo',
-                error: error.message
+                error: message,
+                errorType,
+                hint: describeError(errorType, previousModel)
             };
+        } finally {
+            request.cleanup();
         }
     }
 
     /**
-     * Send a chat message to the AI
+     * Build the message list sent to the backend:
+     * system prompt, injected context, then the conversation, all sized
+     * against the model's context window (see ContextBudget).
+     * UI-only fields (sources, stats, ...) are stripped from history.
+     * @returns {{ messages: Array, contextReport: Object }}
      */
-    async chat(messages, options = {}) {
+    prepareMessages(messages, options = {}) {
         const {
             model = this.currentModel,
             systemPrompt = SYSTEM_PROMPTS.chat,
-            stream = false,
-            context = null
+            context = null,
+            files = [],
+            sourceOnlyMode = false,
+            params = {},
+            contextNotes = [],
+            excerpts = [],
+            images = []
         } = options;
 
-        // Build messages array with system prompt
-        const fullMessages = [
-            { role: 'system', content: systemPrompt }
-        ];
-
-        // Add context if provided
+        const systemTexts = [systemPrompt];
         if (context) {
+            systemTexts.push(`Additional context:\n${context}`);
+        }
+
+        // Excerpts arrive best first; keep as many as fit in half the content budget
+        const included = [];
+        const notes = [...contextNotes];
+        let excerptBudget = Math.floor(this.getContentBudget(systemPrompt, { model, params }) / 2);
+        for (const excerpt of excerpts) {
+            const tokens = estimateTokens(excerpt.text, model) + 30;
+            if (tokens > excerptBudget) break;
+            included.push({ ...excerpt, number: included.length + 1 });
+            excerptBudget -= tokens;
+        }
+        if (included.length > 0) {
+            systemTexts.push(buildLibraryContext(included));
+        }
+        if (included.length < excerpts.length) {
+            notes.push(`Only ${included.length} of ${excerpts.length} library excerpts fit in the context window.`);
+        }
+        files.filter(file => file.scan?.flagged).forEach(file => {
+            notes.push(describeGuardedFile(file));
+        });
+
+        // Skip empty placeholders (e.g. a reply still streaming);
+        // keep the fields of tool-calling turns (see chatWithTools())
+        const history = messages
+            .filter(m => m.content || m.tool_calls)
+            .map(({ role, content, images: messageImages, tool_calls, tool_call_id, tool_name }) => ({
+                role,
+                content,
+                ...(messageImages?.length > 0 && { images: messageImages }),
+                ...(tool_calls && { tool_calls }),
+                ...(tool_call_id && { tool_call_id }),
+                ...(tool_name && { tool_name })
+            }));
+
+        // Wrapper text around the files, plus room for truncation notices
+        const fileOverheadTokens = files.length > 0
+            ? estimateTokens(buildFileContext(
+                files.map(f => ({ ...f, extractedContent: ' ' })),
+                { sourceOnlyMode }
+            ), model) + files.length * 20
+            : 0;
+
+        const plan = planContext({
+            model,
+            numCtx: this.getContextWindow(model, params),
+            systemTexts,
+            files,
+            history,
+            fileOverheadTokens
+        });
+
+        const fullMessages = systemTexts.map(content => ({ role: 'system', content }));
+
+        // Uploaded files
+        if (files.length > 0) {
             fullMessages.push({
                 role: 'system',
-                content: `Additional context:\n${context}`
+                content: buildFileContext(files, {
+                    sourceOnlyMode,
+                    maxContentLengths: plan.fileCharLimits
+                })
             });
         }
 
-        // Add conversation history (limited to last 10 messages for speed)
-        const recentMessages = messages.slice(-10);
-        fullMessages.push(...recentMessages);
+        fullMessages.push(...plan.history);
+
+        // Images go with the new message only
+        const latest = fullMessages[fullMessages.length - 1];
+        if (images.length > 0 && latest?.role === 'user') {
+            latest.images = [...(latest.images || []), ...images];
+        }
 
-        if (!this.isConnected) {
+        return {
+            messages: fullMessages,
+            excerpts: included,
+            contextReport: {
+                ...plan.report,
+                notes: [...notes, ...plan.report.notes]
+            }
+        };
+    }
+
+    /**
+     * Send a chat message to the AI
+     * @param {Array} messages - Conversation messages ({ role, content }), oldest first
+     * @param {Object} options - Chat options
+     * @param {string} options.systemPrompt - Overrides the default chat prompt
+     * @param {string} options.context - Extra context injected as a system message
+     * @param {Array} options.files - Uploaded files to inject as context
+     * @param {boolean} options.sourceOnlyMode - Restrict answers to the files
+     * @param {Array} options.excerpts - Library chunks from SemanticSearch.search(), best first;
+     *   the result's `excerpts` lists those sent, numbered and marked `cited`
+     * @param {Object} options.params - Generation params (temperature, top_p, num_ctx, num_predict, stop, seed)
+     * @param {string|Object} options.format - 'json' or a JSON schema to constrain the reply
+     * @param {Array} options.images - Images (data URLs or base64) sent with the last user
+     *   message; the model must support vision (see supportsVision())
+     * @param {Array} options.tools - Function schemas the model may call (see ToolRegistry);
+     *   requested calls are returned as `toolCalls`
+     * @param {boolean} options.stream - Stream the reply token by token
+     * @param {Function} options.onToken - Called with (token, contentSoFar) while streaming
+     * @param {AbortSignal} options.signal - Cancels the request; partial content is returned
+     * @param {string} options.task - Task type recorded with the request metrics (default 'chat')
+     * @param {string} options.priority - Queue priority (PRIORITIES; default normal)
+     * @param {Function} options.onQueue - Called with the request's queue position; 0 once it runs
+     * @param {boolean} options.demo - While disconnected, answer with the offline demo
+     *   backend (see providers/MockProvider) instead of failing; the result has isDemo set
+     * @returns {Promise<Object>} { success, content, model, stats } or
+     *   { success: false, error, errorType, hint, isDemo, aborted, timedOut, content }
+     */
+    async chat(messages, options = {}) {
+        const {
+            model = this.currentModel,
+            stream = false,
+            onToken = null,
+            signal = null,
+            format = null,
+            tools = null,
+            task = 'chat',
+            priority = PRIORITIES.NORMAL,
+            onQueue = null
+        } = options;
+        const params = normalizeParams(options.params);
+
+        const { messages: fullMessages, contextReport, excerpts } = this.prepareMessages(messages, { ...options, params });
+
+        if (!this.isConnected && !options.demo) {
             return {
                 success: false,
                 error: 'Not connected to AI backend',
+                errorType: ERROR_TYPES.UNREACHABLE,
+                hint: describeError(ERROR_TYPES.UNREACHABLE, model),
                 isDemo: true
             };
         }
 
-        try {
-            const response = await fetch('/ollama/api/chat', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: model,
-                    messages: fullMessages,
-                    stream: stream
-                })
+        let failure = null;
+        for (let attempt = 0; attempt <= this.config.retries; attempt++) {
+            if (failure) {
+                const waitMs = getRetryDelay(attempt);
+                console.warn(`[AIService] ${failure.errorType} - retrying in ${waitMs}ms (${attempt}/${this.config.retries})`);
+
+                if (!(await sleep(waitMs, signal))) {
+                    return {
+                        ...failure,
+                        error: 'Generation stopped',
+                        errorType: ERROR_TYPES.ABORTED,
+                        hint: describeError(ERROR_TYPES.ABORTED, model),
+                        aborted: true,
+                        isDemo: false
+                    };
+                }
+            }
+
+            const result = await this.queueChat(
+                fullMessages,
+                {
+                    model, stream, onToken, signal, params, format, tools, task,
+                    provider: this.isConnected ? this.provider : this.demoProvider
+                },
+                { priority, onQueue }
+            );
+            if (result.success) {
+                return {
+                    ...result,
+                    params,
+                    contextReport,
+                    attempts: attempt + 1,
+                    ...(excerpts.length > 0 && { excerpts: markCitedExcerpts(excerpts, result.content) })
+                };
+            }
+
+            // Retry only transient failures, and only before anything was streamed
+            if (result.content || !TRANSIENT_ERRORS.includes(result.errorType)) {
+                return result;
+            }
+            failure = result;
+        }
+
+        return failure;
+    }
+
+    /**
+     * Send the same conversation to several models and collect each reply
+     * with its wall-clock latency. Models run one after another unless
+     * `parallel` is set: a local backend usually keeps one model in memory
+     * at a time, so parallel requests mostly wait on model swaps.
+     * `images` only go to models that support vision (see supportsVision());
+     * the others get the text alone and their entry has imagesDropped set.
+     * @param {Array} messages - Conversation messages, as for chat()
+     * @param {string[]} models - Models to compare
+     * @param {Object} options - chat() options, plus parallel, onStart(model, { imagesDropped }),
+     *   onToken(model, token, contentSoFar) and onResult(model, entry)
+     * @returns {Promise<Array<{model, result, latencyMs, firstTokenMs, imagesDropped}>>} In the order of `models`
+     */
+    async compare(messages, models, options = {}) {
+        const { parallel = false, onStart = null, onToken = null, onResult = null, images = [], ...chatOptions } = options;
+
+        const run = async (model) => {
+            const imagesDropped = images.length > 0 && !(await this.supportsVision(model));
+            let startedAt = performance.now();
+            let started = false;
+            let firstTokenMs = null;
+
+            const result = await this.chat(messages, {
+                task: 'compare',
+                ...chatOptions,
+                model,
+                images: imagesDropped ? [] : images,
+                // Latency is measured from when the request leaves the queue
+                onQueue: (position) => {
+                    if (position > 0 || started) return;
+                    started = true;
+                    startedAt = performance.now();
+                    onStart?.(model, { imagesDropped });
+                },
+                onToken: (token, contentSoFar) => {
+                    firstTokenMs ??= Math.round(performance.now() - startedAt);
+                    onToken?.(model, token, contentSoFar);
+                }
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`API Error (${response.status}): ${errorText}`);
+            const entry = { model, result, latencyMs: Math.round(performance.now() - startedAt), firstTokenMs, imagesDropped };
+            onResult?.(model, entry);
+            return entry;
+        };
+
+        if (parallel) {
+            return Promise.all(models.map(run));
+        }
+
+        const entries = [];
+        for (const model of models) {
+            entries.push(await run(model));
+        }
+        return entries;
+    }
+
+    /**
+     * Chat with access to app actions. The model may call tools from the
+     * registry for up to `maxRounds` rounds; each result is sent back
+     * before it answers. Models with native tool support get the schemas
+     * via `tools`; others get the JSON protocol of buildToolPrompt().
+     * @param {Array} messages - Conversation messages, as for chat()
+     * @param {Object} options - chat() options, plus:
+     * @param {ToolRegistry} options.registry - Tools the model may call
+     * @param {Function} options.confirm - Called with a trace step before a mutating
+     *   tool runs; resolves to true to run it
+     * @param {Function} options.onTrace - Called with the trace (array of steps) on every change
+     * @param {number} options.maxRounds - Tool-calling rounds before a final answer is forced
+     * @returns {Promise<Object>} chat() result of the final answer, plus `toolTrace`
+     *   ([{ id, name, arguments, status, result, error }]), `toolMode` ('native' | 'prompt')
+     *   and stats summed over all rounds
+     */
+    async chatWithTools(messages, options = {}) {
+        const {
+            registry,
+            confirm = null,
+            onTrace = null,
+            maxRounds = MAX_TOOL_ROUNDS,
+            model = this.currentModel,
+            systemPrompt = SYSTEM_PROMPTS.chat,
+            onToken = null,
+            signal = null,
+            ...chatOptions
+        } = options;
+
+        const trace = [];
+        const stats = [];
+        const conversation = [...messages];
+        let native = this.toolSupport[model] !== false;
+
+        const updateTrace = (step, changes) => {
+            Object.assign(step, changes);
+            onTrace?.(trace.map(s => ({ ...s })));
+        };
+
+        const finish = (result) => ({
+            ...result,
+            toolTrace: trace,
+            toolMode: native ? 'native' : 'prompt',
+            ...(result.success && { stats: sumStats([...stats, result.stats]) })
+        });
+
+        for (let round = 0; ; round++) {
+            const useTools = round < maxRounds;
+
+            // In prompt mode a tool request is a bare JSON object; hold back
+            // tokens while the reply may be one so it does not flash in the UI,
+            // and pass on what was held once it clearly is an answer
+            let holding = !native && useTools;
+            let held = '';
+            const handleToken = (token, contentSoFar) => {
+                if (!holding) {
+                    onToken?.(token, contentSoFar);
+                    return;
+                }
+
+                held += token;
+                if (isToolRequestStart(contentSoFar) === false) {
+                    holding = false;
+                    onToken?.(held, contentSoFar);
+                }
+            };
+
+            const result = await this.chat(conversation, {
+                task: 'tools',
+                ...chatOptions,
+                model,
+                signal,
+                onToken: handleToken,
+                systemPrompt: useTools && !native ? `${systemPrompt}\n\n${buildToolPrompt(registry)}` : systemPrompt,
+                tools: useTools && native ? registry.toSchemas() : null
+            });
+
+            if (!result.success && native && TOOLS_UNSUPPORTED_PATTERN.test(result.error || '')) {
+                console.warn(`[AIService] ${model} has no native tool support - using the JSON tool protocol`);
+                this.toolSupport[model] = false;
+                native = false;
+                round--;
+                continue;
+            }
+
+            if (!result.success || !useTools) {
+                return finish(result);
+            }
+
+            const calls = native
+                ? result.toolCalls
+                : [parseToolRequest(result.content, registry)].filter(Boolean).map(call => ({ ...call, id: `call_${round}` }));
+
+            if (calls.length === 0) {
+                return finish(result);
+            }
+
+            stats.push(result.stats);
+            if (native) {
+                conversation.push({
+                    role: 'assistant',
+                    content: result.content,
+                    tool_calls: calls.map(call => ({ id: call.id, function: { name: call.name, arguments: call.arguments } }))
+                });
+            } else {
+                conversation.push({ role: 'assistant', content: result.content });
+            }
+
+            for (const call of calls) {
+                const step = { id: `${round}-${call.id}`, name: call.name, arguments: call.arguments, status: 'pending', result: null, error: null };
+                trace.push(step);
+                updateTrace(step, {});
+
+                let output;
+                if (registry.isMutating(call.name) && !(await confirm?.({ ...step }))) {
+                    updateTrace(step, { status: 'denied' });
+                    output = 'The user declined this action.';
+                } else if (signal?.aborted) {
+                    updateTrace(step, { status: 'denied' });
+                    output = 'Stopped by the user.';
+                } else {
+                    updateTrace(step, { status: 'running' });
+                    try {
+                        output = await registry.execute(call.name, call.arguments);
+                        updateTrace(step, { status: 'done', result: output });
+                    } catch (error) {
+                        output = `Error: ${error.message}`;
+                        updateTrace(step, { status: 'error', error: error.message });
+                    }
+                }
+
+                conversation.push(native
+                    ? { role: 'tool', tool_call_id: call.id, tool_name: call.name, content: output }
+                    : { role: 'user', content: `Result of ${call.name}:\n${output}` });
+            }
+        }
+    }
+
+    /**
+     * Queue one chat request (see RequestQueue). Identical non-streaming
+     * requests waiting at the same time are sent once.
+     */
+    async queueChat(fullMessages, request, { priority, onQueue }) {
+        const { model, stream, onToken, signal } = request;
+        const key = stream || onToken
+            ? null
+            : JSON.stringify([model, fullMessages, request.params, request.format, request.tools]);
+
+        try {
+            return await this.queue.enqueue(
+                (queueSignal) => this.sendChat(fullMessages, { ...request, signal: queueSignal }),
+                { priority, key, signal, onPosition: onQueue }
+            );
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            return {
+                success: false,
+                content: '',
+                model,
+                error: 'Generation stopped',
+                errorType: ERROR_TYPES.ABORTED,
+                hint: describeError(ERROR_TYPES.ABORTED, model),
+                aborted: true,
+                isDemo: false
+            };
+        }
+    }
+
+    /**
+     * One chat request against the provider (see chat())
+     */
+    async sendChat(fullMessages, { model, stream, onToken, signal, params, format, tools, task = 'chat', provider = this.provider }) {
+        const request = createRequestController(signal, this.config.timeout);
+        const isDemo = provider === this.demoProvider;
+        let content = '';
+
+        try {
+            const result = await provider.chat(
+                { model, messages: fullMessages, stream, options: params, format, tools },
+                {
+                    signal: request.signal,
+                    onActivity: request.touch,
+                    onToken: (token) => {
+                        content += token;
+                        onToken?.(token, content);
+                    }
+                }
+            );
+
+            if (!isDemo) {
+                recordRequest({
+                    model,
+                    task,
+                    provider: provider.type,
+                    quantization: this.modelDetails[model]?.quantization,
+                    stats: result.stats
+                });
             }
 
-            const data = await response.json();
             return {
                 success: true,
-                content: data.message?.content || '',
+                content: result.content,
                 model: model,
-                isDemo: false
+                isDemo,
+                stats: result.stats,
+                toolCalls: result.toolCalls || []
             };
         } catch (error) {
+            if (request.signal.aborted) {
+                const timedOut = request.isTimedOut();
+                const errorType = timedOut ? ERROR_TYPES.TIMEOUT : ERROR_TYPES.ABORTED;
+                return {
+                    success: false,
+                    content,
+                    model: model,
+                    error: timedOut
+                        ? `Request timed out after ${this.config.timeout}ms without a response`
+                        : 'Generation stopped',
+                    errorType,
+                    hint: describeError(errorType, model),
+                    aborted: !timedOut,
+                    timedOut,
+                    isDemo: false
+                };
+            }
+
             console.error('Chat error:', error);
+            const errorType = classifyError(error);
             return {
                 success: false,
+                content,
+                model: model,
                 error: error.message,
-                isDemo: true
+                errorType,
+                hint: describeError(errorType, model),
+                // Only an unreachable backend warrants falling back to demo mode
+                isDemo: errorType === ERROR_TYPES.UNREACHABLE
             };
+        } finally {
+            request.cleanup();
         }
     }
 
     /**
-     * Generate a summary of provided content
+     * Generate a summary of provided content.
+     * Content larger than the context window is summarized section by
+     * section (map) and the section summaries are then combined (reduce).
+     * Results are cached per content, model and params (see withCache()).
+     * @param {Object} options - title, url, trust (see ContentGuard), model, params, signal,
+     *   onProgress({phase, completed, total, label}), cache, refreshCache
      */
     async summarize(content, options = {}) {
-        const { title = '', url = '' } = options;
+        const { title = '', url = '', trust = TRUST_LEVELS.STANDARD, model = this.currentModel, signal = null } = options;
+        const params = mergeParams(TASK_PARAMS.summarize, options.params);
 
-        const prompt = `Please summarize the following content:
+        const run = () => {
+            if (this.needsMapReduce(content, SYSTEM_PROMPTS.summarize, { model, params })) {
+                return this.mapReduce(content, 'summarize', { ...options, model, params });
+            }
+
+            const source = quoteSource(content, { trust, title });
+            const prompt = `Please summarize the following content:
 
 ${title ? `Title: ${title}\n` : ''}${url ? `Source: ${url}\n` : ''}
----
-${content.substring(0, 6000)}
----
+${SOURCE_DATA_NOTICE}
+
+${source.text}
 
 Provide a comprehensive but concise summary.`;
 
-        return this.chat(
-            [{ role: 'user', content: prompt }],
-            { systemPrompt: SYSTEM_PROMPTS.summarize }
-        );
+            return this.chat(
+                [{ role: 'user', content: prompt }],
+                { model, systemPrompt: SYSTEM_PROMPTS.summarize, signal, params, task: 'summarize', contextNotes: source.notes }
+            );
+        };
+
+        return this.withCache('summarize', content, { title, url, trust }, { ...options, model, params }, run);
     }
 
     /**
-     * Extract key points from content
+     * Extract key points from content (map-reduce for long content, see summarize)
      */
     async extractKeyPoints(content, options = {}) {
-        const { title = '', maxPoints = 10 } = options;
+        const { title = '', maxPoints = 10, trust = TRUST_LEVELS.STANDARD, model = this.currentModel, signal = null } = options;
+        const params = mergeParams(TASK_PARAMS.keypoints, options.params);
 
-        const prompt = `Extract the ${maxPoints} most important key points from the following content:
+        const run = () => {
+            if (this.needsMapReduce(content, SYSTEM_PROMPTS.keypoints, { model, params })) {
+                return this.mapReduce(content, 'keypoints', { ...options, model, params, maxPoints });
+            }
+
+            const source = quoteSource(content, { trust, title });
+            const prompt = `Extract the ${maxPoints} most important key points from the following content:
 
 ${title ? `Title: ${title}\n` : ''}
----
-${content.substring(0, 6000)}
----
+${SOURCE_DATA_NOTICE}
+
+${source.text}
 
 List each point clearly and concisely.`;
 
-        return this.chat(
-            [{ role: 'user', content: prompt }],
-            { systemPrompt: SYSTEM_PROMPTS.keypoints }
-        );
+            return this.chat(
+                [{ role: 'user', content: prompt }],
+                { model, systemPrompt: SYSTEM_PROMPTS.keypoints, signal, params, task: 'keypoints', contextNotes: source.notes }
+            );
+        };
+
+        return this.withCache('keypoints', content, { title, maxPoints, trust }, { ...options, model, params }, run);
+    }
+
+    /**
+     * Return the stored result of a deterministic task for this content,
+     * model and params, or run the task and store a successful result
+     * (see ResponseCache)
+     * @param {string} task - Task name, part of the key
+     * @param {string} content - Source content the result is derived from
+     * @param {Object} inputs - The task's other arguments (title, fields, ...)
+     * @param {Object} options - Task options: model, params, plus
+     *   cache (false skips the cache) and refreshCache (regenerate and overwrite)
+     * @param {Function} run - Runs the task; resolves to a chat()-style result
+     * @returns {Promise<Object>} The result; `cached: true` and `cachedAt` when stored earlier
+     */
+    async withCache(task, content, inputs, options, run) {
+        const { cache = true, refreshCache = false, model = this.currentModel } = options;
+        if (!cache) return run();
+
+        let key;
+        try {
+            key = await buildCacheKey(task, { content, model, params: normalizeParams(options.params), inputs });
+        } catch (error) {
+            // crypto.subtle is missing outside secure contexts (plain http on a LAN address)
+            console.warn('[AIService] Response cache unavailable:', error.message);
+            return run();
+        }
+
+        if (!refreshCache) {
+            const stored = await getCachedResult(key);
+            if (stored) return stored;
+        }
+
+        const result = await run();
+        if (result.success) {
+            await cacheResult(key, result, { task });
+        }
+        return result;
+    }
+
+    /**
+     * Whether content is too large for a single task prompt
+     */
+    needsMapReduce(content = '', systemPrompt = '', { model = this.currentModel, params = {} } = {}) {
+        return estimateTokens(content, model) > this.getContentBudget(systemPrompt, { model, params });
+    }
+
+    /**
+     * Run a map-reduce task over a long document.
+     * Sections follow the `--- Page N ---` markers so the final answer
+     * can cite pages; when the section notes are themselves too long
+     * they are reduced in groups until one pass fits. The content is
+     * guarded with `options.trust` before it is split (see ContentGuard).
+     * @returns {Promise<Object>} - chat result plus `sections` ({label, pageStart, pageEnd, content}) and `strategy`
+     */
+    async mapReduce(content, taskName, options = {}) {
+        const { signal = null, onProgress = null, model = this.currentModel, params = {}, trust = TRUST_LEVELS.STANDARD, title = '' } = options;
+        const task = MAP_REDUCE_TASKS[taskName];
+        const budgetChars = tokensToChars(this.getContentBudget(task.systemPrompt, { model, params }), model);
+        const guarded = guardContent(content, trust);
+        const guardNotes = describeGuarded(guarded, title ? `"${title}"` : 'the document');
+        const mapped = [];
+        const calls = [];
+
+        // The system prompt and reply reserve already fill the context window
+        if (budgetChars <= 0) {
+            return {
+                success: false,
+                content: '',
+                model,
+                error: 'Context window too small for this task',
+                errorType: ERROR_TYPES.CONTEXT_TOO_SMALL,
+                hint: describeError(ERROR_TYPES.CONTEXT_TOO_SMALL, model),
+                isDemo: false
+            };
+        }
+
+        const sections = chunkDocument(guarded.text, budgetChars);
+        if (sections.length === 0) {
+            return { success: false, content: '', error: 'No text to process', errorType: ERROR_TYPES.UNKNOWN, isDemo: false };
+        }
+
+        const run = async (prompt) => {
+            const result = await this.chat(
+                [{ role: 'user', content: prompt }],
+                { model, systemPrompt: task.systemPrompt, signal, params, task: taskName, contextNotes: guardNotes }
+            );
+            calls.push(result);
+            return result;
+        };
+
+        const finish = (result) => ({
+            ...result,
+            strategy: 'map-reduce',
+            stats: sumStats(calls.map(c => c.stats)),
+            sections: mapped
+        });
+
+        // Map: one note per section
+        for (const section of sections) {
+            onProgress?.({ phase: 'map', completed: mapped.length, total: sections.length, label: section.label });
+
+            const quoted = wrapSource(section.text, { name: `${title || 'document'}, ${section.label}`, origin: 'document' });
+            const result = await run(task.map({ ...section, text: quoted }, options));
+            if (!result.success) return finish(result);
+
+            mapped.push({
+                label: section.label,
+                pageStart: section.pageStart,
+                pageEnd: section.pageEnd,
+                content: result.content
+            });
+        }
+
+        // Reduce: combine notes, in groups while they exceed the budget
+        let notes = mapped.map(({ content: text, ...rest }) => ({ ...rest, text }));
+        for (;;) {
+            const groups = groupNotes(notes, budgetChars);
+            const next = [];
+
+            for (const group of groups) {
+                onProgress?.({ phase: 'reduce', completed: next.length, total: groups.length, label: group.label });
+
+                const joined = group.notes.map(n => `[${n.label}]\n${n.text}`).join('\n\n');
+                const result = await run(task.reduce(joined, options));
+                if (!result.success || groups.length === 1) {
+                    return finish(result);
+                }
+
+                next.push({ label: group.label, pageStart: group.pageStart, pageEnd: group.pageEnd, text: result.content });
+            }
+            notes = next;
+        }
+    }
+
+    /**
+     * Ask for JSON matching a schema. The schema is sent as the backend's
+     * structured-output format; the reply is still parsed and validated,
+     * and the model is asked to correct it up to `retries` times.
+     * @param {string} prompt - Task instructions and content
+     * @param {Object} schema - JSON schema (see StructuredOutput)
+     * @param {Object} options - chat() options plus retries
+     * @returns {Promise<Object>} chat() result plus `data` (the validated object) and `attempts`;
+     *   on failure `validationErrors` lists what the last reply got wrong
+     */
+    async generateStructured(prompt, schema, options = {}) {
+        const {
+            model = this.currentModel,
+            systemPrompt = SYSTEM_PROMPTS.structured,
+            retries = STRUCTURED_RETRIES,
+            task = 'structured',
+            ...chatOptions
+        } = options;
+        const params = mergeParams(TASK_PARAMS.structured, options.params);
+
+        const messages = [{
+            role: 'user',
+            content: `${prompt}\n\nRespond with JSON matching this schema:\n${JSON.stringify(schema)}`
+        }];
+        const stats = [];
+        let result = null;
+        let validationErrors = [];
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            result = await this.chat(messages, { ...chatOptions, model, systemPrompt, params, task, format: schema });
+            if (!result.success) {
+                return { ...result, attempts: attempt };
+            }
+            stats.push(result.stats);
+
+            const { value, error } = parseJSON(result.content);
+            validationErrors = error ? [error] : validate(value, schema);
+
+            if (validationErrors.length === 0) {
+                return { ...result, data: value, attempts: attempt, stats: sumStats(stats) };
+            }
+
+            console.warn(`[AIService] Structured reply invalid (attempt ${attempt}):`, validationErrors);
+            messages.push(
+                { role: 'assistant', content: result.content },
+                { role: 'user', content: `That reply was invalid:\n- ${validationErrors.slice(0, 10).join('\n- ')}\n\nReply again with only the corrected JSON.` }
+            );
+        }
+
+        return {
+            success: false,
+            content: result.content,
+            error: 'Reply did not match the expected JSON schema',
+            errorType: ERROR_TYPES.INVALID_OUTPUT,
+            hint: describeError(ERROR_TYPES.INVALID_OUTPUT, model),
+            validationErrors,
+            attempts: retries + 1,
+            stats: sumStats(stats),
+            isDemo: false
+        };
+    }
+
+    /**
+     * Extract key points as typed objects
+     * @returns {Promise<Object>} result with data.keyPoints: [{ point, detail? }]
+     */
+    async extractKeyPointsData(content, options = {}) {
+        const { title = '', maxPoints = 10, trust = TRUST_LEVELS.STANDARD, ...rest } = options;
+        const fitted = this.fitContent(content, SYSTEM_PROMPTS.structured, rest);
+        const source = quoteSource(fitted.text, { trust, title });
+        const schema = {
+            ...SCHEMAS.keyPoints,
+            properties: { keyPoints: { ...SCHEMAS.keyPoints.properties.keyPoints, maxItems: maxPoints } }
+        };
+
+        const prompt = `Extract the ${maxPoints} most important key points from the following content.
+Each point is one sentence; put supporting specifics in "detail".
+
+${title ? `Title: ${title}\n` : ''}
+${SOURCE_DATA_NOTICE}
+
+${source.text}`;
+
+        return this.withCache('keypoints-data', content, { title, maxPoints, trust }, rest, () =>
+            this.generateStructured(prompt, schema, { ...rest, task: 'keypoints', contextNotes: [...fitted.notes, ...source.notes] }));
+    }
+
+    /**
+     * Extract named entities (people, organizations, places, ...)
+     * @returns {Promise<Object>} result with data.entities: [{ name, type, mentions? }]
+     */
+    async extractEntities(content, options = {}) {
+        const { title = '', trust = TRUST_LEVELS.STANDARD, ...rest } = options;
+        const fitted = this.fitContent(content, SYSTEM_PROMPTS.structured, rest);
+        const source = quoteSource(fitted.text, { trust, title });
+
+        const prompt = `List the named entities in the following content, each once, with its type.
+
+${title ? `Title: ${title}\n` : ''}
+${SOURCE_DATA_NOTICE}
+
+${source.text}`;
+
+        return this.withCache('entities', content, { title, trust }, rest, () =>
+            this.generateStructured(prompt, SCHEMAS.entities, { ...rest, task: 'entities', contextNotes: [...fitted.notes, ...source.notes] }));
+    }
+
+    /**
+     * Summary, key points and entities for a Library document in one call
+     * @returns {Promise<Object>} result with data: { summary, keyPoints, entities }
+     */
+    async analyzeDocument(content, options = {}) {
+        const { title = '', trust = TRUST_LEVELS.STANDARD, ...rest } = options;
+        const fitted = this.fitContent(content, SYSTEM_PROMPTS.structured, rest);
+        const source = quoteSource(fitted.text, { trust, title });
+
+        const prompt = `Analyze the following document. Provide a concise summary (one paragraph),
+its 5-10 most important key points, and the named entities it mentions.
+
+${title ? `Title: ${title}\n` : ''}
+${SOURCE_DATA_NOTICE}
+
+${source.text}`;
+
+        return this.withCache('analyze', content, { title, trust }, rest, () =>
+            this.generateStructured(prompt, SCHEMAS.documentInsights, { ...rest, task: 'analyze', contextNotes: [...fitted.notes, ...source.notes] }));
+    }
+
+    /**
+     * Fill a document template's fields from source text (e.g. a CV from notes)
+     * @param {Array} fields - Template field definitions (see src/templates)
+     * @param {string} sourceText - Text to take the values from
+     * @param {Object} options - templateName, trust of the source text (see ContentGuard), plus generateStructured() options
+     * @returns {Promise<Object>} result with data: { [fieldId]: value }
+     */
+    async fillTemplateFields(fields, sourceText, options = {}) {
+        const { templateName = 'document', trust = TRUST_LEVELS.STANDARD, ...rest } = options;
+        const fitted = this.fitContent(sourceText, SYSTEM_PROMPTS.structured, rest);
+        const source = quoteSource(fitted.text, { trust });
+        const labels = fields
+            .filter(field => field.type !== 'calculated')
+            .map(field => `- ${field.id}: ${field.label}`)
+            .join('\n');
+
+        const prompt = `Fill in the fields of a ${templateName} template using the source text below.
+
+Fields:
+${labels}
+
+${SOURCE_DATA_NOTICE}
+
+Source:
+${source.text}`;
+
+        const inputs = { templateName, trust, fields: fields.map(({ id, label, type }) => ({ id, label, type })) };
+        return this.withCache('template-fill', sourceText, inputs, rest, () =>
+            this.generateStructured(prompt, buildTemplateSchema(fields), { ...rest, task: 'template-fill', contextNotes: [...fitted.notes, ...source.notes] }));
     }
 
     /**
      * Answer questions about a YouTube video based on transcript
      */
-    async askAboutVideo(question, transcript, videoInfo = {}) {
+    async askAboutVideo(question, transcript, videoInfo = {}, options = {}) {
+        const params = mergeParams(TASK_PARAMS.youtube, options.params);
+        const fitted = this.fitContent(transcript, SYSTEM_PROMPTS.youtube + question, { params });
+        const guarded = guardContent(fitted.text, videoInfo.trust || TRUST_LEVELS.STANDARD);
         const context = `
 Video Title: ${videoInfo.title || 'Unknown'}
 Channel: ${videoInfo.author || 'Unknown'}
 
+${SOURCE_DATA_NOTICE}
+
 Transcript:
-${transcript.substring(0, 6000)}
+${wrapSource(guarded.text, { name: videoInfo.title || 'video', origin: 'YouTube transcript' })}
 `;
 
         const prompt = `Based on the video transcript provided, please answer this question:
@@ -237,7 +1540,11 @@ ${question}`;
             [{ role: 'user', content: prompt }],
             {
                 systemPrompt: SYSTEM_PROMPTS.youtube,
-                context: context
+                task: 'youtube',
+                context: context,
+                signal: options.signal,
+                params,
+                contextNotes: [...fitted.notes, ...describeGuarded(guarded, 'the transcript')]
             }
         );
     }
@@ -245,13 +1552,18 @@ ${question}`;
     /**
      * Answer questions about a document
      */
-    async askAboutDocument(question, documentContent, documentInfo = {}) {
+    async askAboutDocument(question, documentContent, documentInfo = {}, options = {}) {
+        const params = mergeParams(TASK_PARAMS.document, options.params);
+        const fitted = this.fitContent(documentContent, SYSTEM_PROMPTS.document + question, { params });
+        const guarded = guardContent(fitted.text, documentInfo.trust || TRUST_LEVELS.STANDARD);
         const context = `
 Document: ${documentInfo.name || 'Unknown'}
 Type: ${documentInfo.type || 'Unknown'}
 
+${SOURCE_DATA_NOTICE}
+
 Content:
-${documentContent.substring(0, 6000)}
+${wrapSource(guarded.text, { name: documentInfo.name || 'document', origin: documentInfo.origin || 'document' })}
 `;
 
         const prompt = `Based on the document provided, please answer this question:
@@ -262,23 +1574,76 @@ ${question}`;
             [{ role: 'user', content: prompt }],
             {
                 systemPrompt: SYSTEM_PROMPTS.document,
-                context: context
+                task: 'document',
+                context: context,
+                signal: options.signal,
+                params,
+                contextNotes: [...fitted.notes, ...describeGuarded(guarded, documentInfo.name ? `"${documentInfo.name}"` : 'the document')]
             }
         );
     }
 
+    /**
+     * Describe an image with a vision model
+     * @param {string} image - Data URL or base64
+     * @param {Object} imageInfo - { name }
+     * @param {Object} options - model, params, signal, stream, onToken
+     */
+    async describeImage(image, imageInfo = {}, options = {}) {
+        const prompt = `Describe this image${imageInfo.name ? ` ("${imageInfo.name}")` : ''} in detail.
+Cover what it shows, any text in it (transcribed), and, for diagrams, charts or screenshots, what they explain.`;
+
+        return this.askAboutImage(prompt, image, {}, options);
+    }
+
+    /**
+     * Answer a question about an image with a vision model
+     * @param {string} image - Data URL or base64
+     * @param {Object} imageInfo - { name }
+     * @param {Object} options - model, params, signal, stream, onToken
+     * @returns {Promise<Object>} chat() result; errorType NO_VISION when the model cannot see images
+     */
+    async askAboutImage(question, image, imageInfo = {}, options = {}) {
+        const { model = this.currentModel, ...rest } = options;
+
+        if (!(await this.supportsVision(model))) {
+            return {
+                success: false,
+                error: `${model} has no vision capability`,
+                errorType: ERROR_TYPES.NO_VISION,
+                hint: describeError(ERROR_TYPES.NO_VISION, model),
+                isDemo: false
+            };
+        }
+
+        const content = imageInfo.name ? `Image: ${imageInfo.name}\n\n${question}` : question;
+        return this.chat([{ role: 'user', content }], {
+            ...rest,
+            model,
+            systemPrompt: SYSTEM_PROMPTS.vision,
+            task: 'vision',
+            params: mergeParams(TASK_PARAMS.vision, options.params),
+            images: [image]
+        });
+    }
+
     /**
      * Analyze a webpage
      */
-    async analyzeWebpage(content, metadata = {}) {
+    async analyzeWebpage(content, metadata = {}, options = {}) {
+        const params = mergeParams(TASK_PARAMS.summarize, options.params);
+        const fitted = this.fitContent(content, SYSTEM_PROMPTS.summarize + (metadata.description || ''), { params });
+        const guarded = guardContent(fitted.text, metadata.trust || TRUST_LEVELS.STANDARD);
         const prompt = `Analyze this webpage content and provide insights:
 
 Title: ${metadata.title || 'Unknown'}
 URL: ${metadata.url || 'Unknown'}
 Description: ${metadata.description || 'N/A'}
 
+${SOURCE_DATA_NOTICE}
+
 Content:
-${content.substring(0, 6000)}
+${wrapSource(guarded.text, { name: metadata.url || metadata.title || 'webpage', origin: 'web page' })}
 
 Please provide:
 1. A brief summary
@@ -287,10 +1652,141 @@ Please provide:
 
         return this.chat(
             [{ role: 'user', content: prompt }],
-            { systemPrompt: SYSTEM_PROMPTS.summarize }
+            {
+                systemPrompt: SYSTEM_PROMPTS.summarize,
+                signal: options.signal,
+                params,
+                task: 'webpage',
+                contextNotes: [...fitted.notes, ...describeGuarded(guarded, 'the page')]
+            }
         );
     }
 
+    /**
+     * Embed text with the active provider
+     * @param {string|string[]} input - Text(s) to embed
+     * @param {Object} options - { model (defaults to the embedding model), signal, priority }
+     * @returns {Promise<number[][]>} One vector per input
+     */
+    async embed(input, options = {}) {
+        const { model = this.config.embedModel, signal = null, priority = PRIORITIES.NORMAL } = options;
+
+        return this.queue.enqueue(async (queueSignal) => {
+            const request = createRequestController(queueSignal, this.config.timeout);
+            try {
+                return await this.provider.embed(
+                    { model, input },
+                    { signal: request.signal, onActivity: request.touch }
+                );
+            } finally {
+                request.cleanup();
+            }
+        }, { priority, signal });
+    }
+
+    // =========================================================================
+    // MODEL MANAGEMENT
+    // =========================================================================
+
+    /**
+     * Whether the active provider can pull, delete and inspect models
+     */
+    supportsModelManagement() {
+        return typeof this.provider.pullModel === 'function';
+    }
+
+    /**
+     * Run a model-management call and report failures like chat() does
+     * @returns {Promise<Object>} { success, ...extra } or { success: false, error, errorType, hint, aborted }
+     */
+    async manageModel(name, signal, action) {
+        if (!this.supportsModelManagement()) {
+            return { success: false, error: 'This provider does not support model management', errorType: ERROR_TYPES.UNKNOWN };
+        }
+
+        const request = createRequestController(signal, this.config.timeout);
+
+        try {
+            const extra = await action(request);
+            return { success: true, ...extra };
+        } catch (error) {
+            const aborted = request.signal.aborted && !request.isTimedOut();
+            const errorType = aborted
+                ? ERROR_TYPES.ABORTED
+                : request.isTimedOut() ? ERROR_TYPES.TIMEOUT : classifyError(error);
+
+            return {
+                success: false,
+                error: error.message,
+                errorType,
+                hint: describeError(errorType, name),
+                aborted
+            };
+        } finally {
+            request.cleanup();
+        }
+    }
+
+    /**
+     * Download a model; progress is reported per layer
+     * @param {Object} options - { signal, onProgress({ status, digest, total, completed }) }
+     */
+    async pullModel(name, options = {}) {
+        const { signal = null, onProgress = null } = options;
+
+        return this.manageModel(name, signal, (request) => this.provider.pullModel(name, {
+            signal: request.signal,
+            onProgress: (progress) => {
+                request.touch();
+                onProgress?.(progress);
+            }
+        }));
+    }
+
+    /**
+     * Remove a model from the backend
+     */
+    async deleteModel(name, options = {}) {
+        return this.manageModel(name, options.signal, async (request) => {
+            await this.provider.deleteModel(name, { signal: request.signal });
+            delete this.contextWindows[name];
+        });
+    }
+
+    /**
+     * Model details (family, size, quantization, context length, template)
+     * @returns {Promise<Object>} { success, info }
+     */
+    async getModelInfo(name, options = {}) {
+        return this.manageModel(name, options.signal, async (request) => {
+            const info = await this.provider.showModel(name, { signal: request.signal });
+            this.capabilities[name] = info.capabilities;
+            this.modelDetails[name] = { quantization: info.quantization, parameterSize: info.parameterSize };
+
+            // The backend runs with the configured num_ctx, not the trained maximum;
+            // only a model trained on a shorter context lowers the prompt budget
+            if (info.contextLength && info.contextLength < this.config.numCtx) {
+                this.setContextWindow(name, info.contextLength);
+            }
+            return { info };
+        });
+    }
+
+    /**
+     * Whether a model accepts images. Uses the capabilities from /api/show
+     * (cached per model); backends without them fall back to the model name.
+     */
+    async supportsVision(model = this.currentModel) {
+        if (!(model in this.capabilities) && this.supportsModelManagement()) {
+            await this.getModelInfo(model);
+        }
+
+        const capabilities = this.capabilities[model];
+        return capabilities?.length > 0
+            ? capabilities.includes('vision')
+            : VISION_MODEL_PATTERN.test(model || '');
+    }
+
     /**
      * Get available models
      */
@@ -322,4 +1818,4 @@ const aiService = new AIService();
 export default aiService;
 
 // Also export class for testing
-export { AIService };
+export { AIService, ERROR_TYPES, SYSTEM_PROMPTS, PRIORITIES };
@@ -0,0 +1,232 @@
+/**
+ * ContextBudget - Token-aware Context Window Management
+ * ======================================================
+ *
+ * Estimates token counts per model family and splits the model's
+ * context window (num_ctx) between the system prompt, injected files,
+ * conversation history and the space reserved for the reply.
+ *
+ * Everything that gets dropped or truncated to fit is recorded in a
+ * report so the UI can explain what the model did not see.
+ */
+
+// Used when the model's context length is unknown (Ollama's default num_ctx)
+export const DEFAULT_CONTEXT_WINDOW = 4096;
+
+// Chat template tokens added around every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the remaining budget files may claim when history also needs room
+const FILE_BUDGET_SHARE = 0.6;
+
+// Average characters per token by model family (tokenizer dependent)
+const CHARS_PER_TOKEN = [
+    [/mistral|mixtral/, 3.5],
+    [/qwen/, 3.4],
+    [/phi/, 3.6],
+    [/gemma/, 4.0],
+    [/llama/, 3.8]
+];
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// =============================================================================
+// ESTIMATION
+// =============================================================================
+
+/**
+ * Average characters per token for a model
+ * @param {string} model - Model name, e.g. "llama3.2:latest"
+ */
+export const charsPerToken = (model = '') => {
+    const name = model.toLowerCase();
+    const match = CHARS_PER_TOKEN.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : DEFAULT_CHARS_PER_TOKEN;
+};
+
+/**
+ * Estimate the token count of a text for a model
+ */
+export const estimateTokens = (text, model) => {
+    if (!text) return 0;
+    return Math.ceil(text.length / charsPerToken(model));
+};
+
+/**
+ * Convert a token budget into a character budget for a model
+ */
+export const tokensToChars = (tokens, model) => {
+    return Math.max(0, Math.floor(tokens * charsPerToken(model)));
+};
+
+/**
+ * Estimate the tokens a chat message costs, including template overhead
+ */
+export const estimateMessageTokens = (message, model) => {
+    return estimateTokens(message?.content, model) + MESSAGE_OVERHEAD_TOKENS;
+};
+
+/**
+ * Tokens kept free for the model's reply
+ */
+export const getReplyReserve = (numCtx) => {
+    return Math.max(256, Math.round(numCtx * 0.25));
+};
+
+/**
+ * Cut text down to a token budget
+ * @returns {{text: string, truncated: boolean, tokens: number, originalTokens: number}}
+ */
+export const truncateToTokens = (text = '', maxTokens, model) => {
+    const originalTokens = estimateTokens(text, model);
+
+    if (originalTokens <= maxTokens) {
+        return { text, truncated: false, tokens: originalTokens, originalTokens };
+    }
+
+    return {
+        text: text.slice(0, tokensToChars(maxTokens, model)),
+        truncated: true,
+        tokens: Math.max(0, maxTokens),
+        originalTokens
+    };
+};
+
+// =============================================================================
+// PLANNING
+// =============================================================================
+
+/**
+ * Share a token budget between files, giving small files all they need
+ * and splitting the rest evenly between the larger ones
+ * @returns {number[]} Token allowance per file (same order as `sizes`)
+ */
+const allocateFileBudget = (sizes, budget) => {
+    const allowances = new Array(sizes.length).fill(0);
+    const order = sizes.map((size, index) => ({ size, index })).sort((a, b) => a.size - b.size);
+
+    let remaining = Math.max(0, budget);
+    order.forEach(({ size, index }, position) => {
+        const fairShare = Math.floor(remaining / (order.length - position));
+        allowances[index] = Math.min(size, fairShare);
+        remaining -= allowances[index];
+    });
+
+    return allowances;
+};
+
+/**
+ * Plan how a chat request fits in the model's context window
+ *
+ * The system messages and the latest message are always kept. Files
+ * and older history then share what is left: history gets what it
+ * needs if that is under 40%, otherwise files are capped at 60%.
+ * Older messages are dropped oldest-first.
+ *
+ * @param {Object} params
+ * @param {string} params.model - Model name (drives token estimates)
+ * @param {number} params.numCtx - Context window in tokens
+ * @param {string[]} params.systemTexts - System prompt and other fixed system content
+ * @param {Array} params.files - Files to inject ({ name, extractedContent })
+ * @param {Array} params.history - Conversation, oldest first; last entry is the new message
+ * @param {number} params.fileOverheadTokens - Tokens used by the file context wrapper
+ * @returns {{ history: Array, fileCharLimits: number[], report: Object }}
+ */
+export const planContext = ({
+    model,
+    numCtx = DEFAULT_CONTEXT_WINDOW,
+    systemTexts = [],
+    files = [],
+    history = [],
+    fileOverheadTokens = 0
+}) => {
+    const reserved = getReplyReserve(numCtx);
+    const notes = [];
+
+    const systemTokens = systemTexts.reduce(
+        (sum, text) => sum + estimateTokens(text, model) + MESSAGE_OVERHEAD_TOKENS, 0
+    );
+
+    const latest = history[history.length - 1];
+    const older = history.slice(0, -1);
+    const latestTokens = latest ? estimateMessageTokens(latest, model) : 0;
+
+    let remaining = numCtx - reserved - systemTokens - latestTokens;
+    if (remaining < 0) {
+        notes.push(`The system prompt and latest message alone exceed the ${numCtx}-token window; the model will cut the start of the prompt.`);
+        remaining = 0;
+    }
+
+    // Files
+    const fileSizes = files.map(f => estimateTokens(f.extractedContent, model));
+    const olderTokens = older.reduce((sum, m) => sum + estimateMessageTokens(m, model), 0);
+
+    let fileBudget = 0;
+    if (files.length > 0) {
+        const available = Math.max(0, remaining - fileOverheadTokens);
+        fileBudget = olderTokens <= available * (1 - FILE_BUDGET_SHARE)
+            ? available - olderTokens
+            : Math.floor(available * FILE_BUDGET_SHARE);
+    }
+
+    const fileAllowances = allocateFileBudget(fileSizes, fileBudget);
+    const fileTokens = fileAllowances.reduce((sum, t) => sum + t, 0);
+    const truncatedFiles = [];
+
+    files.forEach((file, index) => {
+        if (fileAllowances[index] < fileSizes[index]) {
+            truncatedFiles.push({
+                name: file.name,
+                originalTokens: fileSizes[index],
+                keptTokens: fileAllowances[index]
+            });
+            notes.push(`Truncated "${file.name}" from ~${fileSizes[index]} to ~${fileAllowances[index]} tokens.`);
+        }
+    });
+
+    if (files.length > 0) {
+        remaining -= fileTokens + fileOverheadTokens;
+    }
+
+    // History: newest first until the budget runs out
+    const kept = [];
+    let historyTokens = 0;
+    for (let i = older.length - 1; i >= 0; i--) {
+        const cost = estimateMessageTokens(older[i], model);
+        if (historyTokens + cost > remaining) break;
+        kept.unshift(older[i]);
+        historyTokens += cost;
+    }
+
+    const droppedMessages = older.length - kept.length;
+    if (droppedMessages > 0) {
+        notes.push(`Dropped ${droppedMessages} older message${droppedMessages > 1 ? 's' : ''} (~${olderTokens - historyTokens} tokens) to fit the context window.`);
+    }
+
+    return {
+        history: latest ? [...kept, latest] : kept,
+        fileCharLimits: fileAllowances.map(tokens => tokensToChars(tokens, model)),
+        report: {
+            model,
+            numCtx,
+            reserved,
+            systemTokens,
+            fileTokens,
+            historyTokens: historyTokens + latestTokens,
+            totalTokens: systemTokens + fileTokens + fileOverheadTokens + historyTokens + latestTokens,
+            droppedMessages,
+            truncatedFiles,
+            notes
+        }
+    };
+};
+
+export default {
+    DEFAULT_CONTEXT_WINDOW,
+    charsPerToken,
+    estimateTokens,
+    estimateMessageTokens,
+    tokensToChars,
+    getReplyReserve,
+    truncateToTokens,
+    planContext
+};
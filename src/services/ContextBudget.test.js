@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+
+import { planContext, estimateTokens, truncateToTokens, getReplyReserve } from './ContextBudget';
+
+// Unknown model families count 4 characters per token; messages add 4 tokens each
+const MODEL = 'test-model';
+const text = (tokens) => 'x'.repeat(tokens * 4);
+const message = (tokens, role = 'user') => ({ role, content: text(tokens) });
+
+describe('token estimates', () => {
+    it('uses the model family\'s characters per token', () => {
+        expect(estimateTokens('x'.repeat(40), MODEL)).toBe(10);
+        expect(estimateTokens('x'.repeat(38), 'llama3.2')).toBe(10);
+        expect(estimateTokens('', MODEL)).toBe(0);
+    });
+
+    it('reserves a quarter of the window, at least 256 tokens, for the reply', () => {
+        expect(getReplyReserve(8192)).toBe(2048);
+        expect(getReplyReserve(512)).toBe(256);
+    });
+
+    it('truncates text to a token budget', () => {
+        expect(truncateToTokens(text(10), 4, MODEL)).toEqual({ text: text(4), truncated: true, tokens: 4, originalTokens: 10 });
+        expect(truncateToTokens(text(3), 4, MODEL).truncated).toBe(false);
+    });
+});
+
+describe('planContext', () => {
+    // 1024 - 256 reserved for the reply - 14 for the latest message
+    const plan = (options) => planContext({ model: MODEL, numCtx: 1024, history: [message(10)], ...options });
+
+    it('keeps everything that fits and reports the token use', () => {
+        const history = [message(10), message(10, 'assistant'), message(10)];
+        const { history: kept, report } = plan({ systemTexts: [text(10)], history });
+
+        expect(kept).toEqual(history);
+        expect(report).toMatchObject({ reserved: 256, systemTokens: 14, historyTokens: 42, totalTokens: 56, droppedMessages: 0, notes: [] });
+    });
+
+    it('drops the oldest messages first and always keeps the latest', () => {
+        const older = [message(400), message(400, 'assistant'), message(400)];
+        const latest = message(10);
+        const { history, report } = plan({ history: [...older, latest] });
+
+        expect(history).toEqual([older[2], latest]);
+        expect(report.droppedMessages).toBe(2);
+        expect(report.notes).toEqual(['Dropped 2 older messages (~808 tokens) to fit the context window.']);
+    });
+
+    it('gives files what history leaves when history is small', () => {
+        const { history, fileCharLimits, report } = plan({
+            files: [{ name: 'big.txt', extractedContent: text(1000) }],
+            history: [message(10), message(10)]
+        });
+
+        expect(fileCharLimits).toEqual([text(740).length]);
+        expect(history).toHaveLength(2);
+        expect(report.truncatedFiles).toEqual([{ name: 'big.txt', originalTokens: 1000, keptTokens: 740 }]);
+    });
+
+    it('caps files at 60% when history needs more than the rest', () => {
+        const { fileCharLimits, report } = plan({
+            files: [{ name: 'big.txt', extractedContent: text(1000) }],
+            history: [message(400), message(10)]
+        });
+
+        expect(fileCharLimits).toEqual([text(452).length]);
+        expect(report.droppedMessages).toBe(1);
+    });
+
+    it('gives small files all they need and splits the rest between larger ones', () => {
+        const files = [
+            { name: 'large.txt', extractedContent: text(1000) },
+            { name: 'small.txt', extractedContent: text(100) }
+        ];
+        const { fileCharLimits, report } = plan({ files, fileOverheadTokens: 54 });
+
+        expect(fileCharLimits).toEqual([text(600).length, text(100).length]);
+        expect(report.truncatedFiles.map(f => f.name)).toEqual(['large.txt']);
+    });
+
+    it('notes when the system prompt and latest message alone overflow the window', () => {
+        const { report } = plan({ systemTexts: [text(1000)] });
+        expect(report.notes[0]).toMatch(/exceed the 1024-token window/);
+    });
+});
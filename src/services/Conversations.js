@@ -0,0 +1,420 @@
+/**
+ * Conversations - Persistent Chat Threads
+ * ========================================
+ *
+ * Each conversation keeps its messages together with the settings that
+ * belong to the thread: generation params, persona and system prompt
+ * override. Records live in the `conversations` store of DatabaseService;
+ * ChatHistory lists them as summaries (see summarizeConversation()).
+ *
+ * Conversations get their title from the first user message until the
+ * user renames them.
+ *
+ * Editing an earlier message or regenerating a reply forks the thread.
+ * Every version is kept in the conversation's `tree`; `messages` is the
+ * branch currently shown (see BRANCHES below).
+ */
+
+import {
+    saveConversationRecord, getConversationRecord, getAllConversationRecords, deleteConversationRecord, generateId
+} from './DatabaseService';
+import { DEFAULT_PERSONA_ID } from './Personas';
+
+const TITLE_LENGTH = 60;
+const PREVIEW_LENGTH = 100;
+
+// Text searched per conversation; enough for long threads without loading every message
+const SEARCH_TEXT_LENGTH = 20000;
+
+// The single thread kept in localStorage before conversations were stored
+const LEGACY_STORAGE_KEYS = {
+    messages: 'devsavvy_current_thread',
+    params: 'devsavvy_current_thread_params',
+    personaId: 'devsavvy_current_thread_persona',
+    promptOverride: 'devsavvy_current_thread_prompt'
+};
+
+const collapse = (text = '') => String(text).replace(/\s+/g, ' ').trim();
+
+const clip = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+const ROOT_ID = 'root';
+
+// =============================================================================
+// DATA MODEL
+// =============================================================================
+
+/**
+ * Title from the first user message
+ */
+export function deriveTitle(messages = []) {
+    const first = messages.find(m => m.role === 'user' && collapse(m.content));
+    return first ? clip(collapse(first.content), TITLE_LENGTH) : 'New Chat';
+}
+
+/**
+ * Build a conversation record
+ * @param {Object} data - { messages, tree, params, personaId, promptOverride, title }
+ */
+export function createConversation(data = {}) {
+    const now = new Date().toISOString();
+    const messages = data.messages || [];
+
+    return {
+        id: data.id || generateId('conv'),
+        title: data.title || deriveTitle(messages),
+        titleEdited: !!data.titleEdited,
+        messages,
+        tree: data.tree || null,
+        params: data.params || {},
+        personaId: data.personaId || DEFAULT_PERSONA_ID,
+        promptOverride: data.promptOverride ?? null,
+        archived: !!data.archived,
+        starred: !!data.starred,
+        createdAt: data.createdAt || now,
+        updatedAt: data.updatedAt || now
+    };
+}
+
+/**
+ * What a message records about itself, for the details panel and exports.
+ * Messages carry `timestamp`; replies also `model`, `params`, `durationMs`
+ * (send to finish), `stats` (token counts) and `contextFiles` (uploaded
+ * files sent as context; [Source n] cites the n-th).
+ * @returns {{ timestamp, model, params, durationMs, promptTokens, completionTokens,
+ *   tokensPerSecond, contextFiles: string[], sources: string[], imageNames: string[] }}
+ *   null for what the message does not record
+ */
+export function getMessageMetadata(message) {
+    const contextFiles = message.contextFiles || [];
+    const citedFiles = (message.referencedSources || []).map(n => contextFiles[n - 1]).filter(Boolean);
+    const citedExcerpts = (message.excerpts || []).filter(e => e.cited).map(e => `${e.documentName} (${e.label})`);
+
+    return {
+        timestamp: message.timestamp || null,
+        model: message.model || null,
+        params: message.params || null,
+        durationMs: message.durationMs ?? null,
+        promptTokens: message.stats?.promptTokens ?? null,
+        completionTokens: message.stats?.completionTokens ?? null,
+        tokensPerSecond: message.stats?.tokensPerSecond ?? null,
+        contextFiles,
+        // Imported messages keep the names from their export
+        sources: message.sources || [...citedFiles, ...citedExcerpts],
+        imageNames: message.imageNames || []
+    };
+}
+
+/**
+ * List entry for ChatHistory (no messages)
+ * @returns {{ id, title, lastMessage, messageCount, archived, starred, createdAt, updatedAt, searchText }}
+ */
+export function summarizeConversation(conversation) {
+    const last = [...conversation.messages].reverse().find(m => collapse(m.content));
+
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        lastMessage: last ? clip(collapse(last.content), PREVIEW_LENGTH) : '',
+        messageCount: conversation.messages.length,
+        archived: conversation.archived,
+        starred: conversation.starred,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        searchText: [conversation.title, ...conversation.messages.map(m => m.content || '')]
+            .join('\n')
+            .slice(0, SEARCH_TEXT_LENGTH)
+            .toLowerCase()
+    };
+}
+
+// =============================================================================
+// BRANCHES
+// =============================================================================
+
+/*
+ * A tree holds every version of the thread:
+ *   { nodes: { [id]: { id, message, children: [id], selected } }, nextId }
+ * The root node has no message; each node's `selected` child continues
+ * the branch being shown. Siblings are alternative versions of the same
+ * turn (an edited question, a regenerated reply).
+ *
+ * The app works on the shown branch as a plain message array; the
+ * helpers below write it back into the tree (syncTree) before changing
+ * branches, so trees are never edited in place.
+ */
+
+export function createTree() {
+    return {
+        nodes: { [ROOT_ID]: { id: ROOT_ID, message: null, children: [], selected: 0 } },
+        nextId: 1
+    };
+}
+
+const selectedChild = (tree, node) => tree.nodes[node.children[node.selected]] || null;
+
+/**
+ * Write the shown branch into the tree, adding nodes for new messages
+ * @param {Object|null} tree - Conversations saved before branching have none
+ * @param {Array<Object>} messages - The shown branch
+ * @returns {Object} A new tree
+ */
+export function syncTree(tree, messages = []) {
+    const base = tree || createTree();
+    const nodes = { ...base.nodes };
+    let nextId = base.nextId;
+    let parent = nodes[ROOT_ID];
+
+    messages.forEach(message => {
+        let node = selectedChild({ nodes }, parent);
+        if (node) {
+            node = { ...node, message };
+        } else {
+            node = { id: `m${nextId++}`, message, children: [], selected: 0 };
+            parent = { ...parent, children: [...parent.children, node.id], selected: parent.children.length };
+            nodes[parent.id] = parent;
+        }
+        nodes[node.id] = node;
+        parent = node;
+    });
+
+    return { nodes, nextId };
+}
+
+/**
+ * Nodes along the shown branch, root first; `length` limits the walk
+ */
+function branchNodes(tree, length = Infinity) {
+    const path = [tree.nodes[ROOT_ID]];
+    let node = selectedChild(tree, path[0]);
+    while (node && node.message && path.length <= length) {
+        path.push(node);
+        node = selectedChild(tree, node);
+    }
+    return path;
+}
+
+/**
+ * Version of each shown message among its siblings
+ * @param {Object|null} tree
+ * @param {number} length - Messages shown
+ * @returns {Array<{ index: number, count: number }>} One entry per message;
+ *   messages not in the tree yet count as the only version
+ */
+export function getBranchInfo(tree, length) {
+    const info = Array.from({ length }, () => ({ index: 0, count: 1 }));
+    if (!tree) return info;
+
+    let parent = tree.nodes[ROOT_ID];
+    for (let i = 0; i < length && parent?.children.length > 0; i++) {
+        info[i] = { index: parent.selected, count: parent.children.length };
+        parent = selectedChild(tree, parent);
+    }
+    return info;
+}
+
+/**
+ * Start a new version of the message at `index`. The returned messages
+ * end just before it; the next message added to them fills the new version.
+ * @returns {{ tree: Object, messages: Array<Object> }}
+ */
+export function forkBranch(tree, messages, index) {
+    const synced = syncTree(tree, messages);
+    const parent = branchNodes(synced, index)[index];
+    if (!parent) throw new Error('Message not found');
+
+    // Versions left empty by an earlier fork (e.g. a stopped request) are dropped
+    const children = parent.children.filter(id => synced.nodes[id].message);
+    const node = { id: `m${synced.nextId}`, message: null, children: [], selected: 0 };
+
+    return {
+        tree: {
+            nodes: {
+                ...synced.nodes,
+                [parent.id]: { ...parent, children: [...children, node.id], selected: children.length },
+                [node.id]: node
+            },
+            nextId: synced.nextId + 1
+        },
+        messages: messages.slice(0, index)
+    };
+}
+
+/**
+ * Show another version of the message at `index`, with the branch that
+ * was last shown below it
+ * @param {number} offset - -1 for the previous version, 1 for the next
+ * @returns {{ tree: Object, messages: Array<Object> }}
+ */
+export function switchBranch(tree, messages, index, offset) {
+    const synced = syncTree(tree, messages);
+    const parent = branchNodes(synced, index)[index];
+    if (!parent) throw new Error('Message not found');
+
+    const selected = Math.min(Math.max(parent.selected + offset, 0), parent.children.length - 1);
+    const next = { ...synced, nodes: { ...synced.nodes, [parent.id]: { ...parent, selected } } };
+
+    return {
+        tree: next,
+        messages: branchNodes(next).slice(1).map(node => node.message)
+    };
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * All conversations as summaries, most recently updated first
+ */
+export async function listConversations() {
+    const records = await getAllConversationRecords();
+    return records.map(summarizeConversation);
+}
+
+/**
+ * @returns {Promise<Object|null>} The full conversation record
+ */
+export async function getConversation(id) {
+    return id ? getConversationRecord(id) : null;
+}
+
+/**
+ * Save a thread's current state; creates the conversation when it does
+ * not exist yet
+ * @param {string} id - Conversation id
+ * @param {Object} thread - { messages, tree, params, personaId, promptOverride }
+ *   where messages is the branch shown from tree
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveConversation(id, thread) {
+    const existing = await getConversationRecord(id);
+    const messages = thread.messages ?? existing?.messages ?? [];
+
+    return saveConversationRecord(createConversation({
+        ...existing,
+        ...thread,
+        id,
+        tree: syncTree(thread.tree ?? existing?.tree, messages),
+        title: existing?.titleEdited ? existing.title : deriveTitle(messages),
+        updatedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Change a conversation's details without moving it in the list
+ * @param {Object} updates - { title, archived, starred }
+ */
+export async function updateConversation(id, updates) {
+    const existing = await getConversationRecord(id);
+    if (!existing) throw new Error('Conversation not found');
+
+    return saveConversationRecord({
+        ...existing,
+        ...updates,
+        ...(updates.title !== undefined && { title: collapse(updates.title) || existing.title, titleEdited: true })
+    });
+}
+
+export async function renameConversation(id, title) {
+    return updateConversation(id, { title });
+}
+
+export async function setConversationArchived(id, archived) {
+    return updateConversation(id, { archived });
+}
+
+export async function setConversationStarred(id, starred) {
+    return updateConversation(id, { starred });
+}
+
+export async function deleteConversation(id) {
+    return deleteConversationRecord(id);
+}
+
+/**
+ * Conversations whose title or messages contain the query
+ * @returns {Promise<Array<Object>>} Summaries, most recently updated first
+ */
+export async function searchConversations(query) {
+    const needle = collapse(query).toLowerCase();
+    const records = await getAllConversationRecords();
+    if (!needle) return records.map(summarizeConversation);
+
+    return records
+        .filter(conversation => conversation.title.toLowerCase().includes(needle) ||
+            conversation.messages.some(m => (m.content || '').toLowerCase().includes(needle)))
+        .map(summarizeConversation);
+}
+
+/**
+ * Store messages read from a chat export (see ExportService.parseChatJSON())
+ * as a new conversation
+ * @param {Object} data - { title, messages }
+ * @returns {Promise<Object>} The stored record
+ */
+export async function importConversation({ title = '', messages = [] }) {
+    if (messages.length === 0) throw new Error('The export has no messages');
+
+    return saveConversationRecord(createConversation({
+        messages,
+        tree: syncTree(null, messages),
+        ...(collapse(title) && { title: collapse(title), titleEdited: true })
+    }));
+}
+
+/**
+ * Move the thread kept in localStorage by earlier versions into the
+ * conversation store (once; the keys are removed afterwards)
+ * @returns {Promise<string|null>} Id of the migrated conversation
+ */
+export async function migrateLegacyThread() {
+    const read = (key) => {
+        try {
+            const item = window.localStorage.getItem(key);
+            return item ? JSON.parse(item) : null;
+        } catch {
+            return null;
+        }
+    };
+
+    const messages = read(LEGACY_STORAGE_KEYS.messages);
+    let id = null;
+
+    if (Array.isArray(messages) && messages.length > 0) {
+        const conversation = createConversation({
+            messages,
+            params: read(LEGACY_STORAGE_KEYS.params) || {},
+            personaId: read(LEGACY_STORAGE_KEYS.personaId),
+            promptOverride: read(LEGACY_STORAGE_KEYS.promptOverride)
+        });
+        await saveConversationRecord(conversation);
+        id = conversation.id;
+    }
+
+    Object.values(LEGACY_STORAGE_KEYS).forEach(key => window.localStorage.removeItem(key));
+    return id;
+}
+
+export default {
+    deriveTitle,
+    createConversation,
+    getMessageMetadata,
+    summarizeConversation,
+    createTree,
+    syncTree,
+    getBranchInfo,
+    forkBranch,
+    switchBranch,
+    listConversations,
+    getConversation,
+    saveConversation,
+    updateConversation,
+    renameConversation,
+    setConversationArchived,
+    setConversationStarred,
+    deleteConversation,
+    searchConversations,
+    importConversation,
+    migrateLegacyThread
+};
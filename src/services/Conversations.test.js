@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { createTree, syncTree, getBranchInfo, forkBranch, switchBranch } from './Conversations';
+
+// Records live in IndexedDB; the branch helpers never touch storage
+vi.mock('./DatabaseService', () => ({
+    saveConversationRecord: vi.fn(),
+    getConversationRecord: vi.fn(),
+    getAllConversationRecords: vi.fn(),
+    deleteConversationRecord: vi.fn(),
+    generateId: vi.fn()
+}));
+vi.mock('./Personas', () => ({ DEFAULT_PERSONA_ID: 'default' }));
+
+const user = (content) => ({ role: 'user', content });
+const assistant = (content) => ({ role: 'assistant', content });
+
+const THREAD = [user('Hi'), assistant('Hello!'), user('What is a tensor?'), assistant('An array.')];
+
+/**
+ * Edit the message at `index`: fork, then append the new version
+ */
+function edit(tree, messages, index, message) {
+    const forked = forkBranch(tree, messages, index);
+    return { tree: forked.tree, messages: [...forked.messages, message] };
+}
+
+describe('conversation branches', () => {
+    it('stores the shown messages as a single branch', () => {
+        const tree = syncTree(null, THREAD);
+
+        expect(Object.keys(tree.nodes)).toHaveLength(THREAD.length + 1);
+        expect(getBranchInfo(tree, THREAD.length)).toEqual(THREAD.map(() => ({ index: 0, count: 1 })));
+    });
+
+    it('updates changed messages without editing the tree in place', () => {
+        const tree = syncTree(null, THREAD);
+        const before = JSON.stringify(tree);
+
+        const updated = syncTree(tree, [...THREAD.slice(0, 3), assistant('A multi-dimensional array.')]);
+
+        expect(JSON.stringify(tree)).toBe(before);
+        expect(Object.keys(updated.nodes)).toHaveLength(THREAD.length + 1);
+        expect(updated.nodes.m4.message.content).toBe('A multi-dimensional array.');
+    });
+
+    it('forks a new version of a message and ends the branch before it', () => {
+        const forked = forkBranch(syncTree(null, THREAD), THREAD, 2);
+        expect(forked.messages).toEqual(THREAD.slice(0, 2));
+
+        const edited = [...forked.messages, user('What is a matrix?')];
+        const tree = syncTree(forked.tree, edited);
+
+        expect(getBranchInfo(tree, edited.length)).toEqual([
+            { index: 0, count: 1 },
+            { index: 0, count: 1 },
+            { index: 1, count: 2 }
+        ]);
+    });
+
+    it('switches between versions, restoring the branch below each', () => {
+        const edited = edit(syncTree(null, THREAD), THREAD, 2, user('What is a matrix?'));
+        const messages = [...edited.messages, assistant('A 2D array.')];
+
+        const previous = switchBranch(edited.tree, messages, 2, -1);
+        expect(previous.messages).toEqual(THREAD);
+
+        const next = switchBranch(previous.tree, previous.messages, 2, 1);
+        expect(next.messages).toEqual(messages);
+        expect(getBranchInfo(next.tree, messages.length)[2]).toEqual({ index: 1, count: 2 });
+    });
+
+    it('stays on the first or last version at the ends', () => {
+        const tree = syncTree(null, THREAD);
+        expect(switchBranch(tree, THREAD, 1, -1).messages).toEqual(THREAD);
+        expect(switchBranch(tree, THREAD, 1, 1).messages).toEqual(THREAD);
+    });
+
+    it('drops versions left empty by an earlier fork', () => {
+        const tree = syncTree(null, THREAD);
+        const abandoned = forkBranch(tree, THREAD, 3);
+
+        // The reply was regenerated again before the first attempt produced anything
+        const again = forkBranch(abandoned.tree, abandoned.messages, 3);
+        const regenerated = syncTree(again.tree, [...again.messages, assistant('A tensor generalizes matrices.')]);
+
+        expect(getBranchInfo(regenerated, 4)[3]).toEqual({ index: 1, count: 2 });
+    });
+
+    it('rejects indexes outside the shown branch', () => {
+        expect(() => switchBranch(createTree(), [], 3, 1)).toThrow('Message not found');
+    });
+});
@@ -25,14 +25,16 @@ import { openDB, deleteDB } from 'idb';
 
 const DB_CONFIG = {
     name: 'devsavvy_knowledge_base',
-    version: 2,
+    version: 4,
     stores: {
         documents: 'documents',      // Document metadata
         blobs: 'blobs',              // File binary data
         cache: 'cache',              // Temporary cache
         settings: 'settings',        // App settings
         tags: 'tags',                // Tag management
-        history: 'history'           // Action history for undo
+        history: 'history',          // Action history for undo
+        conversations: 'conversations', // Chat threads
+        feedback: 'feedback'         // Rated replies (evaluation dataset)
     }
 };
 
@@ -41,6 +43,8 @@ const STORAGE_LIMITS = {
     maxBlobSizeMB: 50,               // Max single blob size
     warnAtPercentUsed: 80,           // Warn at 80% storage used
     maxDocuments: 10000,             // Max documents
+    maxHistoryEntries: 100,          // Undo entries kept
+    maxRequestMetrics: 5000,         // AI request metrics kept
     cacheExpiryMs: 24 * 60 * 60 * 1000  // 24 hours cache expiry
 };
 
@@ -111,6 +115,18 @@ async function initializeDatabase() {
                 historyStore.createIndex('by_date', 'timestamp');
                 historyStore.createIndex('by_action', 'action');
             }
+
+            // v3: chat conversations
+            if (!db.objectStoreNames.contains(DB_CONFIG.stores.conversations)) {
+                const conversationStore = db.createObjectStore(DB_CONFIG.stores.conversations, { keyPath: 'id' });
+                conversationStore.createIndex('by_updated', 'updatedAt');
+            }
+
+            // v4: reply ratings
+            if (!db.objectStoreNames.contains(DB_CONFIG.stores.feedback)) {
+                const feedbackStore = db.createObjectStore(DB_CONFIG.stores.feedback, { keyPath: 'id' });
+                feedbackStore.createIndex('by_rated', 'ratedAt');
+            }
         },
         blocked() {
             console.warn('⚠️ Database blocked by another connection');
@@ -326,6 +342,28 @@ export async function deleteCache(key) {
     await db.delete(DB_CONFIG.stores.cache, key);
 }
 
+/**
+ * Delete every cache entry whose key starts with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function deleteCacheByPrefix(prefix) {
+    const db = await getDB();
+    const tx = db.transaction(DB_CONFIG.stores.cache, 'readwrite');
+
+    let cursor = await tx.store.openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+    let deletedCount = 0;
+
+    while (cursor) {
+        await cursor.delete();
+        deletedCount++;
+        cursor = await cursor.continue();
+    }
+
+    await tx.done;
+    return deletedCount;
+}
+
 /**
  * Clear all cache entries
  */
@@ -402,6 +440,12 @@ export async function getAllSettings() {
 // HISTORY / UNDO SUPPORT
 // =============================================================================
 
+// AI request metrics share the history store under their own action and
+// are trimmed separately, so they never push undo entries out
+export const REQUEST_METRIC_ACTION = 'ai_request';
+
+const isRequestMetric = (record) => record.action === REQUEST_METRIC_ACTION;
+
 /**
  * Record an action for undo support
  * @param {string} action - Action type
@@ -418,19 +462,18 @@ export async function recordHistory(action, data) {
 
     await db.add(DB_CONFIG.stores.history, historyRecord);
 
-    // Keep only last 100 history entries
+    // Keep only the last undo entries
     const tx = db.transaction(DB_CONFIG.stores.history, 'readwrite');
-    const count = await tx.store.count();
+    const metricsCount = await tx.store.index('by_action').count(REQUEST_METRIC_ACTION);
+    let toDelete = (await tx.store.count()) - metricsCount - STORAGE_LIMITS.maxHistoryEntries;
 
-    if (count > 100) {
-        let cursor = await tx.store.openCursor();
-        let toDelete = count - 100;
-
-        while (cursor && toDelete > 0) {
+    let cursor = toDelete > 0 ? await tx.store.openCursor() : null;
+    while (cursor && toDelete > 0) {
+        if (!isRequestMetric(cursor.value)) {
             await cursor.delete();
             toDelete--;
-            cursor = await cursor.continue();
         }
+        cursor = await cursor.continue();
     }
 
     await tx.done;
@@ -443,15 +486,160 @@ export async function recordHistory(action, data) {
 export async function getHistory(limit = 50) {
     const db = await getDB();
     const all = await db.getAll(DB_CONFIG.stores.history);
-    return all.slice(-limit).reverse();
+    return all.filter(record => !isRequestMetric(record)).slice(-limit).reverse();
 }
 
 /**
- * Clear history
+ * Clear history (request metrics are kept; see clearRequestMetrics)
  */
 export async function clearHistory() {
     const db = await getDB();
-    await db.clear(DB_CONFIG.stores.history);
+    const tx = db.transaction(DB_CONFIG.stores.history, 'readwrite');
+
+    let cursor = await tx.store.openCursor();
+    while (cursor) {
+        if (!isRequestMetric(cursor.value)) {
+            await cursor.delete();
+        }
+        cursor = await cursor.continue();
+    }
+
+    await tx.done;
+}
+
+// =============================================================================
+// AI REQUEST METRICS
+// =============================================================================
+
+/**
+ * Record the metrics of one AI request (model, task, tokens, durations)
+ * @param {Object} metric - See Telemetry.recordRequest()
+ */
+export async function recordRequestMetric(metric) {
+    const db = await getDB();
+    const tx = db.transaction(DB_CONFIG.stores.history, 'readwrite');
+
+    await tx.store.add({
+        action: REQUEST_METRIC_ACTION,
+        data: metric,
+        timestamp: new Date().toISOString()
+    });
+
+    // Keys are ascending, so the index cursor visits the oldest metrics first
+    const index = tx.store.index('by_action');
+    let toDelete = (await index.count(REQUEST_METRIC_ACTION)) - STORAGE_LIMITS.maxRequestMetrics;
+
+    let cursor = toDelete > 0 ? await index.openCursor(REQUEST_METRIC_ACTION) : null;
+    while (cursor && toDelete > 0) {
+        await cursor.delete();
+        toDelete--;
+        cursor = await cursor.continue();
+    }
+
+    await tx.done;
+}
+
+/**
+ * Get recorded request metrics, oldest first
+ * @param {Object} options - since: ISO date; only newer metrics are returned
+ * @returns {Promise<Array<Object>>} Metrics with their `timestamp`
+ */
+export async function getRequestMetrics({ since = null } = {}) {
+    const db = await getDB();
+    const records = await db.getAllFromIndex(DB_CONFIG.stores.history, 'by_action', REQUEST_METRIC_ACTION);
+
+    return records
+        .filter(record => !since || record.timestamp >= since)
+        .map(record => ({ ...record.data, timestamp: record.timestamp }));
+}
+
+/**
+ * Delete all request metrics
+ * @returns {Promise<number>} Number of deleted metrics
+ */
+export async function clearRequestMetrics() {
+    const db = await getDB();
+    const tx = db.transaction(DB_CONFIG.stores.history, 'readwrite');
+
+    let count = 0;
+    let cursor = await tx.store.index('by_action').openCursor(REQUEST_METRIC_ACTION);
+    while (cursor) {
+        await cursor.delete();
+        count++;
+        cursor = await cursor.continue();
+    }
+
+    await tx.done;
+    return count;
+}
+
+// =============================================================================
+// CONVERSATIONS
+// =============================================================================
+
+/**
+ * Store a conversation record (see Conversations.createConversation())
+ */
+export async function saveConversationRecord(conversation) {
+    const db = await getDB();
+    await db.put(DB_CONFIG.stores.conversations, conversation);
+    return conversation;
+}
+
+/**
+ * Get a conversation by id
+ * @returns {Promise<Object|null>}
+ */
+export async function getConversationRecord(id) {
+    const db = await getDB();
+    return (await db.get(DB_CONFIG.stores.conversations, id)) || null;
+}
+
+/**
+ * Get all conversations, most recently updated first
+ */
+export async function getAllConversationRecords() {
+    const db = await getDB();
+    const records = await db.getAllFromIndex(DB_CONFIG.stores.conversations, 'by_updated');
+    return records.reverse();
+}
+
+/**
+ * Delete a conversation
+ */
+export async function deleteConversationRecord(id) {
+    const db = await getDB();
+    await db.delete(DB_CONFIG.stores.conversations, id);
+}
+
+// =============================================================================
+// FEEDBACK
+// =============================================================================
+
+/**
+ * Store a rated reply (see Feedback.buildFeedbackRecord())
+ */
+export async function saveFeedbackRecord(record) {
+    const db = await getDB();
+    await db.put(DB_CONFIG.stores.feedback, record);
+    return record;
+}
+
+/**
+ * Get all rated replies, most recently rated first
+ */
+export async function getAllFeedbackRecords() {
+    const db = await getDB();
+    const records = await db.getAllFromIndex(DB_CONFIG.stores.feedback, 'by_rated');
+    return records.reverse();
+}
+
+/**
+ * Delete a rating
+ */
+export async function deleteFeedbackRecord(id) {
+    const db = await getDB();
+    await db.delete(DB_CONFIG.stores.feedback, id);
 }
 
 // =============================================================================
@@ -683,6 +871,7 @@ export default {
     setCache,
     getCache,
     deleteCache,
+    deleteCacheByPrefix,
     clearCache,
 
     // Settings
@@ -695,6 +884,22 @@ export default {
     getHistory,
     clearHistory,
 
+    // Request metrics
+    recordRequestMetric,
+    getRequestMetrics,
+    clearRequestMetrics,
+
+    // Conversations
+    saveConversationRecord,
+    getConversationRecord,
+    getAllConversationRecords,
+    deleteConversationRecord,
+
+    // Feedback
+    saveFeedbackRecord,
+    getAllFeedbackRecords,
+    deleteFeedbackRecord,
+
     // Storage
     getStorageInfo,
     requestPersistentStorage,
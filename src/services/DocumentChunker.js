@@ -0,0 +1,139 @@
+/**
+ * DocumentChunker - Page-aware Splitting for Long Documents
+ * ==========================================================
+ *
+ * Splits extracted text into sections that fit a character budget.
+ * PDFs keep the `--- Page N ---` markers FileProcessor emits, so every
+ * section knows which pages it covers and can be cited by them.
+ * Text without markers is split on paragraphs and cited as "Part N".
+ */
+
+const PAGE_SPLIT = /\n?--- Page (\d+) ---\n/;
+
+// =============================================================================
+// PAGES
+// =============================================================================
+
+/**
+ * Split content into pages using FileProcessor's page markers
+ * @returns {Array<{page: number|null, text: string}>} - page is null when the text has no markers
+ */
+export const splitPages = (content = '') => {
+    const parts = content.split(PAGE_SPLIT);
+
+    if (parts.length === 1) {
+        return content.trim() ? [{ page: null, text: content.trim() }] : [];
+    }
+
+    const pages = [];
+    const preamble = parts[0].trim();
+    if (preamble) {
+        pages.push({ page: null, text: preamble });
+    }
+
+    for (let i = 1; i < parts.length; i += 2) {
+        const text = (parts[i + 1] || '').trim();
+        if (text) {
+            pages.push({ page: parseInt(parts[i]), text });
+        }
+    }
+
+    return pages;
+};
+
+/**
+ * Break a unit that is larger than the budget at paragraph, sentence
+ * or (as a last resort) character boundaries. Every piece holds at
+ * least one character, so a budget below 1 still terminates.
+ */
+const splitOversized = (text, maxChars) => {
+    const limit = Math.max(1, Math.floor(maxChars));
+    const pieces = [];
+    let rest = text;
+
+    while (rest.length > limit) {
+        const window = rest.slice(0, limit);
+        const cut = Math.max(
+            window.lastIndexOf('\n\n'),
+            window.lastIndexOf('. '),
+            window.lastIndexOf('\n')
+        );
+        const at = cut > limit * 0.5 ? cut + 1 : limit;
+
+        const piece = rest.slice(0, at).trim();
+        if (piece) {
+            pieces.push(piece);
+        }
+        rest = rest.slice(at);
+    }
+
+    if (rest.trim()) {
+        pieces.push(rest.trim());
+    }
+    return pieces;
+};
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+/**
+ * Citation label for a page range
+ */
+export const formatPageLabel = (pageStart, pageEnd) => {
+    if (pageStart == null) return null;
+    return pageStart === pageEnd ? `p. ${pageStart}` : `pp. ${pageStart}–${pageEnd}`;
+};
+
+/**
+ * Group a document into sections no longer than maxChars
+ * @param {string} content - Extracted text, optionally with page markers
+ * @param {number} maxChars - Character budget per section
+ * @returns {Array<{index: number, label: string, pageStart: number|null, pageEnd: number|null, text: string}>}
+ */
+export const chunkDocument = (content, maxChars) => {
+    const pages = splitPages(content);
+    const hasPages = pages.some(p => p.page !== null);
+
+    // Units are whole pages, or paragraphs for unmarked text
+    const units = hasPages
+        ? pages
+        : pages.flatMap(p => p.text.split(/\n\s*\n/).map(text => ({ page: null, text })));
+
+    const sections = [];
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const label = formatPageLabel(current.pageStart, current.pageEnd) || `Part ${sections.length + 1}`;
+        sections.push({ index: sections.length, label, ...current });
+        current = null;
+    };
+
+    for (const unit of units) {
+        const body = unit.page !== null ? `--- Page ${unit.page} ---\n${unit.text}` : unit.text;
+
+        for (const piece of splitOversized(body, maxChars)) {
+            if (current && current.text.length + piece.length + 2 > maxChars) {
+                flush();
+            }
+
+            if (!current) {
+                current = { pageStart: unit.page, pageEnd: unit.page, text: piece };
+            } else {
+                current.text += `\n\n${piece}`;
+                current.pageStart = current.pageStart ?? unit.page;
+                current.pageEnd = unit.page ?? current.pageEnd;
+            }
+        }
+    }
+    flush();
+
+    return sections;
+};
+
+export default {
+    splitPages,
+    formatPageLabel,
+    chunkDocument
+};
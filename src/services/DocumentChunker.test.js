@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+
+import { splitPages, formatPageLabel, chunkDocument } from './DocumentChunker';
+
+const PDF_TEXT = '--- Page 1 ---\nIntroduction.\n--- Page 2 ---\nMethods.\n--- Page 3 ---\nResults.';
+
+describe('splitPages', () => {
+    it('splits on page markers and keeps text before the first one', () => {
+        expect(splitPages(`Title\n${PDF_TEXT}`)).toEqual([
+            { page: null, text: 'Title' },
+            { page: 1, text: 'Introduction.' },
+            { page: 2, text: 'Methods.' },
+            { page: 3, text: 'Results.' }
+        ]);
+    });
+
+    it('returns unmarked text as one page, and nothing for blank text', () => {
+        expect(splitPages('Just notes.')).toEqual([{ page: null, text: 'Just notes.' }]);
+        expect(splitPages('   ')).toEqual([]);
+    });
+});
+
+describe('formatPageLabel', () => {
+    it('labels single pages and ranges', () => {
+        expect(formatPageLabel(3, 3)).toBe('p. 3');
+        expect(formatPageLabel(3, 5)).toBe('pp. 3–5');
+        expect(formatPageLabel(null, null)).toBe(null);
+    });
+});
+
+describe('chunkDocument', () => {
+    it('groups whole pages into sections labelled by their page range', () => {
+        const sections = chunkDocument(PDF_TEXT, 60);
+
+        expect(sections.map(s => s.label)).toEqual(['pp. 1–2', 'p. 3']);
+        expect(sections[0].text).toContain('--- Page 2 ---\nMethods.');
+    });
+
+    it('splits unmarked text on paragraphs and labels the parts', () => {
+        const sections = chunkDocument('First paragraph.\n\nSecond paragraph.', 20);
+
+        expect(sections.map(s => [s.label, s.text])).toEqual([
+            ['Part 1', 'First paragraph.'],
+            ['Part 2', 'Second paragraph.']
+        ]);
+    });
+
+    it('breaks oversized paragraphs at sentence boundaries', () => {
+        const text = 'One sentence here. Another sentence there. A third one.';
+        const sections = chunkDocument(text, 25);
+
+        expect(sections.every(s => s.text.length <= 25)).toBe(true);
+        expect(sections[0].text).toBe('One sentence here.');
+    });
+
+    it('terminates with a budget below one character', () => {
+        expect(chunkDocument('abc', 0).map(s => s.text)).toEqual(['a', 'b', 'c']);
+        expect(chunkDocument('a b', -5).map(s => s.text)).toEqual(['a', 'b']);
+    });
+});
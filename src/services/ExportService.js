@@ -3,14 +3,38 @@
  * ======================================
  * 
  * Provides various export formats for conversations, canvas, and documents.
+ * Chat exports carry each message's metadata (see
+ * Conversations.getMessageMetadata()); JSON exports can be imported back.
  */
 
+import { getMessageMetadata } from './Conversations';
+import { describeParams } from './ModelParams';
+
 class ExportService {
+    /**
+     * One-line summary of a message's metadata, e.g.
+     * "10/19/2026, 9:14 AM • llama3.2 • 4.2s • 812 → 240 tokens • temp 0.3 • Files: a.pdf"
+     */
+    static describeMessageMetadata(msg, { includeTimestamps = true } = {}) {
+        const meta = getMessageMetadata(msg);
+
+        return [
+            includeTimestamps && meta.timestamp && new Date(meta.timestamp).toLocaleString(),
+            meta.model,
+            meta.durationMs !== null && `${(meta.durationMs / 1000).toFixed(1)}s`,
+            meta.completionTokens !== null && `${meta.promptTokens ?? '?'} → ${meta.completionTokens} tokens`,
+            meta.params && describeParams(meta.params),
+            meta.contextFiles.length > 0 && `Files: ${meta.contextFiles.join(', ')}`,
+            meta.sources.length > 0 && `Cited: ${meta.sources.join(', ')}`,
+            meta.imageNames.length > 0 && `Images: ${meta.imageNames.join(', ')}`
+        ].filter(Boolean).join(' • ');
+    }
+
     /**
      * Export conversation as Markdown
      */
     static exportChatAsMarkdown(messages, options = {}) {
-        const { title = 'Chat Export', includeTimestamps = true } = options;
+        const { title = 'Chat Export', includeTimestamps = true, includeMetadata = true } = options;
 
         let markdown = `# ${title}\n\n`;
         markdown += `*Exported on ${new Date().toLocaleString()}*\n\n`;
@@ -20,8 +44,11 @@ class ExportService {
             const role = msg.role === 'user' ? '👤 **You**' : '🤖 **AI**';
             markdown += `### ${role}\n\n`;
             markdown += `${msg.content}\n\n`;
-            if (includeTimestamps && msg.timestamp) {
-                markdown += `*${new Date(msg.timestamp).toLocaleString()}*\n\n`;
+            const details = includeMetadata
+                ? this.describeMessageMetadata(msg, { includeTimestamps })
+                : (includeTimestamps && msg.timestamp ? new Date(msg.timestamp).toLocaleString() : '');
+            if (details) {
+                markdown += `*${details}*\n\n`;
             }
             if (index < messages.length - 1) {
                 markdown += `---\n\n`;
@@ -45,11 +72,46 @@ class ExportService {
             messages: messages.map(msg => ({
                 role: msg.role,
                 content: msg.content,
-                timestamp: msg.timestamp || new Date().toISOString()
+                ...getMessageMetadata(msg)
             }))
         }, null, 2);
     }
 
+    /**
+     * Read a JSON chat export (see exportChatAsJSON()) back into messages
+     * with their metadata
+     * @returns {{ title: string, messages: Array<Object> }}
+     */
+    static parseChatJSON(json) {
+        const data = JSON.parse(json);
+        if (!Array.isArray(data?.messages)) {
+            throw new Error('Not a chat export: no messages found');
+        }
+
+        const messages = data.messages
+            .filter(msg => ['user', 'assistant'].includes(msg.role) && typeof msg.content === 'string')
+            .map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                ...(msg.timestamp && { timestamp: msg.timestamp }),
+                ...(msg.model && { model: msg.model }),
+                ...(msg.params && { params: msg.params }),
+                ...(msg.durationMs != null && { durationMs: msg.durationMs }),
+                ...(msg.completionTokens != null && {
+                    stats: {
+                        promptTokens: msg.promptTokens,
+                        completionTokens: msg.completionTokens,
+                        tokensPerSecond: msg.tokensPerSecond
+                    }
+                }),
+                ...(msg.contextFiles?.length > 0 && { contextFiles: msg.contextFiles }),
+                ...(msg.sources?.length > 0 && { sources: msg.sources }),
+                ...(msg.imageNames?.length > 0 && { imageNames: msg.imageNames })
+            }));
+
+        return { title: typeof data.title === 'string' ? data.title : '', messages };
+    }
+
     /**
      * Export canvas as JSON
      */
@@ -153,10 +215,12 @@ class ExportService {
 
         messages.forEach(msg => {
             const roleLabel = msg.role === 'user' ? '👤 You' : '🤖 AI';
+            const details = this.describeMessageMetadata(msg);
             html += `
     <div class="message ${msg.role}">
         <div class="role">${roleLabel}</div>
-        <div class="content">${msg.content.replace(/\n/g, '<br>')}</div>
+        <div class="content">${msg.content.replace(/\n/g, '<br>')}</div>${details ? `
+        <div class="meta">${details}</div>` : ''}
     </div>`;
         });
 
@@ -175,6 +239,40 @@ class ExportService {
         const filename = `${title.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}.html`;
         this.downloadFile(html, filename, 'text/html');
     }
+
+    /**
+     * Export rated replies (see Feedback.js) as JSONL, one exchange per line:
+     * the chat messages that were sent, the response and its rating
+     */
+    static exportFeedbackAsJSONL(records) {
+        return records.map(record => JSON.stringify({
+            id: record.id,
+            ratedAt: record.ratedAt,
+            rating: record.rating,
+            score: record.rating === 'up' ? 1 : -1,
+            comment: record.comment,
+            model: record.model,
+            params: record.params,
+            persona: record.persona,
+            messages: [
+                ...(record.systemPrompt ? [{ role: 'system', content: record.systemPrompt }] : []),
+                ...record.history,
+                { role: 'user', content: record.prompt }
+            ],
+            response: record.response,
+            context: record.context,
+            stats: record.stats
+        })).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Download rated replies as JSONL
+     */
+    static downloadFeedbackJSONL(records, title = 'feedback') {
+        const jsonl = this.exportFeedbackAsJSONL(records);
+        const filename = `${title.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}.jsonl`;
+        this.downloadFile(jsonl, filename, 'application/jsonl');
+    }
 }
 
 export default ExportService;
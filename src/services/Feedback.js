@@ -0,0 +1,127 @@
+/**
+ * Feedback - Rated Replies as an Evaluation Dataset
+ * =================================================
+ *
+ * Rating a reply (thumbs up/down and an optional comment) stores it on the
+ * message and, as a self-contained record, in the DatabaseService
+ * `feedback` store: the prompt and the thread before it, the reply, the
+ * model, generation params, system prompt and the files and library
+ * excerpts that were in context. Records outlive their conversation.
+ *
+ * The records are listed and compared per model and persona in the
+ * feedback view, and exported as JSONL (see ExportService).
+ */
+
+import { saveFeedbackRecord, getAllFeedbackRecords, deleteFeedbackRecord, generateId } from './DatabaseService';
+
+export const RATINGS = {
+    UP: 'up',
+    DOWN: 'down'
+};
+
+// =============================================================================
+// RECORDS
+// =============================================================================
+
+/**
+ * Snapshot of a reply and what produced it
+ * @param {Object} data
+ * @param {Array<Object>} data.messages - The thread shown
+ * @param {number} data.index - Index of the rated reply in messages
+ * @param {string} data.rating - One of RATINGS
+ * @param {string} data.comment
+ * @param {string} data.conversationId
+ * @param {string} data.conversationTitle
+ * @param {string} data.id - Id of an earlier rating of the same reply
+ */
+export function buildFeedbackRecord({ messages, index, rating, comment = '', conversationId = null, conversationTitle = '', id = null }) {
+    const reply = messages[index];
+    if (reply?.role !== 'assistant') throw new Error('Only replies can be rated');
+
+    const promptIndex = messages.slice(0, index).map(m => m.role).lastIndexOf('user');
+    const prompt = messages[promptIndex];
+
+    return {
+        id: id || generateId('feedback'),
+        rating,
+        comment: comment.trim(),
+        ratedAt: new Date().toISOString(),
+        conversationId,
+        conversationTitle,
+        model: reply.model || null,
+        params: reply.params || {},
+        persona: reply.persona || null,
+        systemPrompt: reply.systemPrompt || null,
+        history: messages.slice(0, Math.max(promptIndex, 0)).map(m => ({ role: m.role, content: m.content })),
+        prompt: prompt?.content || '',
+        response: reply.content,
+        context: {
+            excerpts: (reply.excerpts || []).map(e => ({
+                documentName: e.documentName,
+                label: e.label,
+                text: e.text,
+                cited: !!e.cited
+            })),
+            files: reply.contextFiles || [],
+            referencedSources: reply.referencedSources || [],
+            imageNames: prompt?.imageNames || []
+        },
+        stats: reply.stats || null
+    };
+}
+
+/**
+ * Rate (or re-rate) the reply at `index`
+ * @returns {Promise<Object>} The feedback to keep on the message: { id, rating, comment, ratedAt }
+ */
+export async function rateReply(data) {
+    const record = await saveFeedbackRecord(buildFeedbackRecord(data));
+    return { id: record.id, rating: record.rating, comment: record.comment, ratedAt: record.ratedAt };
+}
+
+/**
+ * Withdraw a rating
+ */
+export async function removeRating(id) {
+    return deleteFeedbackRecord(id);
+}
+
+/**
+ * Rated replies, most recent first
+ */
+export async function listFeedback() {
+    return getAllFeedbackRecords();
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+/**
+ * Ratings per model and persona, most rated first
+ * @returns {Array<{ model, persona, up, down, total, approval }>} approval is the share
+ *   of thumbs up (0-1)
+ */
+export function summarizeFeedback(records) {
+    const groups = new Map();
+    records.forEach(r => {
+        const key = `${r.model}\u0000${r.persona}`;
+        if (!groups.has(key)) groups.set(key, { model: r.model, persona: r.persona, up: 0, down: 0, total: 0 });
+        const group = groups.get(key);
+        group[r.rating === RATINGS.UP ? 'up' : 'down']++;
+        group.total++;
+    });
+
+    return [...groups.values()]
+        .map(group => ({ ...group, approval: group.up / group.total }))
+        .sort((a, b) => b.total - a.total);
+}
+
+export default {
+    RATINGS,
+    buildFeedbackRecord,
+    rateReply,
+    removeRating,
+    listFeedback,
+    summarizeFeedback
+};
@@ -8,6 +8,7 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import * as XLSX from 'xlsx';
 import mammoth from 'mammoth';
+import { TRUST_LEVELS, SOURCE_DATA_NOTICE, scanContent, guardContent, wrapSource } from './ContentGuard';
 
 // Configure PDF.js worker for v5.x
 // Use the bundled worker from the package
@@ -202,7 +203,8 @@ export const extractTextFromImage = async (file) => {
                     `Type: ${file.type}\n` +
                     `Size: ${formatFileSize(file.size)}\n\n` +
                     `Note: This image has been uploaded for visual reference. ` +
-                    `For text extraction from images (OCR), enable Tesseract.js processing.`;
+                    `Vision models (e.g. llava) receive the image itself; ` +
+                    `for text extraction from images (OCR), enable Tesseract.js processing.`;
 
                 resolve({
                     content: description,
@@ -354,6 +356,8 @@ export const processFile = async (file, options = {}) => {
         return {
             success: true,
             content: result.content,
+            // Instruction-like passages, flagged at ingestion (see ContentGuard)
+            scan: scanContent(result.content),
             metadata: {
                 fileName: file.name,
                 fileType: mimeType,
@@ -409,31 +413,37 @@ export const processMultipleFiles = async (files, options = {}) => {
 };
 
 /**
- * Build context string for AI prompt with source tracking
+ * Build context string for AI prompt with source tracking.
+ * Each file is wrapped in source delimiters; flagged content is removed
+ * or withheld according to the file's `trust` (see ContentGuard).
  * @param {Object[]} files - Array of processed file objects
  * @param {Object} options - Context options
+ * @param {number} options.maxContentLength - Character limit per file
+ * @param {number[]} options.maxContentLengths - Per-file limits (override maxContentLength)
  * @returns {string} - Formatted context string
  */
 export const buildFileContext = (files, options = {}) => {
     if (!files || files.length === 0) return '';
 
-    const { sourceOnlyMode = false, maxContentLength = 4000 } = options;
+    const { sourceOnlyMode = false, maxContentLength = 4000, maxContentLengths = null } = options;
 
     let contextParts = [];
 
     files.forEach((file, index) => {
         let content = file.extractedContent || `[No content extracted from ${file.name}]`;
+        const limit = maxContentLengths?.[index] ?? maxContentLength;
 
         // Truncate if too long
-        if (content.length > maxContentLength) {
-            content = content.substring(0, maxContentLength) +
+        if (content.length > limit) {
+            content = content.substring(0, limit) +
                 `\n\n... [Content truncated. Full document is ${content.length} characters]`;
         }
 
         contextParts.push({
             source: `[Source ${index + 1}]`,
+            number: index + 1,
             fileName: file.name,
-            content: content
+            content: guardContent(content, file.trust || TRUST_LEVELS.STANDARD).text
         });
     });
 
@@ -441,16 +451,18 @@ export const buildFileContext = (files, options = {}) => {
         ? `=== SOURCE-ONLY MODE ACTIVE ===
 You MUST only use information from the uploaded files below.
 Do NOT use any external knowledge. If the answer is not in the files, say so.
+${SOURCE_DATA_NOTICE}
 
 `
         : `=== FILE CONTEXT ===
 The following files have been uploaded for reference.
 Use this information to provide accurate, contextual responses.
+${SOURCE_DATA_NOTICE}
 
 `;
 
     const body = contextParts.map(part =>
-        `${part.source} ${part.fileName}\n${'─'.repeat(50)}\n${part.content}`
+        `${part.source} ${part.fileName}\n${wrapSource(part.content, { id: part.number, name: part.fileName, origin: 'uploaded file' })}`
     ).join('\n\n');
 
     const footer = `\n\n=== END OF FILE CONTEXT ===
@@ -0,0 +1,208 @@
+/**
+ * HealthMonitor - LLM Backend Connection Health
+ * ==============================================
+ *
+ * Polls the active provider's model list (Ollama: /api/tags) through
+ * aiService.checkConnection() and classifies failures with ERROR_TYPES:
+ * unreachable, model missing, out of memory or timeout.
+ *
+ * While healthy it checks every `interval`; after a failure it retries
+ * with exponential backoff until the backend recovers. Chat results can
+ * be reported back so errors seen mid-conversation (e.g. out of memory)
+ * show up in the status and trigger an early re-check.
+ */
+
+import aiService, { ERROR_TYPES } from './AIService';
+
+export const HEALTH_STATES = {
+    CHECKING: 'checking',
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',   // reachable, but requests fail (model missing, out of memory)
+    UNREACHABLE: 'unreachable'
+};
+
+const DEFAULT_OPTIONS = {
+    interval: 30000,
+    baseDelay: 2000,
+    maxDelay: 60000
+};
+
+class HealthMonitor {
+    constructor(service, options = {}) {
+        this.service = service;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.listeners = new Set();
+        this.timer = null;
+        this.running = false;
+        this.inFlight = null;
+
+        this.status = {
+            state: HEALTH_STATES.CHECKING,
+            errorType: null,
+            error: null,
+            hint: null,
+            models: [],
+            selectedModel: null,
+            missingModel: null,
+            failures: 0,
+            lastChecked: null,
+            nextCheckAt: null
+        };
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION
+    // =========================================================================
+
+    /**
+     * Listen for status changes; the listener is called immediately
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.status);
+        return () => this.listeners.delete(listener);
+    }
+
+    setStatus(updates) {
+        this.status = { ...this.status, ...updates };
+        this.listeners.forEach(listener => listener(this.status));
+    }
+
+    // =========================================================================
+    // POLLING
+    // =========================================================================
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.checkNow();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Delay before the next check after `failures` consecutive failures
+     */
+    getBackoffDelay(failures) {
+        const { baseDelay, maxDelay } = this.options;
+        const delay = Math.min(baseDelay * 2 ** (failures - 1), maxDelay);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        if (!this.running) return;
+
+        this.timer = setTimeout(() => this.checkNow(), delay);
+        this.setStatus({ nextCheckAt: Date.now() + delay });
+    }
+
+    /**
+     * Check the backend now; concurrent calls share one request.
+     * Each check is tagged with the provider generation it started under:
+     * after a provider switch a new check starts, and the result of the
+     * old one is ignored.
+     */
+    async checkNow() {
+        const generation = this.service.providerGeneration;
+        if (this.inFlight?.generation === generation) return this.inFlight.promise;
+
+        clearTimeout(this.timer);
+
+        // Only the first check shows as "checking"; later ones keep the last known state
+        if (this.status.lastChecked === null) {
+            this.setStatus({ state: HEALTH_STATES.CHECKING, nextCheckAt: null });
+        }
+
+        const check = { generation };
+        check.promise = this.service.checkConnection()
+            .then(result => {
+                if (generation === this.service.providerGeneration) {
+                    this.applyResult(result);
+                }
+                return this.status;
+            })
+            .finally(() => {
+                if (this.inFlight === check) {
+                    this.inFlight = null;
+                }
+            });
+
+        this.inFlight = check;
+        return check.promise;
+    }
+
+    applyResult(result) {
+        const lastChecked = Date.now();
+
+        if (result.connected) {
+            this.setStatus({
+                state: HEALTH_STATES.HEALTHY,
+                errorType: null,
+                error: null,
+                hint: null,
+                models: result.models,
+                selectedModel: result.selectedModel,
+                missingModel: result.missingModel || null,
+                failures: 0,
+                lastChecked
+            });
+            this.schedule(this.options.interval);
+            return;
+        }
+
+        const failures = this.status.failures + 1;
+        this.setStatus({
+            state: result.reachable ? HEALTH_STATES.DEGRADED : HEALTH_STATES.UNREACHABLE,
+            errorType: result.errorType,
+            error: result.error,
+            hint: result.hint,
+            models: [],
+            selectedModel: null,
+            failures,
+            lastChecked
+        });
+        this.schedule(this.getBackoffDelay(failures));
+    }
+
+    // =========================================================================
+    // CHAT FEEDBACK
+    // =========================================================================
+
+    /**
+     * Feed a chat()/task result back into the monitor
+     */
+    report(result) {
+        if (!result || result.success || result.aborted) return;
+
+        switch (result.errorType) {
+            case ERROR_TYPES.UNREACHABLE:
+            case ERROR_TYPES.TIMEOUT:
+            case ERROR_TYPES.MODEL_NOT_FOUND:
+                // Confirm with a poll; on failure this starts the backoff cycle
+                this.checkNow();
+                break;
+            case ERROR_TYPES.OUT_OF_MEMORY:
+                this.setStatus({
+                    state: HEALTH_STATES.DEGRADED,
+                    errorType: result.errorType,
+                    error: result.error,
+                    hint: result.hint
+                });
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+// Export singleton instance
+const healthMonitor = new HealthMonitor(aiService);
+export default healthMonitor;
+
+export { HealthMonitor };
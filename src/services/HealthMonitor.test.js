@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { HealthMonitor, HEALTH_STATES } from './HealthMonitor';
+
+// The monitor only needs the error types; the singleton's service is not used here
+vi.mock('./AIService', () => ({
+    default: {},
+    ERROR_TYPES: { UNREACHABLE: 'unreachable', TIMEOUT: 'timeout', MODEL_NOT_FOUND: 'model_not_found', OUT_OF_MEMORY: 'out_of_memory' }
+}));
+
+const CONNECTED = { connected: true, models: ['llama3.2'], selectedModel: 'llama3.2' };
+const UNREACHABLE = { connected: false, reachable: false, errorType: 'unreachable', error: 'Failed to fetch' };
+
+/**
+ * A service whose connection checks finish when the test says so
+ */
+function createService() {
+    const service = {
+        providerGeneration: 0,
+        checks: [],
+        checkConnection: vi.fn(() => new Promise(resolve => service.checks.push(resolve)))
+    };
+    return service;
+}
+
+describe('HealthMonitor.checkNow', () => {
+    let service;
+    let monitor;
+
+    beforeEach(() => {
+        service = createService();
+        monitor = new HealthMonitor(service);
+    });
+
+    it('shares one check between concurrent calls', async () => {
+        const a = monitor.checkNow();
+        const b = monitor.checkNow();
+        service.checks[0](CONNECTED);
+
+        await Promise.all([a, b]);
+        expect(service.checkConnection).toHaveBeenCalledTimes(1);
+        expect(monitor.status).toMatchObject({ state: HEALTH_STATES.HEALTHY, models: ['llama3.2'] });
+    });
+
+    it('starts a new check after a provider switch and ignores the old result', async () => {
+        const stale = monitor.checkNow();
+        service.providerGeneration++;
+        const current = monitor.checkNow();
+        expect(service.checkConnection).toHaveBeenCalledTimes(2);
+
+        service.checks[1](UNREACHABLE);
+        await current;
+        service.checks[0](CONNECTED);
+        await stale;
+
+        expect(monitor.status).toMatchObject({ state: HEALTH_STATES.UNREACHABLE, failures: 1 });
+        expect(monitor.inFlight).toBe(null);
+    });
+});
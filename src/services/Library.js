@@ -12,6 +12,7 @@
  * - Tag management system
  * - Import/Export functionality
  * - AI summary integration hooks
+ * - Embedded chunks for semantic retrieval
  * - Event-driven architecture
  * 
  * @version 1.0.0
@@ -19,16 +20,21 @@
  */
 
 import { openDB, deleteDB } from 'idb';
+import { invalidateContent } from './ResponseCache';
+import { TRUST_LEVELS, scanContent } from './ContentGuard';
+import { processFile } from './FileProcessor';
+import { readFileAsDataURL } from '../utils/fileUtils';
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const DB_NAME = 'devsavvy_library';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'documents';
 const TAGS_STORE = 'tags';
 const SETTINGS_STORE = 'settings';
+const CHUNKS_STORE = 'chunks';
 
 // Document types enum
 export const DocumentType = {
@@ -103,6 +109,14 @@ async function initDB() {
                     keyPath: 'key'
                 });
             }
+
+            // v2: embedded document chunks for semantic retrieval
+            if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+                const chunkStore = db.createObjectStore(CHUNKS_STORE, {
+                    keyPath: 'id'
+                });
+                chunkStore.createIndex('by_document', 'documentId');
+            }
         },
         blocked() {
             console.warn('⚠️ Library DB blocked by older version');
@@ -151,6 +165,13 @@ export function createDocument(data) {
         content: data.content || '',
         contentPreview: data.contentPreview || truncateContent(data.content, 500),
 
+        // Image documents keep the picture (data URL) for vision models
+        imageData: data.imageData || null,
+
+        // Prompt-injection scan of the content, and what to do with flagged content
+        scan: data.scan || scanContent(data.content || ''),
+        trust: data.trust || TRUST_LEVELS.STANDARD,
+
         // Status tracking
         status: data.status || DocumentStatus.READY,
 
@@ -241,6 +262,37 @@ export async function addDocument(documentData) {
     }
 }
 
+/**
+ * Extract an uploaded file (see FileProcessor) and add it to the library.
+ * Images keep the picture itself for vision models.
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} - Created document
+ */
+export async function addFileDocument(file) {
+    const result = await processFile(file);
+    if (!result.success) {
+        throw new LibraryError(`Could not read ${file.name}`, new Error(result.metadata.error));
+    }
+
+    const isImage = file.type.startsWith('image/');
+
+    return addDocument({
+        name: file.name,
+        type: getDocumentType(file),
+        content: result.content,
+        scan: result.scan,
+        imageData: isImage ? await readFileAsDataURL(file) : null,
+        metadata: {
+            fileSize: file.size,
+            mimeType: file.type || 'text/plain',
+            pageCount: result.metadata.pageCount || null,
+            source: DocumentSource.UPLOADED,
+            processingTime: result.metadata.processingTimeMs,
+            extractionMethod: isImage ? 'image' : file.type
+        }
+    });
+}
+
 /**
  * Get a document by ID
  * @param {string} id - Document ID
@@ -289,9 +341,13 @@ export async function updateDocument(id, updates) {
             await updateTagCounts(newTags, 1);
         }
 
+        // New content gets a new injection scan
+        const contentChanged = updates.content !== undefined && updates.content !== existing.content;
+
         // Deep merge updates
         const updated = deepMerge(existing, {
             ...updates,
+            ...(contentChanged && { scan: scanContent(updates.content) }),
             metadata: {
                 ...existing.metadata,
                 ...updates.metadata,
@@ -310,6 +366,11 @@ export async function updateDocument(id, updates) {
 
         await db.put(STORE_NAME, updated);
 
+        // Cached AI results (summaries, key points, ...) belong to the old text
+        if (contentChanged) {
+            await invalidateContent(existing.content);
+        }
+
         console.log(`📝 Updated document: ${updated.name}`);
         emitEvent('document:updated', updated);
 
@@ -340,6 +401,8 @@ export async function deleteDocument(id) {
         }
 
         await db.delete(STORE_NAME, id);
+        await deleteDocumentChunks(id);
+        await invalidateContent(document.content);
 
         console.log(`🗑️ Deleted document: ${document.name}`);
         emitEvent('document:deleted', { id, name: document.name });
@@ -727,7 +790,7 @@ export async function bulkAddDocuments(documents) {
 export async function bulkDeleteDocuments(ids) {
     try {
         const db = await getDB();
-        let deletedCount = 0;
+        const deletedContents = [];
 
         const tx = db.transaction(STORE_NAME, 'readwrite');
 
@@ -735,12 +798,21 @@ export async function bulkDeleteDocuments(ids) {
             const doc = await tx.store.get(id);
             if (doc) {
                 await tx.store.delete(id);
-                deletedCount++;
+                deletedContents.push(doc.content);
             }
         }
 
         await tx.done;
 
+        for (const id of ids) {
+            await deleteDocumentChunks(id);
+        }
+        for (const content of deletedContents) {
+            await invalidateContent(content);
+        }
+
+        const deletedCount = deletedContents.length;
+
         console.log(`🗑️ Bulk deleted ${deletedCount} documents`);
         emitEvent('documents:bulkDeleted', { count: deletedCount });
 
@@ -995,6 +1067,75 @@ export async function recordDocumentQuery(documentId) {
     }
 }
 
+// =============================================================================
+// EMBEDDED CHUNKS
+// =============================================================================
+
+/**
+ * Replace the stored chunks (text + embedding vector) of a document
+ * @param {string} documentId - Document ID
+ * @param {Array<Object>} chunks - Chunk records; `id` must be unique across the library
+ * @returns {Promise<number>} - Number of stored chunks
+ */
+export async function saveDocumentChunks(documentId, chunks) {
+    try {
+        const db = await getDB();
+        const tx = db.transaction(CHUNKS_STORE, 'readwrite');
+        const index = tx.store.index('by_document');
+
+        for (const key of await index.getAllKeys(documentId)) {
+            await tx.store.delete(key);
+        }
+        for (const chunk of chunks) {
+            await tx.store.put({ ...chunk, documentId });
+        }
+
+        await tx.done;
+        emitEvent('chunks:updated', { documentId, count: chunks.length });
+
+        return chunks.length;
+    } catch (error) {
+        console.error('❌ Failed to save chunks:', error);
+        throw new LibraryError('Failed to save chunks', error);
+    }
+}
+
+/**
+ * Get the stored chunks of one document, in document order
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Array>}
+ */
+export async function getDocumentChunks(documentId) {
+    const db = await getDB();
+    const chunks = await db.getAllFromIndex(CHUNKS_STORE, 'by_document', documentId);
+    return chunks.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Get every stored chunk in the library
+ * @returns {Promise<Array>}
+ */
+export async function getAllChunks() {
+    const db = await getDB();
+    return db.getAll(CHUNKS_STORE);
+}
+
+/**
+ * Remove the stored chunks of a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDocumentChunks(documentId) {
+    const db = await getDB();
+    const tx = db.transaction(CHUNKS_STORE, 'readwrite');
+
+    for (const key of await tx.store.index('by_document').getAllKeys(documentId)) {
+        await tx.store.delete(key);
+    }
+
+    await tx.done;
+}
+
 // =============================================================================
 // DATABASE MANAGEMENT
 // =============================================================================
@@ -1008,6 +1149,7 @@ export async function clearLibrary() {
         const db = await getDB();
         await db.clear(STORE_NAME);
         await db.clear(TAGS_STORE);
+        await db.clear(CHUNKS_STORE);
 
         console.log('🧹 Library cleared');
         emitEvent('library:cleared');
@@ -1040,12 +1182,14 @@ export async function getDatabaseInfo() {
     const db = await getDB();
     const documents = await db.count(STORE_NAME);
     const tags = await db.count(TAGS_STORE);
+    const chunks = await db.count(CHUNKS_STORE);
 
     return {
         name: DB_NAME,
         version: DB_VERSION,
         documentCount: documents,
-        tagCount: tags
+        tagCount: tags,
+        chunkCount: chunks
     };
 }
 
@@ -1056,6 +1200,19 @@ export async function getDatabaseInfo() {
 /**
  * Generate a unique ID
  */
+/**
+ * Document type of an uploaded file, from its MIME type
+ */
+function getDocumentType(file) {
+    const mimeType = file.type || '';
+    if (mimeType === 'application/pdf') return DocumentType.PDF;
+    if (mimeType.startsWith('image/')) return DocumentType.IMAGE;
+    if (/spreadsheet|ms-excel|csv/.test(mimeType)) return DocumentType.SPREADSHEET;
+    if (/wordprocessing|msword/.test(mimeType)) return DocumentType.DOCX;
+    if (mimeType === 'text/markdown' || /\.md$/i.test(file.name)) return DocumentType.MARKDOWN;
+    return DocumentType.TEXT;
+}
+
 function generateId() {
     return `doc_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 }
@@ -1179,6 +1336,7 @@ class LibraryError extends Error {
 export default {
     // CRUD
     addDocument,
+    addFileDocument,
     getDocument,
     updateDocument,
     deleteDocument,
@@ -1191,6 +1349,12 @@ export default {
     getRecentDocuments,
     getFavoriteDocuments,
 
+    // Embedded chunks
+    saveDocumentChunks,
+    getDocumentChunks,
+    getAllChunks,
+    deleteDocumentChunks,
+
     // Tags
     createTag,
     getAllTags,
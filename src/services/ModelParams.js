@@ -0,0 +1,80 @@
+/**
+ * ModelParams - Generation Settings
+ * ==================================
+ *
+ * Ollama-style generation options: temperature, top_p, num_ctx,
+ * num_predict, stop and seed. Conversations and tasks store them in
+ * this shape; each provider adapter maps them to its own request format.
+ * Unset keys are left out so the backend's defaults apply.
+ */
+
+export const MODEL_PARAMS = [
+    { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.05, hint: 'Higher is more creative' },
+    { key: 'top_p', label: 'Top P', min: 0, max: 1, step: 0.05, hint: 'Nucleus sampling cutoff' },
+    { key: 'num_ctx', label: 'Context window', min: 256, max: 262144, step: 256, integer: true, hint: 'Tokens the model sees' },
+    { key: 'num_predict', label: 'Max reply tokens', min: -1, max: 32768, step: 1, integer: true, hint: '-1 for no limit' },
+    { key: 'seed', label: 'Seed', min: 0, max: Number.MAX_SAFE_INTEGER, step: 1, integer: true, hint: 'Fix for reproducible runs' },
+    { key: 'stop', label: 'Stop sequences', list: true, hint: 'Comma separated' }
+];
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+const normalizeValue = (definition, value) => {
+    if (value === null || value === undefined || value === '') return undefined;
+
+    if (definition.list) {
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        const stops = items.map(item => String(item).trim()).filter(Boolean);
+        return stops.length > 0 ? stops : undefined;
+    }
+
+    let number = Number(value);
+    if (!Number.isFinite(number)) return undefined;
+    if (definition.integer) number = Math.round(number);
+    return Math.min(definition.max, Math.max(definition.min, number));
+};
+
+/**
+ * Keep only known, valid params (numbers clamped, stop as a string list)
+ * @param {Object} params - Raw params, e.g. from form inputs or storage
+ * @returns {Object}
+ */
+export const normalizeParams = (params = {}) => {
+    const normalized = {};
+
+    for (const definition of MODEL_PARAMS) {
+        const value = normalizeValue(definition, params?.[definition.key]);
+        if (value !== undefined) {
+            normalized[definition.key] = value;
+        }
+    }
+
+    return normalized;
+};
+
+/**
+ * Layer params; later layers win (e.g. task defaults, then conversation)
+ */
+export const mergeParams = (...layers) => {
+    return normalizeParams(Object.assign({}, ...layers.filter(Boolean)));
+};
+
+/**
+ * Short summary of the params that are set, e.g. "temp 0.2 • seed 42"
+ */
+export const describeParams = (params = {}) => {
+    const labels = { temperature: 'temp', top_p: 'top_p', num_ctx: 'ctx', num_predict: 'max', seed: 'seed' };
+
+    return Object.entries(normalizeParams(params))
+        .map(([key, value]) => key === 'stop' ? `${value.length} stop` : `${labels[key]} ${value}`)
+        .join(' • ');
+};
+
+export default {
+    MODEL_PARAMS,
+    normalizeParams,
+    mergeParams,
+    describeParams
+};
@@ -0,0 +1,208 @@
+/**
+ * Personas - Named System Prompts with Model Presets
+ * ===================================================
+ *
+ * A persona is a system prompt plus an optional default model and
+ * generation params (see ModelParams). Built-in personas wrap the
+ * prompts in AIService and are read-only; user personas are stored in
+ * the `personas` setting of DatabaseService and can be exported and
+ * imported as JSON.
+ */
+
+import { SYSTEM_PROMPTS } from './AIService';
+import { getSetting, setSetting, generateId } from './DatabaseService';
+import { normalizeParams } from './ModelParams';
+
+const SETTING_KEY = 'personas';
+const EXPORT_VERSION = 1;
+
+export const DEFAULT_PERSONA_ID = 'devsavvy';
+
+export const BUILT_IN_PERSONAS = [
+    {
+        id: DEFAULT_PERSONA_ID,
+        name: 'DevSavvy',
+        description: 'Coding assistant with clean Markdown answers',
+        systemPrompt: SYSTEM_PROMPTS.chat,
+        model: null,
+        params: {},
+        builtIn: true
+    },
+    {
+        id: 'document-analyst',
+        name: 'Document Analyst',
+        description: 'Answers strictly from the provided documents',
+        systemPrompt: SYSTEM_PROMPTS.document,
+        model: null,
+        params: { temperature: 0.3 },
+        builtIn: true
+    },
+    {
+        id: 'summarizer',
+        name: 'Summarizer',
+        description: 'Short, factual bullet-point summaries',
+        systemPrompt: SYSTEM_PROMPTS.summarize,
+        model: null,
+        params: { temperature: 0.3 },
+        builtIn: true
+    }
+];
+
+// =============================================================================
+// DATA MODEL
+// =============================================================================
+
+/**
+ * Build a valid persona from raw data (form input, storage or an import)
+ * @throws {Error} When the name or system prompt is missing
+ */
+export function createPersona(data = {}) {
+    const name = String(data.name ?? '').trim();
+    const systemPrompt = String(data.systemPrompt ?? '').trim();
+
+    if (!name) throw new Error('Persona name is required');
+    if (!systemPrompt) throw new Error(`Persona "${name}" has no system prompt`);
+
+    const now = new Date().toISOString();
+    return {
+        id: data.id || generateId('persona'),
+        name,
+        description: String(data.description ?? '').trim(),
+        systemPrompt,
+        model: data.model || null,
+        params: normalizeParams(data.params),
+        builtIn: false,
+        createdAt: data.createdAt || now,
+        updatedAt: now
+    };
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+async function getStoredPersonas() {
+    return getSetting(SETTING_KEY, []);
+}
+
+/**
+ * Built-in personas followed by the user's
+ * @returns {Promise<Array>}
+ */
+export async function getPersonas() {
+    return [...BUILT_IN_PERSONAS, ...await getStoredPersonas()];
+}
+
+/**
+ * Create or update a user persona
+ * @returns {Promise<Object>} - The saved persona
+ */
+export async function savePersona(data) {
+    if (BUILT_IN_PERSONAS.some(p => p.id === data.id)) {
+        throw new Error('Built-in personas cannot be changed; duplicate it instead');
+    }
+
+    const stored = await getStoredPersonas();
+    const existing = stored.find(p => p.id === data.id);
+    const persona = createPersona({ ...data, createdAt: existing?.createdAt });
+
+    await setSetting(SETTING_KEY, existing
+        ? stored.map(p => (p.id === persona.id ? persona : p))
+        : [...stored, persona]);
+
+    return persona;
+}
+
+/**
+ * Delete a user persona
+ * @returns {Promise<boolean>} - Whether a persona was removed
+ */
+export async function deletePersona(id) {
+    const stored = await getStoredPersonas();
+    const remaining = stored.filter(p => p.id !== id);
+
+    if (remaining.length === stored.length) return false;
+
+    await setSetting(SETTING_KEY, remaining);
+    return true;
+}
+
+// =============================================================================
+// IMPORT / EXPORT
+// =============================================================================
+
+/**
+ * Export user personas as a JSON string
+ * @param {Array<string>} ids - Limit the export to these personas
+ */
+export async function exportPersonas(ids = null) {
+    const stored = await getStoredPersonas();
+    const personas = ids ? stored.filter(p => ids.includes(p.id)) : stored;
+
+    return JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        personas: personas.map(({ name, description, systemPrompt, model, params }) => ({
+            name, description, systemPrompt, model, params
+        }))
+    }, null, 2);
+}
+
+/**
+ * Download the user personas as a JSON file
+ */
+export async function downloadPersonasExport() {
+    const blob = new Blob([await exportPersonas()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `devsavvy-personas-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Import personas from an export (or a bare array of personas).
+ * Imported personas always get new ids; names that already exist get a suffix.
+ * @param {string|Object} data - JSON text or parsed object
+ * @returns {Promise<number>} - Number of imported personas
+ * @throws {Error} When the data is not a persona export or a persona is invalid
+ */
+export async function importPersonas(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const items = Array.isArray(parsed) ? parsed : parsed?.personas;
+
+    if (!Array.isArray(items)) {
+        throw new Error('Not a persona export: expected a "personas" list');
+    }
+
+    const stored = await getStoredPersonas();
+    const names = new Set([...BUILT_IN_PERSONAS, ...stored].map(p => p.name));
+
+    const imported = items.map(item => {
+        const persona = createPersona({ ...item, id: null, createdAt: null });
+        let name = persona.name;
+        for (let n = 2; names.has(name); n++) {
+            name = `${persona.name} (${n})`;
+        }
+        names.add(name);
+        return { ...persona, name };
+    });
+
+    await setSetting(SETTING_KEY, [...stored, ...imported]);
+    return imported.length;
+}
+
+export default {
+    DEFAULT_PERSONA_ID,
+    BUILT_IN_PERSONAS,
+    createPersona,
+    getPersonas,
+    savePersona,
+    deletePersona,
+    exportPersonas,
+    downloadPersonasExport,
+    importPersonas
+};
@@ -0,0 +1,221 @@
+/**
+ * RequestQueue - Priority Queue and Concurrency Limiter for the Backend
+ * =====================================================================
+ *
+ * A local model serves one generation well; parallel requests on a
+ * CPU-only machine mostly thrash it. AIService sends every chat and
+ * embedding request through this queue: at most `concurrency` run at
+ * once, and waiting requests start by priority (interactive chat before
+ * document tasks before background jobs), oldest first.
+ *
+ * Identical requests still waiting share one entry (see `key`), and
+ * callers can follow their position in the queue.
+ */
+
+export const PRIORITIES = {
+    INTERACTIVE: 'interactive',   // Chat the user is waiting on
+    NORMAL: 'normal',             // User-started tasks (summaries, canvas, editor)
+    BACKGROUND: 'background'      // Batch jobs (indexing)
+};
+
+const PRIORITY_RANK = {
+    [PRIORITIES.INTERACTIVE]: 0,
+    [PRIORITIES.NORMAL]: 1,
+    [PRIORITIES.BACKGROUND]: 2
+};
+
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8;
+
+/**
+ * Rejection for a caller that cancelled while its request was queued,
+ * or left a request still running for other callers
+ */
+function queueAbortError() {
+    const error = new Error('Request cancelled while waiting in the queue');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Stop listening to a caller's signal once it is settled
+ */
+function release(waiter) {
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+}
+
+class RequestQueue {
+    constructor({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+        this.concurrency = Math.min(Math.max(1, concurrency), MAX_CONCURRENCY);
+        this.pending = [];      // Entries waiting, in start order
+        this.running = new Set();
+        this.listeners = new Set();
+        this.sequence = 0;
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION
+    // =========================================================================
+
+    /**
+     * Listen for queue changes; the listener is called immediately
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.getStatus());
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * @returns {{ running: number, pending: number, concurrency: number,
+     *   byPriority: { [priority]: number } }}
+     */
+    getStatus() {
+        const byPriority = Object.fromEntries(Object.values(PRIORITIES).map(p => [p, 0]));
+        this.pending.forEach(entry => { byPriority[entry.priority]++; });
+
+        return {
+            running: this.running.size,
+            pending: this.pending.length,
+            concurrency: this.concurrency,
+            byPriority
+        };
+    }
+
+    notify() {
+        // Positions are 1-based among waiting requests; 0 once started
+        this.pending.forEach((entry, i) => {
+            entry.waiters.forEach(waiter => waiter.onPosition?.(i + 1));
+        });
+
+        const status = this.getStatus();
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    // =========================================================================
+    // QUEUE
+    // =========================================================================
+
+    /**
+     * Requests allowed to run at the same time
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.min(Math.max(1, Number(concurrency) || DEFAULT_CONCURRENCY), MAX_CONCURRENCY);
+        this.pump();
+        this.notify();
+    }
+
+    /**
+     * Queue a request
+     * @param {Function} run - Called with an AbortSignal when the request starts; returns a promise
+     * @param {Object} options
+     * @param {string} options.priority - One of PRIORITIES
+     * @param {string} options.key - Identical requests (same key) waiting in the queue share one
+     *   run and its result; leave empty for requests that must not be shared (e.g. streaming)
+     * @param {AbortSignal} options.signal - Cancels this caller; the request itself is cancelled
+     *   once every caller sharing it has cancelled
+     * @param {Function} options.onPosition - Called with the 1-based queue position, and 0 on start
+     * @returns {Promise} Resolves with run()'s result; rejects with an AbortError when cancelled
+     *   while waiting, or while running for other callers. The last caller to cancel a running
+     *   request gets its (aborted) result.
+     */
+    enqueue(run, { priority = PRIORITIES.NORMAL, key = null, signal = null, onPosition = null } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(queueAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, onPosition, signal, onAbort: null };
+
+            let entry = key ? this.pending.find(e => e.key === key) : null;
+            if (entry) {
+                entry.waiters.push(waiter);
+
+                // A shared request moves up to its most urgent caller
+                if (PRIORITY_RANK[priority] < PRIORITY_RANK[entry.priority]) {
+                    entry.priority = priority;
+                    this.sort();
+                }
+            } else {
+                entry = {
+                    id: ++this.sequence,
+                    run,
+                    key,
+                    priority: PRIORITY_RANK[priority] === undefined ? PRIORITIES.NORMAL : priority,
+                    controller: new AbortController(),
+                    waiters: [waiter]
+                };
+                this.pending.push(entry);
+                this.sort();
+            }
+
+            waiter.onAbort = () => this.cancel(entry, waiter);
+            signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+            this.pump();
+            this.notify();
+        });
+    }
+
+    sort() {
+        this.pending.sort((a, b) => (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]) || (a.id - b.id));
+    }
+
+    /**
+     * Drop one caller. A waiting request goes when no caller is left. A
+     * running one keeps going for the other callers; the last caller
+     * aborts it and is settled by its (aborted) result, which keeps any
+     * partial output.
+     */
+    cancel(entry, waiter) {
+        if (!entry.waiters.includes(waiter)) return;
+
+        if (this.running.has(entry)) {
+            if (entry.waiters.length === 1) {
+                entry.controller.abort();
+                return;
+            }
+            entry.waiters = entry.waiters.filter(w => w !== waiter);
+            waiter.reject(queueAbortError());
+            return;
+        }
+        if (!this.pending.includes(entry)) return;
+
+        entry.waiters = entry.waiters.filter(w => w !== waiter);
+        waiter.reject(queueAbortError());
+
+        if (entry.waiters.length === 0) {
+            this.pending = this.pending.filter(e => e !== entry);
+        }
+        this.notify();
+    }
+
+    /**
+     * Start waiting requests while slots are free
+     */
+    pump() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            const entry = this.pending.shift();
+            this.running.add(entry);
+            entry.waiters.forEach(waiter => waiter.onPosition?.(0));
+
+            Promise.resolve()
+                .then(() => entry.run(entry.controller.signal))
+                .then(
+                    result => entry.waiters.forEach(waiter => waiter.resolve(result)),
+                    error => entry.waiters.forEach(waiter => waiter.reject(error))
+                )
+                .finally(() => {
+                    entry.waiters.forEach(release);
+                    this.running.delete(entry);
+                    this.pump();
+                    this.notify();
+                });
+        }
+    }
+}
+
+export default RequestQueue;
+
+export { RequestQueue };
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+
+import { RequestQueue, PRIORITIES } from './RequestQueue';
+
+/**
+ * A run() that finishes when the test says so, and reports its signal
+ */
+function deferredRun(result) {
+    const run = (signal) => {
+        run.started = true;
+        run.signal = signal;
+        return new Promise((resolve, reject) => {
+            run.finish = () => resolve(result);
+            signal.addEventListener('abort', () => {
+                const error = new Error('aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+    };
+    run.started = false;
+    return run;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('RequestQueue', () => {
+    it('starts waiting requests by priority, oldest first', async () => {
+        const queue = new RequestQueue({ concurrency: 1 });
+        const order = [];
+        const blocker = deferredRun('first');
+        const track = (name) => async () => { order.push(name); };
+
+        const first = queue.enqueue(blocker);
+        const rest = [
+            queue.enqueue(track('background'), { priority: PRIORITIES.BACKGROUND }),
+            queue.enqueue(track('normal 1')),
+            queue.enqueue(track('interactive'), { priority: PRIORITIES.INTERACTIVE }),
+            queue.enqueue(track('normal 2'))
+        ];
+
+        await tick();
+        blocker.finish();
+        await Promise.all([first, ...rest]);
+
+        expect(order).toEqual(['interactive', 'normal 1', 'normal 2', 'background']);
+    });
+
+    it('runs at most `concurrency` requests at once', async () => {
+        const queue = new RequestQueue({ concurrency: 2 });
+        const runs = [deferredRun(1), deferredRun(2), deferredRun(3)];
+        const results = runs.map(run => queue.enqueue(run));
+
+        await tick();
+        expect(runs.map(run => run.started)).toEqual([true, true, false]);
+        expect(queue.getStatus()).toMatchObject({ running: 2, pending: 1 });
+
+        runs[0].finish();
+        await tick();
+        expect(runs[2].started).toBe(true);
+
+        runs[1].finish();
+        runs[2].finish();
+        expect(await Promise.all(results)).toEqual([1, 2, 3]);
+    });
+
+    it('reports queue positions, and 0 once started', async () => {
+        const queue = new RequestQueue();
+        const blocker = deferredRun();
+        const positions = [];
+
+        queue.enqueue(blocker);
+        const waiting = queue.enqueue(async () => 'done', { onPosition: (p) => positions.push(p) });
+
+        await tick();
+        blocker.finish();
+        await waiting;
+
+        expect(positions[0]).toBe(1);
+        expect(positions.at(-1)).toBe(0);
+    });
+
+    it('shares one run between waiting requests with the same key', async () => {
+        const queue = new RequestQueue();
+        const blocker = deferredRun();
+        let calls = 0;
+        const run = async () => ++calls;
+
+        queue.enqueue(blocker);
+        const a = queue.enqueue(run, { key: 'same' });
+        const b = queue.enqueue(run, { key: 'same', priority: PRIORITIES.INTERACTIVE });
+
+        expect(queue.getStatus()).toMatchObject({ pending: 1, byPriority: { interactive: 1 } });
+
+        await tick();
+        blocker.finish();
+        expect(await Promise.all([a, b])).toEqual([1, 1]);
+        expect(calls).toBe(1);
+    });
+
+    it('drops a waiting request when its caller cancels', async () => {
+        const queue = new RequestQueue();
+        const blocker = deferredRun();
+        const controller = new AbortController();
+        let ran = false;
+
+        queue.enqueue(blocker);
+        const cancelled = queue.enqueue(async () => { ran = true; }, { signal: controller.signal });
+        controller.abort();
+
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+        expect(queue.getStatus().pending).toBe(0);
+
+        await tick();
+        blocker.finish();
+        await tick();
+        expect(ran).toBe(false);
+    });
+
+    it('aborts a running request when its only caller cancels', async () => {
+        const queue = new RequestQueue();
+        const run = deferredRun();
+        const controller = new AbortController();
+
+        const result = queue.enqueue(run, { signal: controller.signal });
+        await tick();
+        controller.abort();
+
+        await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+        expect(run.signal.aborted).toBe(true);
+    });
+
+    it('releases a caller of a shared running request at once, and aborts when the last one leaves', async () => {
+        const queue = new RequestQueue();
+        const blocker = deferredRun();
+        const shared = deferredRun('shared');
+        const first = new AbortController();
+        const second = new AbortController();
+
+        queue.enqueue(blocker);
+        const a = queue.enqueue(shared, { key: 'same', signal: first.signal });
+        const b = queue.enqueue(shared, { key: 'same', signal: second.signal });
+        await tick();
+        blocker.finish();
+        await tick();
+        expect(shared.started).toBe(true);
+
+        first.abort();
+        await expect(a).rejects.toMatchObject({ name: 'AbortError' });
+        expect(shared.signal.aborted).toBe(false);
+
+        second.abort();
+        await expect(b).rejects.toMatchObject({ name: 'AbortError' });
+        expect(shared.signal.aborted).toBe(true);
+    });
+
+    it('stops listening to a signal once the request is settled', async () => {
+        const queue = new RequestQueue();
+        const controller = new AbortController();
+        const removed = [];
+        const signal = controller.signal;
+        const removeEventListener = signal.removeEventListener.bind(signal);
+        signal.removeEventListener = (type, listener) => {
+            removed.push(type);
+            removeEventListener(type, listener);
+        };
+
+        await queue.enqueue(async () => 'done', { signal });
+        await tick();
+
+        expect(removed).toEqual(['abort']);
+    });
+});
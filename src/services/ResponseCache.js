@@ -0,0 +1,129 @@
+/**
+ * ResponseCache - Stored Results of Deterministic AI Tasks
+ * =========================================================
+ *
+ * Summaries, key points, entities and template fills are keyed by a
+ * SHA-256 hash of the source content plus the task, its inputs, the
+ * model and the generation params. Asking again for the same document
+ * with the same settings returns the stored result instead of a new
+ * generation.
+ *
+ * Keys start with the content hash, so every result derived from a
+ * document can be dropped when that document changes or is deleted.
+ * Entries live in the DatabaseService `cache` store.
+ */
+
+import { getCache, setCache, deleteCacheByPrefix } from './DatabaseService';
+
+const KEY_PREFIX = 'ai:';
+
+// Results only go stale when their content changes, which changes the key
+const CACHE_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// KEYS
+// =============================================================================
+
+/**
+ * SHA-256 of a string, as hex
+ */
+export async function hashContent(text = '') {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * JSON with sorted object keys, so equal settings give equal keys
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key for a task run
+ * @param {string} task - Task name (summarize, keypoints, entities, ...)
+ * @param {Object} request - { content, model, params, inputs } where inputs are the
+ *   task's other arguments (title, maxPoints, template fields, ...)
+ */
+export async function buildCacheKey(task, { content, model, params = {}, inputs = {} }) {
+    const [contentHash, settingsHash] = await Promise.all([
+        hashContent(content),
+        hashContent(stableStringify({ model, params, inputs }))
+    ]);
+    return `${KEY_PREFIX}${contentHash}:${task}:${settingsHash}`;
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Stored result for a key, or null
+ * @returns {Promise<Object|null>} - The result with `cached: true` and `cachedAt`
+ */
+export async function getCachedResult(key) {
+    try {
+        const entry = await getCache(key);
+        return entry ? { ...entry.result, cached: true, cachedAt: entry.cachedAt } : null;
+    } catch (error) {
+        console.warn('[ResponseCache] Read failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Store a successful result
+ */
+export async function cacheResult(key, result, { task = 'general' } = {}) {
+    try {
+        const stored = { ...result };
+        delete stored.cached;
+        delete stored.cachedAt;
+
+        await setCache(key, { result: stored, cachedAt: new Date().toISOString() }, {
+            category: `ai-${task}`,
+            expiresAt: new Date(Date.now() + CACHE_EXPIRY_MS).toISOString()
+        });
+    } catch (error) {
+        // Caching is an optimization; a full or blocked database must not fail the task
+        console.warn('[ResponseCache] Write failed:', error);
+    }
+}
+
+/**
+ * Drop every result derived from some content (e.g. a document that changed)
+ * @returns {Promise<number>} Number of removed results
+ */
+export async function invalidateContent(content) {
+    try {
+        return await deleteCacheByPrefix(`${KEY_PREFIX}${await hashContent(content)}:`);
+    } catch (error) {
+        console.warn('[ResponseCache] Invalidation failed:', error);
+        return 0;
+    }
+}
+
+/**
+ * Drop all cached AI results
+ */
+export async function clearResponseCache() {
+    return deleteCacheByPrefix(KEY_PREFIX);
+}
+
+export default {
+    hashContent,
+    buildCacheKey,
+    getCachedResult,
+    cacheResult,
+    invalidateContent,
+    clearResponseCache
+};
@@ -0,0 +1,262 @@
+/**
+ * SemanticSearch - Embedding Retrieval over the Library
+ * ======================================================
+ *
+ * Splits Library documents into page-aware chunks (see DocumentChunker),
+ * embeds them with the provider's embedding endpoint (Ollama:
+ * /api/embeddings) and stores the vectors next to the documents in
+ * IndexedDB.
+ *
+ * search() embeds the question and ranks every stored chunk by cosine
+ * similarity, so chat answers can cite the exact chunk and document
+ * they come from. Indexing is incremental: documents whose content or
+ * embedding model changed since they were embedded are re-indexed
+ * before each search.
+ */
+
+import aiService from './AIService';
+import { chunkDocument } from './DocumentChunker';
+import { PRIORITIES } from './RequestQueue';
+import { getAllDocuments, getAllChunks, saveDocumentChunks } from './Library';
+
+// Small chunks keep retrieval precise and fit embedding models' context
+const CHUNK_CHARS = 1200;
+const DEFAULT_TOP_K = 5;
+const DEFAULT_MIN_SCORE = 0.2;
+
+/**
+ * Rejection for a caller that cancelled indexing
+ */
+const abortError = () => new DOMException('Indexing was cancelled', 'AbortError');
+
+// =============================================================================
+// VECTOR HELPERS
+// =============================================================================
+
+/**
+ * Fast, stable content hash (FNV-1a) used to detect changed documents
+ */
+export const hashText = (text = '') => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return (hash >>> 0).toString(16);
+};
+
+/**
+ * Cosine similarity of two vectors; 0 when their sizes differ
+ */
+export const cosineSimilarity = (a, b) => {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// =============================================================================
+// SERVICE
+// =============================================================================
+
+class SemanticSearch {
+    constructor(service) {
+        this.service = service;
+        this.indexing = null;
+    }
+
+    /**
+     * Embedding model; vectors from different models are never compared
+     */
+    getModel() {
+        return this.service.config.embedModel;
+    }
+
+    /**
+     * Documents with text whose stored chunks are missing or outdated
+     */
+    async findStaleDocuments() {
+        const model = this.getModel();
+        const [documents, chunks] = await Promise.all([getAllDocuments(), getAllChunks()]);
+
+        const indexed = new Map();
+        for (const chunk of chunks) {
+            indexed.set(chunk.documentId, chunk);
+        }
+
+        const withText = documents.filter(doc => doc.content?.trim());
+        const stale = withText.filter(doc => {
+            const chunk = indexed.get(doc.id);
+            return !chunk || chunk.model !== model || chunk.contentHash !== hashText(doc.content);
+        });
+
+        return { total: withText.length, stale };
+    }
+
+    /**
+     * How much of the library is embedded with the current model
+     * @returns {Promise<{total: number, indexed: number, model: string}>}
+     */
+    async getIndexStatus() {
+        const { total, stale } = await this.findStaleDocuments();
+        return { total, indexed: total - stale.length, model: this.getModel() };
+    }
+
+    /**
+     * Chunk and embed one document, replacing its stored chunks
+     * @returns {Promise<number>} - Number of chunks stored
+     */
+    async indexDocument(doc, { signal = null, priority = PRIORITIES.BACKGROUND } = {}) {
+        const model = this.getModel();
+        const content = doc.content || '';
+        const sections = chunkDocument(content, CHUNK_CHARS);
+
+        const vectors = sections.length > 0
+            ? await this.service.embed(sections.map(s => s.text), { model, signal, priority })
+            : [];
+
+        const contentHash = hashText(content);
+        const indexedAt = new Date().toISOString();
+
+        return saveDocumentChunks(doc.id, sections.map((section, i) => ({
+            id: `${doc.id}:${section.index}`,
+            documentId: doc.id,
+            documentName: doc.name,
+            index: section.index,
+            label: section.label,
+            pageStart: section.pageStart,
+            pageEnd: section.pageEnd,
+            text: section.text,
+            vector: Float32Array.from(vectors[i] || []),
+            model,
+            contentHash,
+            indexedAt
+        })));
+    }
+
+    /**
+     * Embed every new or changed document; concurrent calls share one run.
+     * The run has its own signal: a caller that cancels is rejected at once,
+     * and the run stops only when every caller has cancelled.
+     * @param {Object} options - { signal, priority (queue priority of the run, set by the
+     *   first caller; background by default), onProgress({ phase: 'index', completed, total, label }) }
+     * @returns {Promise<{indexed: number, total: number}>}
+     */
+    async indexLibrary({ signal = null, priority = PRIORITIES.BACKGROUND, onProgress = null } = {}) {
+        if (signal?.aborted) {
+            throw abortError();
+        }
+
+        if (!this.indexing) {
+            this.indexing = this.startIndexing(priority);
+        }
+        const run = this.indexing;
+        const caller = { onProgress };
+        run.callers.add(caller);
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                run.callers.delete(caller);
+                reject(abortError());
+                if (run.callers.size === 0) {
+                    run.controller.abort();
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            run.promise
+                .then(resolve, reject)
+                .finally(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    run.callers.delete(caller);
+                });
+        });
+    }
+
+    /**
+     * One indexing run, shared by the indexLibrary() calls made while it lasts
+     */
+    startIndexing(priority) {
+        const controller = new AbortController();
+        const callers = new Set();
+        const report = (progress) => callers.forEach(caller => caller.onProgress?.(progress));
+
+        const promise = (async () => {
+            const { total, stale } = await this.findStaleDocuments();
+
+            for (let i = 0; i < stale.length; i++) {
+                if (controller.signal.aborted) break;
+                report({ phase: 'index', completed: i, total: stale.length, label: stale[i].name });
+                await this.indexDocument(stale[i], { signal: controller.signal, priority });
+            }
+
+            return { indexed: stale.length, total };
+        })().finally(() => {
+            this.indexing = null;
+        });
+
+        return { controller, callers, promise };
+    }
+
+    /**
+     * Find the library chunks closest to a query
+     * @param {string} query - Question or search text
+     * @param {Object} options - { k, minScore, signal, priority, onProgress } (onProgress reports indexing)
+     * @returns {Promise<Array<{chunkId, documentId, documentName, label, pageStart, pageEnd, text, score}>>}
+     *   Best match first
+     */
+    async search(query, {
+        k = DEFAULT_TOP_K,
+        minScore = DEFAULT_MIN_SCORE,
+        signal = null,
+        priority = PRIORITIES.NORMAL,
+        onProgress = null
+    } = {}) {
+        if (!query?.trim()) return [];
+
+        // Someone is waiting on the results, so indexing runs at the search's priority
+        await this.indexLibrary({ signal, priority, onProgress });
+
+        const model = this.getModel();
+        const [[queryVector], chunks, documents] = await Promise.all([
+            this.service.embed(query, { model, signal, priority }),
+            getAllChunks(),
+            getAllDocuments()
+        ]);
+
+        // Current names, in case a document was renamed after indexing
+        const names = new Map(documents.map(doc => [doc.id, doc.name]));
+        const trusts = new Map(documents.map(doc => [doc.id, doc.trust]));
+
+        return chunks
+            .filter(chunk => chunk.model === model && names.has(chunk.documentId))
+            .map(chunk => ({ chunk, score: cosineSimilarity(queryVector, chunk.vector) }))
+            .filter(({ score }) => score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k)
+            .map(({ chunk, score }) => ({
+                chunkId: chunk.id,
+                documentId: chunk.documentId,
+                documentName: names.get(chunk.documentId),
+                label: chunk.label,
+                pageStart: chunk.pageStart,
+                pageEnd: chunk.pageEnd,
+                text: chunk.text,
+                trust: trusts.get(chunk.documentId),
+                score: Math.round(score * 1000) / 1000
+            }));
+    }
+}
+
+// Export singleton instance
+const semanticSearch = new SemanticSearch(aiService);
+export default semanticSearch;
+
+export { SemanticSearch };
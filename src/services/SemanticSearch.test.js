@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { SemanticSearch } from './SemanticSearch';
+
+// The Library lives in IndexedDB; the singleton's AIService is not used here
+vi.mock('./Library', () => ({
+    getAllDocuments: vi.fn(async () => [{ id: 'doc-1', name: 'Notes', content: 'Budget notes.' }]),
+    getAllChunks: vi.fn(async () => []),
+    saveDocumentChunks: vi.fn(async (id, chunks) => chunks.length)
+}));
+vi.mock('./AIService', () => ({ default: {} }));
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * An embedding service whose requests finish when the test says so
+ */
+function createService() {
+    const service = {
+        config: { embedModel: 'nomic-embed-text' },
+        embed: vi.fn((input, { signal }) => {
+            service.signal = signal;
+            return new Promise((resolve, reject) => {
+                service.finish = () => resolve(input.map(() => [1, 0]));
+                signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+            });
+        })
+    };
+    return service;
+}
+
+describe('SemanticSearch.indexLibrary', () => {
+    let service;
+    let search;
+
+    beforeEach(() => {
+        service = createService();
+        search = new SemanticSearch(service);
+    });
+
+    it('shares one run between concurrent callers', async () => {
+        const a = search.indexLibrary();
+        const b = search.indexLibrary();
+        await tick();
+        service.finish();
+
+        expect(await Promise.all([a, b])).toEqual([{ indexed: 1, total: 1 }, { indexed: 1, total: 1 }]);
+        expect(service.embed).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases a cancelling caller at once and keeps indexing for the others', async () => {
+        const first = new AbortController();
+        const a = search.indexLibrary({ signal: first.signal });
+        const b = search.indexLibrary();
+        await tick();
+
+        first.abort();
+        await expect(a).rejects.toMatchObject({ name: 'AbortError' });
+        expect(service.signal.aborted).toBe(false);
+
+        service.finish();
+        expect(await b).toEqual({ indexed: 1, total: 1 });
+    });
+
+    it('stops the run once every caller has cancelled', async () => {
+        const first = new AbortController();
+        const second = new AbortController();
+        const a = search.indexLibrary({ signal: first.signal });
+        const b = search.indexLibrary({ signal: second.signal });
+        await tick();
+
+        first.abort();
+        second.abort();
+        await expect(a).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(b).rejects.toMatchObject({ name: 'AbortError' });
+        expect(service.signal.aborted).toBe(true);
+
+        await tick();
+        expect(search.indexing).toBe(null);
+    });
+
+    it('reports progress to every caller', async () => {
+        const progress = [];
+        const a = search.indexLibrary({ onProgress: () => progress.push('a') });
+        const b = search.indexLibrary({ onProgress: () => progress.push('b') });
+        await tick();
+        service.finish();
+        await Promise.all([a, b]);
+
+        expect(progress).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * SlashCommands - Commands Typed in the Chat Input
+ * ================================================
+ *
+ * A message starting with "/" runs a command instead of being sent as a
+ * prompt: `/summarize`, `/keypoints`, `/ask @doc`, `/template cv`,
+ * `/compare`, `/model`, `/persona`, `/export`, `/new`.
+ *
+ * parseSlashCommand() splits the text, resolveSlashCommand() checks its
+ * arguments against what the app has (documents, models, personas,
+ * templates) and returns an action for App to run; getSlashSuggestions()
+ * drives the autocomplete menu. Documents are mentioned as `@name`, or
+ * `@"name with spaces"`.
+ */
+
+import ALL_TEMPLATES from '../templates';
+
+export const SLASH_COMMANDS = [
+    { name: 'summarize', args: '[@doc]', description: 'Summarize the attached documents, or one of them' },
+    { name: 'keypoints', args: '[@doc]', description: 'List the key points of the attached documents' },
+    { name: 'ask', args: '@doc <question>', description: 'Answer from one document only' },
+    { name: 'template', args: '<type> [variant] [@doc] [notes]', description: 'Fill a document template from documents or notes' },
+    { name: 'compare', args: '<model> <model> <prompt>', description: 'Send one prompt to several models side by side' },
+    { name: 'model', args: '<name>', description: 'Switch the chat model' },
+    { name: 'persona', args: '<name>', description: 'Switch the persona of this conversation' },
+    { name: 'export', args: '<md|json|html>', description: 'Download this conversation' },
+    { name: 'new', args: '', description: 'Start a new conversation' }
+];
+
+const EXPORT_FORMATS = { md: 'markdown', markdown: 'markdown', json: 'json', html: 'html' };
+
+const MENTION_PATTERN = /@"([^"]+)"|@(\S+)/g;
+
+const MAX_SUGGESTIONS = 8;
+
+const mention = (name) => (/\s/.test(name) ? `@"${name}"` : `@${name}`);
+
+const lower = (text = '') => text.toLowerCase();
+
+// Exact name first, then a prefix ("mistral" for "mistral:latest")
+const findByName = (items, query, nameOf) => items.find(item => lower(nameOf(item)) === lower(query)) ||
+    items.find(item => lower(nameOf(item)).startsWith(lower(query)));
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Split a slash command into its parts
+ * @returns {{ name: string, command: Object|null, mentions: string[], words: string[], text: string }|null}
+ *   null when the text is not a command; `words` are the arguments without
+ *   mentions, `text` the same as one string
+ */
+export function parseSlashCommand(input = '') {
+    const match = /^\/(\S*)\s*([\s\S]*)$/.exec(input.trimStart());
+    if (!match) return null;
+
+    const [, name, rest] = match;
+    const mentions = [...rest.matchAll(MENTION_PATTERN)].map(m => m[1] || m[2]);
+    const text = rest.replace(MENTION_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+
+    return {
+        name: lower(name),
+        command: SLASH_COMMANDS.find(c => c.name === lower(name)) || null,
+        mentions,
+        words: text ? text.split(' ') : [],
+        text
+    };
+}
+
+// =============================================================================
+// RESOLVING
+// =============================================================================
+
+/**
+ * Turn a parsed command into an action for the app
+ * @param {Object} parsed - From parseSlashCommand()
+ * @param {Object} context - { documents: uploaded files with extractedContent,
+ *   models: string[], personas: Array<{ id, name }> }
+ * @returns {Object} { type, ... } or { error } with a message for the user
+ *   - { type: 'document-task', task: 'summarize'|'keypoints', documents }
+ *   - { type: 'ask', document, question }
+ *   - { type: 'template', template, variant, documents, notes }
+ *   - { type: 'compare', models, prompt }
+ *   - { type: 'model', model } / { type: 'persona', persona }
+ *   - { type: 'export', format } / { type: 'new' }
+ */
+export function resolveSlashCommand(parsed, { documents = [], models = [], personas = [] } = {}) {
+    if (!parsed.command) {
+        return { error: `Unknown command /${parsed.name}. Type / to see the commands.` };
+    }
+
+    const mentioned = [];
+    for (const name of parsed.mentions) {
+        const document = findByName(documents, name, d => d.name);
+        if (!document) return { error: `No attached document matches @${name}.` };
+        mentioned.push(document);
+    }
+
+    switch (parsed.command.name) {
+        case 'summarize':
+        case 'keypoints':
+            if (documents.length === 0) return { error: 'Attach a document first.' };
+            return { type: 'document-task', task: parsed.command.name, documents: mentioned.length > 0 ? mentioned : documents };
+
+        case 'ask':
+            if (mentioned.length !== 1) return { error: 'Mention one document: /ask @doc <question>' };
+            if (!parsed.text) return { error: 'Add your question after the document.' };
+            return { type: 'ask', document: mentioned[0], question: parsed.text };
+
+        case 'template': {
+            const [type, ...rest] = parsed.words;
+            const template = type && (ALL_TEMPLATES[lower(type)] || Object.values(ALL_TEMPLATES).find(t => lower(t.name).startsWith(lower(type))));
+            if (!template) return { error: `Name a template: ${Object.keys(ALL_TEMPLATES).join(', ')}` };
+
+            const variant = rest[0] && template.variants.find(v => v.id === lower(rest[0]));
+            const notes = (variant ? rest.slice(1) : rest).join(' ');
+            const sources = mentioned.length > 0 ? mentioned : (notes ? [] : documents);
+            if (!notes && sources.length === 0) return { error: 'Attach a document or write notes to fill the template from.' };
+
+            return { type: 'template', template, variant: variant?.id || template.variants[0].id, documents: sources, notes };
+        }
+
+        case 'compare': {
+            const chosen = [];
+            let i = 0;
+            for (; i < parsed.words.length; i++) {
+                const model = findByName(models, parsed.words[i], m => m);
+                if (!model) break;
+                if (!chosen.includes(model)) chosen.push(model);
+            }
+            const prompt = parsed.words.slice(i).join(' ');
+            if (chosen.length < 2) return { error: 'Name at least two installed models: /compare <model> <model> <prompt>' };
+            if (!prompt) return { error: 'Add the prompt after the models.' };
+            return { type: 'compare', models: chosen, prompt };
+        }
+
+        case 'model': {
+            const model = parsed.text && findByName(models, parsed.text, m => m);
+            if (!model) return { error: parsed.text ? `Model "${parsed.text}" is not installed.` : 'Name a model: /model <name>' };
+            return { type: 'model', model };
+        }
+
+        case 'persona': {
+            const persona = parsed.text &&
+                (personas.find(p => p.id === parsed.text) || findByName(personas, parsed.text, p => p.name));
+            if (!persona) return { error: parsed.text ? `No persona named "${parsed.text}".` : 'Name a persona: /persona <name>' };
+            return { type: 'persona', persona };
+        }
+
+        case 'export': {
+            const format = EXPORT_FORMATS[lower(parsed.words[0] || 'md')];
+            if (!format) return { error: 'Export as md, json or html.' };
+            return { type: 'export', format };
+        }
+
+        default:
+            return { type: parsed.command.name };
+    }
+}
+
+// =============================================================================
+// AUTOCOMPLETE
+// =============================================================================
+
+/**
+ * Suggestions for the text being typed
+ * @param {string} input - The chat input
+ * @param {Object} context - As for resolveSlashCommand()
+ * @returns {{ command: Object|null, items: Array<{ label, description, value }> }|null}
+ *   null when the input is not a command; `command` is set once its name
+ *   is complete (for the argument hint), `value` is the input after choosing an item
+ */
+export function getSlashSuggestions(input = '', { documents = [], models = [], personas = [] } = {}) {
+    const parsed = parseSlashCommand(input);
+    if (!parsed) return null;
+
+    // Still typing the command name
+    if (!/\s/.test(input.trimStart())) {
+        return {
+            command: null,
+            items: SLASH_COMMANDS
+                .filter(c => c.name.startsWith(parsed.name))
+                .map(c => ({ label: `/${c.name}`, hint: c.args, description: c.description, value: `/${c.name} ` }))
+        };
+    }
+    if (!parsed.command) return { command: null, items: [] };
+
+    // Complete the word being typed
+    const head = input.replace(/(@"[^"]*|\S*)$/, '');
+    const partial = input.slice(head.length);
+    const complete = (values, describe = () => '') => values
+        .filter(value => lower(value).includes(lower(partial.replace(/^@"?/, ''))))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(value => ({ label: value, description: describe(value), value: `${head}${value} ` }));
+
+    const argIndex = parsed.words.length - (partial && !partial.startsWith('@') ? 1 : 0);
+    let items = [];
+
+    const takesDocument = ['ask', 'summarize', 'keypoints'].includes(parsed.command.name) && parsed.mentions.length === 0;
+    if (partial.startsWith('@') || (takesDocument && !parsed.text)) {
+        items = complete(documents.map(d => mention(d.name)));
+    } else if (parsed.command.name === 'model' && argIndex === 0) {
+        items = complete(models);
+    } else if (parsed.command.name === 'compare' && parsed.words.slice(0, argIndex).every(w => models.includes(w))) {
+        items = complete(models.filter(m => !parsed.words.slice(0, argIndex).includes(m)));
+    } else if (parsed.command.name === 'persona') {
+        // Persona names may have spaces; match the whole argument
+        items = personas
+            .filter(p => lower(p.name).includes(lower(parsed.text)))
+            .slice(0, MAX_SUGGESTIONS)
+            .map(p => ({ label: p.name, description: p.description || '', value: `/persona ${p.name}` }));
+    } else if (parsed.command.name === 'export' && argIndex === 0) {
+        items = complete(['md', 'json', 'html']);
+    } else if (parsed.command.name === 'template' && argIndex === 0) {
+        items = complete(Object.keys(ALL_TEMPLATES), id => ALL_TEMPLATES[id].description);
+    } else if (parsed.command.name === 'template' && argIndex === 1) {
+        const template = ALL_TEMPLATES[lower(parsed.words[0])];
+        items = template ? complete(template.variants.map(v => v.id), id => template.variants.find(v => v.id === id).description) : [];
+    }
+
+    return { command: parsed.command, items };
+}
+
+export default {
+    SLASH_COMMANDS,
+    parseSlashCommand,
+    resolveSlashCommand,
+    getSlashSuggestions
+};
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+
+import { SLASH_COMMANDS, parseSlashCommand, resolveSlashCommand, getSlashSuggestions } from './SlashCommands';
+
+const CONTEXT = {
+    documents: [
+        { name: 'report.pdf', extractedContent: 'Quarterly report' },
+        { name: 'meeting notes.txt', extractedContent: 'Notes' }
+    ],
+    models: ['llama3.2:latest', 'mistral:latest', 'llava:latest'],
+    personas: [{ id: 'coder', name: 'Code Reviewer', description: 'Reviews code' }]
+};
+
+const run = (text, context = CONTEXT) => resolveSlashCommand(parseSlashCommand(text), context);
+
+describe('parseSlashCommand', () => {
+    it('splits the name, mentions and remaining words', () => {
+        expect(parseSlashCommand('/Ask @report.pdf @"meeting notes.txt"  what   changed?')).toEqual({
+            name: 'ask',
+            command: SLASH_COMMANDS.find(c => c.name === 'ask'),
+            mentions: ['report.pdf', 'meeting notes.txt'],
+            words: ['what', 'changed?'],
+            text: 'what changed?'
+        });
+    });
+
+    it('returns null for plain messages and no command for unknown names', () => {
+        expect(parseSlashCommand('hello /new')).toBe(null);
+        expect(parseSlashCommand('/frobnicate').command).toBe(null);
+    });
+});
+
+describe('resolveSlashCommand', () => {
+    it('runs document tasks on the mentioned documents, or all of them', () => {
+        expect(run('/summarize')).toEqual({ type: 'document-task', task: 'summarize', documents: CONTEXT.documents });
+        expect(run('/keypoints @report').documents).toEqual([CONTEXT.documents[0]]);
+        expect(run('/summarize', { ...CONTEXT, documents: [] })).toEqual({ error: 'Attach a document first.' });
+    });
+
+    it('asks one mentioned document a question', () => {
+        expect(run('/ask @"meeting notes.txt" Who attended?')).toEqual({
+            type: 'ask', document: CONTEXT.documents[1], question: 'Who attended?'
+        });
+        expect(run('/ask Who attended?').error).toMatch(/Mention one document/);
+        expect(run('/ask @missing.pdf Who?')).toEqual({ error: 'No attached document matches @missing.pdf.' });
+    });
+
+    it('picks a template, variant and notes', () => {
+        const action = run('/template cv modern Jane Doe, 10 years of Python');
+
+        expect(action).toMatchObject({ type: 'template', variant: 'modern', documents: [], notes: 'Jane Doe, 10 years of Python' });
+        expect(action.template.id).toBe('cv');
+        expect(run('/template cv').documents).toEqual(CONTEXT.documents);
+        expect(run('/template').error).toMatch(/^Name a template/);
+    });
+
+    it('matches models by prefix for /compare and /model', () => {
+        expect(run('/compare llama3.2 mistral Explain recursion')).toEqual({
+            type: 'compare', models: ['llama3.2:latest', 'mistral:latest'], prompt: 'Explain recursion'
+        });
+        expect(run('/compare llama3.2 Explain').error).toMatch(/at least two/);
+        expect(run('/model mistral')).toEqual({ type: 'model', model: 'mistral:latest' });
+        expect(run('/model gpt-9')).toEqual({ error: 'Model "gpt-9" is not installed.' });
+    });
+
+    it('resolves personas, export formats and argument-free commands', () => {
+        expect(run('/persona code reviewer')).toEqual({ type: 'persona', persona: CONTEXT.personas[0] });
+        expect(run('/export')).toEqual({ type: 'export', format: 'markdown' });
+        expect(run('/export pdf')).toEqual({ error: 'Export as md, json or html.' });
+        expect(run('/new')).toEqual({ type: 'new' });
+        expect(run('/nope').error).toBe('Unknown command /nope. Type / to see the commands.');
+    });
+});
+
+describe('getSlashSuggestions', () => {
+    const suggest = (input) => getSlashSuggestions(input, CONTEXT);
+
+    it('lists matching commands while the name is typed', () => {
+        const { command, items } = suggest('/s');
+        expect(command).toBe(null);
+        expect(items.map(i => i.value)).toEqual(['/summarize ']);
+        expect(suggest('hello')).toBe(null);
+    });
+
+    it('offers documents as mentions, quoting names with spaces', () => {
+        const { command, items } = suggest('/ask ');
+        expect(command.name).toBe('ask');
+        expect(items.map(i => i.value)).toEqual(['/ask @report.pdf ', '/ask @"meeting notes.txt" ']);
+        expect(suggest('/summarize @me').items.map(i => i.label)).toEqual(['@"meeting notes.txt"']);
+    });
+
+    it('completes models, leaving out the ones already chosen for /compare', () => {
+        expect(suggest('/model mis').items.map(i => i.value)).toEqual(['/model mistral:latest ']);
+        expect(suggest('/compare llava:latest ').items.map(i => i.label)).toEqual(['llama3.2:latest', 'mistral:latest']);
+    });
+
+    it('completes template types and their variants', () => {
+        expect(suggest('/template c').items.map(i => i.label)).toContain('cv');
+        expect(suggest('/template cv mod').items.map(i => i.label)).toEqual(['modern']);
+    });
+});
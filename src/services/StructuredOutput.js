@@ -0,0 +1,195 @@
+/**
+ * StructuredOutput - JSON Schemas & Validation for AI Tasks
+ * ==========================================================
+ *
+ * Schemas for the typed results AIService returns (key points, entities,
+ * document insights, template field values) and a small validator for
+ * the subset of JSON Schema they use: type, properties, required,
+ * items, enum, minItems and maxItems.
+ *
+ * Replies are parsed leniently (code fences, prose around the JSON)
+ * but validated strictly, so callers only ever see well-formed objects.
+ */
+
+export const ENTITY_TYPES = [
+    'person', 'organization', 'location', 'date', 'product', 'technology', 'event', 'concept', 'other'
+];
+
+const KEY_POINT = {
+    type: 'object',
+    properties: {
+        point: { type: 'string' },
+        detail: { type: 'string' }
+    },
+    required: ['point']
+};
+
+const ENTITY = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        type: { type: 'string', enum: ENTITY_TYPES },
+        mentions: { type: 'integer' }
+    },
+    required: ['name', 'type']
+};
+
+export const SCHEMAS = {
+    keyPoints: {
+        type: 'object',
+        properties: {
+            keyPoints: { type: 'array', items: KEY_POINT, minItems: 1 }
+        },
+        required: ['keyPoints']
+    },
+
+    entities: {
+        type: 'object',
+        properties: {
+            entities: { type: 'array', items: ENTITY }
+        },
+        required: ['entities']
+    },
+
+    // Fills a Library document's summary, keyPoints and entities in one call
+    documentInsights: {
+        type: 'object',
+        properties: {
+            summary: { type: 'string' },
+            keyPoints: { type: 'array', items: KEY_POINT },
+            entities: { type: 'array', items: ENTITY }
+        },
+        required: ['summary', 'keyPoints', 'entities']
+    }
+};
+
+// =============================================================================
+// TEMPLATE FIELDS
+// =============================================================================
+
+const fieldSchema = (field) => {
+    switch (field.type) {
+        case 'number':
+            return { type: 'number' };
+        case 'select':
+            return field.options?.length ? { type: 'string', enum: field.options } : { type: 'string' };
+        case 'skills':
+            return { type: 'array', items: { type: 'string' } };
+        case 'array':
+            return {
+                type: 'array',
+                items: field.itemFields ? buildTemplateSchema(field.itemFields) : { type: 'string' }
+            };
+        default:
+            return { type: 'string' };
+    }
+};
+
+/**
+ * Build a schema for a template's fields (see src/templates).
+ * Calculated fields are skipped, and no field is required: the model
+ * should leave out what the source text does not mention.
+ * @param {Array} fields - Template field definitions ({ id, type, options, itemFields })
+ */
+export function buildTemplateSchema(fields = []) {
+    const properties = {};
+
+    for (const field of fields) {
+        if (field.type === 'calculated') continue;
+        properties[field.id] = fieldSchema(field);
+    }
+
+    return { type: 'object', properties };
+}
+
+// =============================================================================
+// PARSING & VALIDATION
+// =============================================================================
+
+/**
+ * Parse a JSON reply, tolerating code fences and text around the object
+ * @returns {{ value: any, error: string|null }}
+ */
+export function parseJSON(text = '') {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidates = [text.trim(), fenced?.[1]?.trim()];
+
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates.filter(Boolean)) {
+        try {
+            return { value: JSON.parse(candidate), error: null };
+        } catch {
+            // try the next candidate
+        }
+    }
+
+    return { value: null, error: 'Reply is not valid JSON' };
+}
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @returns {string[]} - Error messages with JSON paths; empty when valid
+ */
+export function validate(value, schema, path = '$') {
+    if (!schema) return [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path} should be ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} should have at most ${schema.maxItems} items`);
+        }
+        value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+}
+
+export default {
+    ENTITY_TYPES,
+    SCHEMAS,
+    buildTemplateSchema,
+    parseJSON,
+    validate
+};
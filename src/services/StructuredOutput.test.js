@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+
+import { SCHEMAS, buildTemplateSchema, parseJSON, validate } from './StructuredOutput';
+
+describe('parseJSON', () => {
+    it('parses bare JSON, code fences and JSON surrounded by prose', () => {
+        expect(parseJSON('{"a": 1}').value).toEqual({ a: 1 });
+        expect(parseJSON('```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+        expect(parseJSON('Here you go: [1, 2] Hope that helps.').value).toEqual([1, 2]);
+    });
+
+    it('reports replies that hold no JSON', () => {
+        expect(parseJSON('Sorry, I cannot do that.')).toEqual({ value: null, error: 'Reply is not valid JSON' });
+        expect(parseJSON('{"a": 1,}').error).toBeTruthy();
+    });
+});
+
+describe('validate', () => {
+    it('accepts values matching the schema', () => {
+        const value = { keyPoints: [{ point: 'Revenue grew', detail: '12% year on year' }] };
+        expect(validate(value, SCHEMAS.keyPoints)).toEqual([]);
+    });
+
+    it('reports each problem with its JSON path', () => {
+        const value = { entities: [{ name: 'Acme', type: 'company' }, { type: 'person', mentions: 1.5 }] };
+
+        expect(validate(value, SCHEMAS.entities)).toEqual([
+            `$.entities[0].type should be one of: ${SCHEMAS.entities.properties.entities.items.properties.type.enum.join(', ')}`,
+            '$.entities[1].name is required',
+            '$.entities[1].mentions should be integer, got number'
+        ]);
+    });
+
+    it('checks types, array sizes and required keys', () => {
+        expect(validate('text', { type: 'object' })).toEqual(['$ should be object, got string']);
+        expect(validate(3, { type: 'number' })).toEqual([]);
+        expect(validate({ keyPoints: [] }, SCHEMAS.keyPoints)).toEqual(['$.keyPoints should have at least 1 items']);
+        expect(validate([1, 2, 3], { type: 'array', maxItems: 2 })).toEqual(['$ should have at most 2 items']);
+        expect(validate({}, SCHEMAS.documentInsights)).toHaveLength(3);
+    });
+});
+
+describe('buildTemplateSchema', () => {
+    it('maps field types and skips calculated fields', () => {
+        const schema = buildTemplateSchema([
+            { id: 'name', type: 'text' },
+            { id: 'years', type: 'number' },
+            { id: 'level', type: 'select', options: ['junior', 'senior'] },
+            { id: 'skills', type: 'skills' },
+            { id: 'jobs', type: 'array', itemFields: [{ id: 'title', type: 'text' }] },
+            { id: 'total', type: 'calculated' }
+        ]);
+
+        expect(schema).toEqual({
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                years: { type: 'number' },
+                level: { type: 'string', enum: ['junior', 'senior'] },
+                skills: { type: 'array', items: { type: 'string' } },
+                jobs: { type: 'array', items: { type: 'object', properties: { title: { type: 'string' } } } }
+            }
+        });
+    });
+});
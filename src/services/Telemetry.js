@@ -0,0 +1,155 @@
+/**
+ * Telemetry - Local Token Usage and Latency Metrics
+ * ==================================================
+ *
+ * AIService records every successful request here: model, task, token
+ * counts, durations and throughput, as reported by the backend. The
+ * metrics stay in the browser (DatabaseService `history` store); nothing
+ * is sent anywhere.
+ *
+ * The helpers below aggregate them per model, and per model over time,
+ * for the performance dashboard.
+ */
+
+import { recordRequestMetric, getRequestMetrics, clearRequestMetrics } from './DatabaseService';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Dashboard ranges and the width of their chart buckets
+export const TELEMETRY_RANGES = {
+    day: { label: '24 hours', durationMs: DAY_MS, bucketMs: HOUR_MS },
+    week: { label: '7 days', durationMs: 7 * DAY_MS, bucketMs: 6 * HOUR_MS },
+    month: { label: '30 days', durationMs: 30 * DAY_MS, bucketMs: DAY_MS }
+};
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Record a finished request
+ * @param {Object} request - { model, task, provider, quantization, stats }
+ *   where stats are the provider's generation stats (see providers/)
+ */
+export async function recordRequest({ model, task = 'chat', provider = null, quantization = null, stats }) {
+    if (!stats) return;
+
+    try {
+        await recordRequestMetric({
+            model,
+            task,
+            provider,
+            quantization,
+            promptTokens: stats.promptTokens,
+            completionTokens: stats.completionTokens,
+            totalDurationMs: stats.totalDurationMs,
+            loadDurationMs: stats.loadDurationMs,
+            evalDurationMs: stats.evalDurationMs,
+            tokensPerSecond: stats.tokensPerSecond
+        });
+    } catch (error) {
+        // Metrics are best-effort; a blocked database must not fail the request
+        console.warn('[Telemetry] Could not record request:', error);
+    }
+}
+
+/**
+ * Metrics recorded within a dashboard range, oldest first
+ * @param {string} range - Key of TELEMETRY_RANGES
+ */
+export async function getMetrics(range = 'week') {
+    const { durationMs } = TELEMETRY_RANGES[range] || TELEMETRY_RANGES.week;
+    return getRequestMetrics({ since: new Date(Date.now() - durationMs).toISOString() });
+}
+
+/**
+ * Delete all recorded metrics
+ */
+export async function clearMetrics() {
+    return clearRequestMetrics();
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+const average = (values) => (values.length > 0
+    ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+    : 0);
+
+function groupByModel(metrics) {
+    const groups = new Map();
+    metrics.forEach(m => {
+        if (!groups.has(m.model)) groups.set(m.model, []);
+        groups.get(m.model).push(m);
+    });
+    return [...groups.entries()];
+}
+
+/**
+ * Completion tokens over eval time; model load time is left out so a
+ * cold start does not hide the generation speed
+ */
+function throughput(metrics) {
+    const tokens = metrics.reduce((sum, m) => sum + (m.completionTokens || 0), 0);
+    const evalMs = metrics.reduce((sum, m) => sum + (m.evalDurationMs || 0), 0);
+    return evalMs > 0 ? Math.round((tokens / (evalMs / 1000)) * 10) / 10 : 0;
+}
+
+/**
+ * Totals per model, busiest first
+ * @returns {Array<Object>} { model, quantization, requests, promptTokens, completionTokens,
+ *   tokensPerSecond, avgDurationMs, avgLoadMs, tasks: { [task]: count } }
+ */
+export function summarizeByModel(metrics) {
+    return groupByModel(metrics)
+        .map(([model, items]) => ({
+            model,
+            quantization: items.map(m => m.quantization).filter(Boolean).pop() || null,
+            requests: items.length,
+            promptTokens: items.reduce((sum, m) => sum + (m.promptTokens || 0), 0),
+            completionTokens: items.reduce((sum, m) => sum + (m.completionTokens || 0), 0),
+            tokensPerSecond: throughput(items),
+            avgDurationMs: Math.round(average(items.map(m => m.totalDurationMs || 0))),
+            avgLoadMs: Math.round(average(items.map(m => m.loadDurationMs || 0))),
+            tasks: items.reduce((acc, m) => ({ ...acc, [m.task]: (acc[m.task] || 0) + 1 }), {})
+        }))
+        .sort((a, b) => b.requests - a.requests);
+}
+
+/**
+ * Throughput per model over time, for charting
+ * @param {Array<Object>} metrics - From getMetrics()
+ * @param {string} range - Key of TELEMETRY_RANGES
+ * @returns {{ buckets: number[], series: Array<{ model, points: Array<number|null> }> }}
+ *   bucket start times (ms) and each model's tokens/sec per bucket (null without requests)
+ */
+export function throughputOverTime(metrics, range = 'week', now = Date.now()) {
+    const { durationMs, bucketMs } = TELEMETRY_RANGES[range] || TELEMETRY_RANGES.week;
+    const count = Math.ceil(durationMs / bucketMs);
+    const start = Math.floor((now - durationMs) / bucketMs) * bucketMs;
+    const buckets = Array.from({ length: count + 1 }, (_, i) => start + i * bucketMs);
+
+    const series = groupByModel(metrics).map(([model, items]) => {
+        const perBucket = buckets.map(() => []);
+        items.forEach(m => {
+            const i = Math.floor((new Date(m.timestamp).getTime() - start) / bucketMs);
+            if (i >= 0 && i < perBucket.length) perBucket[i].push(m);
+        });
+        return {
+            model,
+            points: perBucket.map(bucket => (bucket.length > 0 ? throughput(bucket) : null))
+        };
+    });
+
+    return { buckets, series };
+}
+
+export default {
+    recordRequest,
+    getMetrics,
+    clearMetrics,
+    summarizeByModel,
+    throughputOverTime
+};
@@ -0,0 +1,225 @@
+/**
+ * ToolRegistry - App Actions the Chat Assistant Can Call
+ * =======================================================
+ *
+ * Each tool has a name, a description, a JSON schema for its arguments
+ * and a `run(args)` function. AIService.chatWithTools() passes the
+ * schemas to models with native tool support (Ollama `tools`) and
+ * describes them in the prompt for models without it.
+ *
+ * Tools that change app state are marked `mutating`; the chat asks the
+ * user to confirm those before they run.
+ */
+
+import LibraryService from './Library';
+import semanticSearch from './SemanticSearch';
+import { ALL_TEMPLATES, renderTemplate, validateTemplateData } from '../templates';
+import { mergeWithDefaults } from '../templates/templateUtils';
+import { addNodeToSavedCanvas } from '../hooks/useCanvas';
+import { TRUST_LEVELS, guardContent } from './ContentGuard';
+
+// Tool results are sent back to the model; keep them small
+const MAX_RESULT_CHARS = 4000;
+
+// Document text in tool results gets the same injection guard as chat context
+const guardedText = (text, trust) => guardContent(text || '', trust || TRUST_LEVELS.STANDARD).text;
+
+class ToolRegistry {
+    constructor(tools = []) {
+        this.tools = new Map();
+        tools.forEach(tool => this.register(tool));
+    }
+
+    /**
+     * Add a tool: { name, description, parameters, mutating, run(args) }
+     */
+    register(tool) {
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    isMutating(name) {
+        return !!this.tools.get(name)?.mutating;
+    }
+
+    list() {
+        return [...this.tools.values()];
+    }
+
+    /**
+     * Function schemas in the shape Ollama and /v1 servers accept
+     */
+    toSchemas() {
+        return this.list().map(({ name, description, parameters }) => ({
+            type: 'function',
+            function: { name, description, parameters }
+        }));
+    }
+
+    /**
+     * Plain-text tool list for the JSON fallback protocol
+     */
+    describe() {
+        return this.list()
+            .map(({ name, description, parameters }) => `- ${name}: ${description}\n  arguments: ${JSON.stringify(parameters.properties)}`)
+            .join('\n');
+    }
+
+    /**
+     * Run a tool
+     * @returns {Promise<string>} - Result serialized for the model
+     * @throws {Error} For unknown tools, missing arguments or a failing action
+     */
+    async execute(name, args = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        const missing = (tool.parameters.required || []).filter(key => args[key] === undefined || args[key] === '');
+        if (missing.length > 0) {
+            throw new Error(`Missing arguments: ${missing.join(', ')}`);
+        }
+
+        const result = await tool.run(args);
+        const text = typeof result === 'string' ? result : JSON.stringify(result, null, 1);
+        return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}\n[truncated]` : text;
+    }
+}
+
+// =============================================================================
+// APP TOOLS
+// =============================================================================
+
+const searchDocuments = {
+    name: 'searchDocuments',
+    description: "Search the user's document Library. Returns matching passages with their document id, name and location.",
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'What to look for' },
+            limit: { type: 'integer', description: 'Maximum number of results (default 5)' }
+        },
+        required: ['query']
+    },
+    run: async ({ query, limit = 5 }) => {
+        try {
+            const results = await semanticSearch.search(query, { k: limit });
+            return results.map(r => ({
+                documentId: r.documentId,
+                documentName: r.documentName,
+                location: r.label,
+                text: guardedText(r.text.slice(0, 600), r.trust)
+            }));
+        } catch (error) {
+            // No embedding model: fall back to keyword search
+            console.warn('Semantic search unavailable, using keyword search:', error.message);
+            const documents = await LibraryService.searchDocuments(query);
+            return documents.slice(0, limit).map(doc => ({
+                documentId: doc.id,
+                documentName: doc.name,
+                text: guardedText((doc.summary || doc.content || '').slice(0, 600), doc.trust)
+            }));
+        }
+    }
+};
+
+const getDocument = {
+    name: 'getDocument',
+    description: 'Open a Library document by id and return its summary, key points and text.',
+    parameters: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', description: 'Document id from searchDocuments' }
+        },
+        required: ['id']
+    },
+    run: async ({ id }) => {
+        const doc = await LibraryService.getDocument(id);
+        if (!doc) {
+            throw new Error(`No document with id "${id}"`);
+        }
+        return {
+            id: doc.id,
+            name: doc.name,
+            type: doc.type,
+            tags: doc.tags,
+            summary: doc.summary,
+            keyPoints: doc.keyPoints,
+            content: guardedText(doc.content, doc.trust)
+        };
+    }
+};
+
+const addNode = {
+    name: 'addNode',
+    description: 'Add a node to the Knowledge Canvas: a titled text card, a sticky note or a code snippet.',
+    parameters: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['text', 'sticky', 'code'] },
+            title: { type: 'string', description: 'Card title, or file name for code' },
+            content: { type: 'string', description: 'Text, note or code' },
+            language: { type: 'string', description: 'Code language, for code nodes' }
+        },
+        required: ['type', 'content']
+    },
+    mutating: true,
+    run: async ({ type, title = '', content, language = 'javascript' }) => {
+        const data = {
+            text: { title, content },
+            sticky: { content, color: 'yellow' },
+            code: { code: content, language, filename: title || 'snippet' }
+        }[type];
+
+        if (!data) {
+            throw new Error(`Unsupported node type "${type}"`);
+        }
+
+        const node = addNodeToSavedCanvas(type, data);
+        return { added: true, nodeId: node.id, type };
+    }
+};
+
+const renderTemplateTool = {
+    name: 'renderTemplate',
+    description: `Fill a document template with data and return the rendered Markdown. Templates: ${Object.keys(ALL_TEMPLATES).join(', ')}.`,
+    parameters: {
+        type: 'object',
+        properties: {
+            template: { type: 'string', enum: Object.keys(ALL_TEMPLATES) },
+            variant: { type: 'string', description: 'Template variant; defaults to the first' },
+            data: { type: 'object', description: 'Field values keyed by field id' }
+        },
+        required: ['template']
+    },
+    run: async ({ template, variant, data = {} }) => {
+        const definition = ALL_TEMPLATES[template];
+        if (!definition) {
+            throw new Error(`Unknown template "${template}"`);
+        }
+
+        const variantId = definition.structure[variant] ? variant : definition.variants[0].id;
+        const merged = mergeWithDefaults(data, definition, variantId);
+        const validation = validateTemplateData(merged, definition.fields);
+
+        return {
+            variant: variantId,
+            missingFields: validation.errors.map(e => e.field),
+            fields: definition.fields.map(f => f.id),
+            markdown: renderTemplate(definition.structure[variantId], merged)
+        };
+    }
+};
+
+export const APP_TOOLS = [searchDocuments, getDocument, addNode, renderTemplateTool];
+
+// Export singleton instance
+const toolRegistry = new ToolRegistry(APP_TOOLS);
+export default toolRegistry;
+
+export { ToolRegistry };
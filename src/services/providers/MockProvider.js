@@ -0,0 +1,347 @@
+/**
+ * MockProvider - Offline Deterministic Backend
+ * =============================================
+ *
+ * Implements the provider adapter interface without a network: replies
+ * come from fixtures, streamed word by word with simulated latency, and
+ * errors can be scripted. Demo mode, tests and UI demos use it to run
+ * the real AIService pipeline (context building, queueing, retries,
+ * structured output) with no backend.
+ *
+ * A fixture is { match, reply, toolCalls, error, latencyMs, tokenDelayMs }:
+ * - match: RegExp or string tested against the last user message, or a
+ *   function of the request; fixtures without one always match
+ * - reply: string, object (sent as JSON) or function(request) returning either
+ * - toolCalls: [{ name, arguments }] returned alongside the reply
+ * - error: { status, message } for an HTTP error, or 'unreachable'
+ *
+ * Scripted fixtures (script()) answer the next requests in order, before
+ * any matching. The same input always gives the same output.
+ */
+
+import { ProviderError } from './streamUtils';
+
+const DEFAULT_MODELS = ['demo-assistant'];
+
+const DEFAULT_LATENCY_MS = 300;
+const DEFAULT_TOKEN_DELAY_MS = 25;
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Sources as enclosed by ContentGuard.wrapSource()
+const SOURCE_PATTERN = /<<<BEGIN SOURCE(?: [^:>]*)?: (.*?) \(([^)]*)\)>>>\n([\s\S]*?)\n<<<END SOURCE/g;
+
+const SETUP_HINT = 'Connect Ollama by running `ollama run llama3.2` in your terminal, then click the status indicator in the sidebar.';
+
+/**
+ * Replies used when no fixtures are given: a small demo of the app
+ */
+export const DEMO_FIXTURES = [
+    {
+        match: (request) => request.sources.length > 0,
+        reply: ({ sources }) => {
+            const [source] = sources;
+            const words = source.text.split(/\s+/).filter(Boolean).length;
+            const preview = source.text.slice(0, 300).trim();
+
+            return `### 📄 Analysis of **${source.name}**\n\n` +
+                `- **Words:** ${words}\n` +
+                `- **Source:** ${source.origin}\n` +
+                (sources.length > 1 ? `- **Other sources:** ${sources.slice(1).map(s => s.name).join(', ')}\n` : '') +
+                `\n**Content Preview:**\n` +
+                `> ${(preview || 'No text content extracted.').replace(/\n/g, '\n> ')}\n\n` +
+                `**Simulated Insights (Demo Mode):**\n` +
+                `1. This document appears to contain **${words > 1000 ? 'detailed' : 'brief'}** information.\n` +
+                `2. Key topics typically found in this type of file include specifications, requirements, or documentation.\n` +
+                `3. For a *real* summary and semantic Q&A: ${SETUP_HINT}`;
+        }
+    },
+    {
+        match: /\b(code|function|javascript|python)\b/i,
+        reply: `Here's an example of what I can help you with:\n\n` +
+            '```javascript\n// Example: A simple utility function\nfunction greet(name) {\n  return `Hello, ${name}! Welcome to DevSavvy.`;\n}\n\nconsole.log(greet(\'Developer\'));\n```\n\n' +
+            `With a model connected, I can:\n` +
+            `- Generate complete code solutions\n` +
+            `- Debug your existing code\n` +
+            `- Explain complex algorithms\n` +
+            `- Convert between programming languages`
+    },
+    {
+        match: /\b(explain|what is|how does)\b/i,
+        reply: `Great question! In demo mode, I'll give you a brief overview.\n\n` +
+            `**DevSavvy** is an AI-powered knowledge workspace that helps you:\n\n` +
+            `1. 📄 **Process Documents** - Upload and analyze PDFs, images, and more\n` +
+            `2. 🎨 **Create on Canvas** - Visual brainstorming with AI assistance\n` +
+            `3. 🎬 **Extract from Videos** - Get insights from YouTube content\n` +
+            `4. 🔗 **Parse URLs** - Extract and summarize web content\n\n` +
+            `*Connect a model for full explanations!*`
+    },
+    {
+        match: /\b(debug|error|fix)\b/i,
+        reply: `I'd love to help debug! Here's how I can assist:\n\n` +
+            `**Common Debugging Steps:**\n` +
+            `1. Check console for error messages\n` +
+            `2. Verify variable types and values\n` +
+            `3. Review recent code changes\n` +
+            `4. Test with simplified inputs\n\n` +
+            `Share your code once a model is connected, and I'll provide specific fixes!`
+    },
+    {
+        match: /\b(help|hello|hi|hey|start)\b/i,
+        reply: `👋 **Welcome to DevSavvy!**\n\n` +
+            `I'm running in **Demo Mode** right now. Here's what you can explore:\n\n` +
+            `| Feature | Status |\n` +
+            `|:--------|:-------|\n` +
+            `| 💬 Chat Interface | ✅ Working |\n` +
+            `| 📁 File Upload | ✅ Working |\n` +
+            `| 🎨 Canvas | ✅ Working |\n` +
+            `| 📝 Documents | ✅ Working |\n` +
+            `| 🤖 AI Responses | ⚠️ Demo Only |\n\n` +
+            `**To enable full AI:**\n\n` +
+            `1. Install [Ollama](https://ollama.ai)\n` +
+            `2. Run: \`ollama run llama3.2\`\n` +
+            `3. Click the status indicator in the sidebar\n\n` +
+            `Try asking me about code, explanations, or debugging!`
+    },
+    {
+        reply: ({ prompt }) => `Thanks for your message! I'm currently in **Demo Mode**.\n\n` +
+            `Your query: *"${prompt}"*\n\n` +
+            `In demo mode, I provide sample responses to showcase the interface. ` +
+            `For full AI capabilities including:\n\n` +
+            `- 🧠 Intelligent code generation\n` +
+            `- 📖 Document analysis\n` +
+            `- 💡 Creative brainstorming\n` +
+            `- 🔍 Deep explanations\n\n` +
+            SETUP_HINT
+    }
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Resolve after `ms`, or reject with an AbortError when the signal fires
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Plain text of a message (content may be a string or content parts)
+ */
+function textOf(message) {
+    if (typeof message?.content === 'string') return message.content;
+    return (message?.content || []).map(part => part.text || '').join('');
+}
+
+/**
+ * A minimal value that satisfies a JSON schema, for structured requests
+ */
+function sampleFromSchema(schema = {}, name = 'value') {
+    if (schema.enum) return schema.enum[0];
+
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, property]) => [key, sampleFromSchema(property, key)]));
+        case 'array':
+            return Array.from({ length: Math.max(1, schema.minItems || 0) }, (_, i) =>
+                sampleFromSchema(schema.items, `${name} ${i + 1}`));
+        case 'integer':
+        case 'number':
+            return 1;
+        case 'boolean':
+            return true;
+        default:
+            return `Demo ${name}`;
+    }
+}
+
+/**
+ * FNV-1a hash of a string, as an unsigned 32-bit integer
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Bag-of-words embedding: texts sharing words get similar vectors, so
+ * library search behaves plausibly offline
+ */
+function embedText(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    words.forEach(word => {
+        const hash = hashString(word);
+        vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x100) ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+}
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+class MockProvider {
+    /**
+     * @param {Object} config
+     * @param {Array} config.fixtures - Fixtures tried in order (default DEMO_FIXTURES)
+     * @param {string[]} config.models - Model names listModels() reports
+     * @param {number} config.latencyMs - Delay before the first token (simulated model load)
+     * @param {number} config.tokenDelayMs - Delay between streamed tokens
+     */
+    constructor({
+        fixtures = DEMO_FIXTURES,
+        models = DEFAULT_MODELS,
+        latencyMs = DEFAULT_LATENCY_MS,
+        tokenDelayMs = DEFAULT_TOKEN_DELAY_MS
+    } = {}) {
+        this.type = 'mock';
+        this.label = 'Demo (offline)';
+        this.fixtures = fixtures;
+        this.models = models;
+        this.latencyMs = latencyMs;
+        this.tokenDelayMs = tokenDelayMs;
+        this.scripted = [];
+    }
+
+    /**
+     * Answer the next requests with these fixtures, in order
+     */
+    script(...fixtures) {
+        this.scripted.push(...fixtures);
+    }
+
+    /**
+     * Replace the fixtures and drop any scripted ones
+     */
+    setFixtures(fixtures) {
+        this.fixtures = fixtures;
+        this.scripted = [];
+    }
+
+    /**
+     * Scripted fixture first, otherwise the first matching one
+     */
+    findFixture(request) {
+        if (this.scripted.length > 0) {
+            return this.scripted.shift();
+        }
+
+        return this.fixtures.find(({ match }) => {
+            if (!match) return true;
+            if (typeof match === 'function') return match(request);
+            if (match instanceof RegExp) return match.test(request.prompt);
+            return request.prompt.toLowerCase().includes(String(match).toLowerCase());
+        }) || null;
+    }
+
+    async listModels({ signal } = {}) {
+        await delay(0, signal);
+        return [...this.models];
+    }
+
+    /**
+     * Run a chat completion against the fixtures
+     * @param {Object} request - { model, messages, stream, options, format, tools }
+     * @param {Object} handlers - { signal, onToken(token), onActivity() }
+     * @returns {Promise<{content: string, stats: Object, toolCalls: Array}>}
+     */
+    async chat({ model, messages, stream = false, options = {}, format = null, tools = null }, { signal, onToken, onActivity } = {}) {
+        const prompt = textOf([...messages].reverse().find(m => m.role === 'user'));
+        const sources = messages
+            .filter(m => m.role === 'system')
+            .flatMap(m => [...textOf(m).matchAll(SOURCE_PATTERN)])
+            .map(([, name, origin, text]) => ({ name, origin, text }));
+
+        const request = { model, messages, prompt, sources, options, format, tools };
+
+        const fixture = this.findFixture(request) || {};
+        const latencyMs = fixture.latencyMs ?? this.latencyMs;
+        const tokenDelayMs = fixture.tokenDelayMs ?? this.tokenDelayMs;
+
+        await delay(latencyMs, signal);
+
+        if (fixture.error === 'unreachable') {
+            throw new TypeError('Failed to fetch');
+        }
+        if (fixture.error) {
+            const { status = 500, message = 'Mock backend error' } = fixture.error;
+            throw new ProviderError(`API Error (${status}): ${message}`, status, message);
+        }
+
+        let reply = typeof fixture.reply === 'function' ? fixture.reply(request) : (fixture.reply ?? '');
+        if (format && typeof reply === 'string') {
+            reply = typeof format === 'object' ? sampleFromSchema(format) : { reply };
+        }
+        const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+
+        const tokens = content.match(/\s*\S+\s*/g) || [];
+        if (stream) {
+            for (const token of tokens) {
+                await delay(tokenDelayMs, signal);
+                onActivity?.();
+                onToken?.(token);
+            }
+        } else {
+            await delay(tokenDelayMs * tokens.length, signal);
+        }
+
+        const evalDurationMs = tokenDelayMs * tokens.length;
+        return {
+            content,
+            stats: {
+                promptTokens: Math.ceil(messages.reduce((sum, m) => sum + textOf(m).length, 0) / 4),
+                completionTokens: tokens.length,
+                totalDurationMs: latencyMs + evalDurationMs,
+                loadDurationMs: latencyMs,
+                evalDurationMs,
+                tokensPerSecond: evalDurationMs > 0
+                    ? Math.round((tokens.length / (evalDurationMs / 1000)) * 10) / 10
+                    : 0
+            },
+            toolCalls: (tools?.length > 0 ? fixture.toolCalls || [] : []).map((call, i) => ({
+                id: call.id || `call_${i}`,
+                name: call.name,
+                arguments: call.arguments || {}
+            }))
+        };
+    }
+
+    /**
+     * Embed one or more texts
+     * @returns {Promise<number[][]>} One vector per input
+     */
+    async embed({ input }, { signal, onActivity } = {}) {
+        const inputs = Array.isArray(input) ? input : [input];
+        await delay(0, signal);
+        onActivity?.();
+        return inputs.map(embedText);
+    }
+}
+
+export default MockProvider;
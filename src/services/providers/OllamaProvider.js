@@ -0,0 +1,242 @@
+/**
+ * OllamaProvider - Ollama Native API Adapter
+ * ===========================================
+ *
+ * Talks to Ollama's /api/* endpoints through the `/ollama` dev proxy.
+ * Implements the provider adapter interface used by AIService.
+ */
+
+import { readNDJSON, assertOk } from './streamUtils';
+
+// Ollama reports durations in nanoseconds
+const NS_PER_MS = 1e6;
+
+/**
+ * Normalize Ollama's final eval counters into generation stats
+ * @param {Object} data - Final (done) response chunk
+ * @returns {Object|null} Token counts, durations in ms and throughput
+ */
+function extractStats(data) {
+    if (!data) return null;
+
+    const evalDurationMs = (data.eval_duration || 0) / NS_PER_MS;
+    const completionTokens = data.eval_count || 0;
+
+    return {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens,
+        totalDurationMs: Math.round((data.total_duration || 0) / NS_PER_MS),
+        loadDurationMs: Math.round((data.load_duration || 0) / NS_PER_MS),
+        evalDurationMs: Math.round(evalDurationMs),
+        tokensPerSecond: evalDurationMs > 0
+            ? Math.round((completionTokens / (evalDurationMs / 1000)) * 10) / 10
+            : 0
+    };
+}
+
+/**
+ * Ollama takes message images as bare base64; AIService passes data URLs
+ */
+function toOllamaMessages(messages) {
+    return messages.map(message => (message.images
+        ? { ...message, images: message.images.map(image => image.replace(/^data:[^,]*,/, '')) }
+        : message));
+}
+
+/**
+ * Normalize Ollama tool calls ({ function: { name, arguments } }) to
+ * { id, name, arguments }; Ollama does not assign call ids
+ */
+function normalizeToolCalls(toolCalls) {
+    return toolCalls.map((call, i) => ({
+        id: call.id || `call_${i}`,
+        name: call.function?.name,
+        arguments: call.function?.arguments || {}
+    }));
+}
+
+class OllamaProvider {
+    constructor({ baseUrl = '/ollama' } = {}) {
+        this.type = 'ollama';
+        this.label = 'Ollama';
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Send a JSON request to the Ollama API
+     */
+    async request(path, { method = 'GET', body = null, signal = null } = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+            signal
+        });
+
+        return assertOk(response);
+    }
+
+    /**
+     * List installed model names
+     * @returns {Promise<string[]>}
+     */
+    async listModels({ signal } = {}) {
+        const response = await this.request('/api/tags', { signal });
+        const data = await response.json();
+        return data.models?.map(m => m.name) || [];
+    }
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { model, messages, stream, options, format, tools }; options are Ollama
+     *   generation params, format is 'json' or a JSON schema for structured output, tools are
+     *   function schemas ({ type: 'function', function: { name, description, parameters } }).
+     *   Messages may carry `images` (data URLs or base64) for vision models
+     * @param {Object} handlers - { signal, onToken(token), onActivity() }
+     * @returns {Promise<{content: string, stats: Object|null, toolCalls: Array}>}
+     */
+    async chat({ model, messages, stream = false, options = {}, format = null, tools = null }, { signal, onToken, onActivity } = {}) {
+        const response = await this.request('/api/chat', {
+            method: 'POST',
+            body: {
+                model,
+                messages: toOllamaMessages(messages),
+                stream,
+                ...(Object.keys(options).length > 0 && { options }),
+                ...(format && { format }),
+                ...(tools?.length > 0 && { tools })
+            },
+            signal
+        });
+
+        if (!stream) {
+            const data = await response.json();
+            return {
+                content: data.message?.content || '',
+                stats: extractStats(data),
+                toolCalls: normalizeToolCalls(data.message?.tool_calls || [])
+            };
+        }
+
+        let content = '';
+        let finalChunk = null;
+        const toolCalls = [];
+
+        for await (const chunk of readNDJSON(response.body)) {
+            onActivity?.();
+
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+
+            const token = chunk.message?.content || '';
+            if (token) {
+                content += token;
+                onToken?.(token);
+            }
+
+            // Tool calls arrive whole, not token by token
+            if (chunk.message?.tool_calls) {
+                toolCalls.push(...chunk.message.tool_calls);
+            }
+
+            if (chunk.done) {
+                finalChunk = chunk;
+            }
+        }
+
+        return { content, stats: extractStats(finalChunk), toolCalls: normalizeToolCalls(toolCalls) };
+    }
+
+    /**
+     * Embed one or more texts
+     * @param {Object} request - { model, input: string|string[] }
+     * @returns {Promise<number[][]>} One vector per input
+     */
+    async embed({ model, input }, { signal, onActivity } = {}) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const vectors = [];
+
+        // /api/embeddings takes a single prompt per call
+        for (const prompt of inputs) {
+            const response = await this.request('/api/embeddings', {
+                method: 'POST',
+                body: { model, prompt },
+                signal
+            });
+            const data = await response.json();
+            vectors.push(data.embedding || []);
+            onActivity?.();
+        }
+
+        return vectors;
+    }
+
+    // =========================================================================
+    // MODEL MANAGEMENT
+    // =========================================================================
+
+    /**
+     * Download a model, streaming progress
+     * @param {string} name - Model name, e.g. "mistral" or "llama3.2:1b"
+     * @param {Object} handlers - { signal, onProgress({ status, digest, total, completed }) }
+     */
+    async pullModel(name, { signal, onProgress } = {}) {
+        const response = await this.request('/api/pull', {
+            method: 'POST',
+            body: { model: name, stream: true },
+            signal
+        });
+
+        for await (const chunk of readNDJSON(response.body)) {
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+            onProgress?.(chunk);
+        }
+    }
+
+    /**
+     * Remove a model from the backend
+     */
+    async deleteModel(name, { signal } = {}) {
+        await this.request('/api/delete', {
+            method: 'DELETE',
+            body: { model: name },
+            signal
+        });
+    }
+
+    /**
+     * Model details from /api/show
+     * @returns {Promise<Object>} { name, family, parameterSize, quantization, format,
+     *   contextLength, parameters, template, capabilities, modifiedAt }
+     */
+    async showModel(name, { signal } = {}) {
+        const response = await this.request('/api/show', {
+            method: 'POST',
+            body: { model: name },
+            signal
+        });
+        const data = await response.json();
+
+        // model_info keys are prefixed with the architecture, e.g. "llama.context_length"
+        const info = data.model_info || {};
+        const contextKey = Object.keys(info).find(key => key.endsWith('.context_length'));
+
+        return {
+            name,
+            family: data.details?.family || null,
+            parameterSize: data.details?.parameter_size || null,
+            quantization: data.details?.quantization_level || null,
+            format: data.details?.format || null,
+            contextLength: contextKey ? info[contextKey] : null,
+            parameters: data.parameters || '',
+            template: data.template || '',
+            capabilities: data.capabilities || [],
+            modifiedAt: data.modified_at || null
+        };
+    }
+}
+
+export default OllamaProvider;
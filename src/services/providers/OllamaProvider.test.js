@@ -0,0 +1,128 @@
+import { once } from 'node:events';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import app from '../../../scripts/mock-servers/ollama.js';
+import OllamaProvider from './OllamaProvider';
+import { ProviderError } from './streamUtils';
+
+// Runs against the mock Ollama server (scripts/mock-servers/ollama.js)
+let server;
+let provider;
+
+beforeAll(async () => {
+    server = app.listen(0);
+    await once(server, 'listening');
+    provider = new OllamaProvider({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const ask = (content, model = 'llama3.2') => ({ model, messages: [{ role: 'user', content }] });
+
+describe('OllamaProvider', () => {
+    it('lists the installed models', async () => {
+        expect(await provider.listModels()).toContain('llama3.2:latest');
+    });
+
+    it('streams NDJSON tokens and reports the final stats', async () => {
+        const tokens = [];
+        let activity = 0;
+
+        const result = await provider.chat({ ...ask('What is a tensor?'), stream: true }, {
+            onToken: (token) => tokens.push(token),
+            onActivity: () => activity++
+        });
+
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe(result.content);
+        expect(result.content).toContain('You asked: "What is a tensor?"');
+        expect(activity).toBeGreaterThanOrEqual(tokens.length);
+        expect(result.stats.completionTokens).toBe(tokens.length);
+        expect(result.stats.promptTokens).toBeGreaterThan(0);
+        expect(result.toolCalls).toEqual([]);
+    });
+
+    it('returns the whole reply without streaming', async () => {
+        const result = await provider.chat(ask('Hello'));
+        expect(result.content).toContain('You asked: "Hello"');
+        expect(result.stats.completionTokens).toBeGreaterThan(0);
+    });
+
+    it('sends images as bare base64', async () => {
+        const result = await provider.chat({
+            model: 'llava',
+            messages: [{ role: 'user', content: 'Describe this', images: ['data:image/png;base64,iVBORw0KGgo='] }]
+        });
+        expect(result.content).toContain('Received 1 image');
+    });
+
+    it('returns structured output for a schema', async () => {
+        const format = { type: 'object', properties: { points: { type: 'array', items: { type: 'string' } } } };
+        const result = await provider.chat({ ...ask('Key points'), format });
+        expect(JSON.parse(result.content)).toEqual({ points: ['mock'] });
+    });
+
+    it('normalizes native tool calls', async () => {
+        const tools = [{
+            type: 'function',
+            function: { name: 'searchDocuments', parameters: { type: 'object', properties: { query: { type: 'string' } } } }
+        }];
+        const result = await provider.chat({ ...ask('Use searchDocuments'), stream: true, tools });
+        expect(result.toolCalls).toEqual([{ id: 'call_0', name: 'searchDocuments', arguments: { query: 'mock' } }]);
+    });
+
+    it('throws a ProviderError with the status for an unknown model', async () => {
+        const error = await provider.chat(ask('Hello', 'nonexistent')).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.status).toBe(404);
+        expect(error.body).toMatch(/not found/);
+    });
+
+    it('throws when a model without tool support is sent tools', async () => {
+        const tools = [{ type: 'function', function: { name: 'getDocument', parameters: { type: 'object' } } }];
+        const error = await provider.chat({ ...ask('Hello', 'mistral'), tools }).catch(e => e);
+        expect(error.status).toBe(400);
+        expect(error.message).toMatch(/does not support tools/);
+    });
+
+    it('stops reading the stream when aborted', async () => {
+        const controller = new AbortController();
+        const tokens = [];
+
+        const error = await provider.chat({ ...ask('Tell me a story'), stream: true }, {
+            signal: controller.signal,
+            onToken: (token) => {
+                tokens.push(token);
+                if (tokens.length === 2) controller.abort();
+            }
+        }).catch(e => e);
+
+        expect(error.name).toBe('AbortError');
+        expect(tokens).toHaveLength(2);
+    });
+
+    it('embeds each input', async () => {
+        const vectors = await provider.embed({ model: 'nomic-embed-text', input: ['alpha beta', 'alpha beta', 'gamma'] });
+        expect(vectors).toHaveLength(3);
+        expect(vectors[0]).toEqual(vectors[1]);
+        expect(vectors[0]).not.toEqual(vectors[2]);
+    });
+
+    it('streams pull progress and fails on a stream error', async () => {
+        const progress = [];
+        await provider.pullModel('gemma2:2b', { onProgress: (chunk) => progress.push(chunk.status) });
+        expect(progress.at(-1)).toBe('success');
+        expect(await provider.listModels()).toContain('gemma2:2b');
+
+        await expect(provider.pullModel('missing-model')).rejects.toThrow(/file does not exist/);
+    });
+
+    it('reads model details from /api/show', async () => {
+        const info = await provider.showModel('llava');
+        expect(info.capabilities).toContain('vision');
+        expect(info.contextLength).toBe(131072);
+    });
+});
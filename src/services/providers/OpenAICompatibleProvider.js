@@ -0,0 +1,237 @@
+/**
+ * OpenAICompatibleProvider - /v1 API Adapter
+ * ===========================================
+ *
+ * Adapter for servers that speak the OpenAI-compatible API:
+ * llama.cpp server, vLLM, LM Studio, etc. Requests go through
+ * the `/openai` dev proxy.
+ */
+
+import { readSSE, assertOk } from './streamUtils';
+
+/**
+ * Build generation stats from `usage` and client-side timings
+ * (these servers do not report load or eval durations)
+ */
+function buildStats(usage, startedAt, firstTokenAt) {
+    if (!usage) return null;
+
+    const finishedAt = performance.now();
+    const evalDurationMs = firstTokenAt ? finishedAt - firstTokenAt : 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens,
+        totalDurationMs: Math.round(finishedAt - startedAt),
+        loadDurationMs: 0,
+        evalDurationMs: Math.round(evalDurationMs),
+        tokensPerSecond: evalDurationMs > 0
+            ? Math.round((completionTokens / (evalDurationMs / 1000)) * 10) / 10
+            : 0
+    };
+}
+
+/**
+ * Map Ollama-style generation params to /v1 request fields.
+ * num_ctx has no equivalent: the context size is fixed when the server starts.
+ */
+function toOpenAIParams(options = {}) {
+    const { temperature, top_p, num_predict, stop, seed } = options;
+
+    return {
+        ...(temperature !== undefined && { temperature }),
+        ...(top_p !== undefined && { top_p }),
+        ...(num_predict > 0 && { max_tokens: num_predict }),
+        ...(stop?.length > 0 && { stop }),
+        ...(seed !== undefined && { seed })
+    };
+}
+
+/**
+ * Map Ollama's `format` ('json' or a JSON schema) to `response_format`
+ */
+function toResponseFormat(format) {
+    return format === 'json'
+        ? { type: 'json_object' }
+        : { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+}
+
+/**
+ * Convert messages from the Ollama shape AIService uses to /v1 messages:
+ * tool calls (object arguments, `tool` replies with tool_call_id) and
+ * `images`, which become image_url content parts
+ */
+function toOpenAIMessages(messages) {
+    return messages.map(message => {
+        if (message.images?.length > 0) {
+            const { images, ...rest } = message;
+            return {
+                ...rest,
+                content: [
+                    { type: 'text', text: message.content },
+                    ...images.map(image => ({
+                        type: 'image_url',
+                        image_url: { url: image.startsWith('data:') ? image : `data:image/png;base64,${image}` }
+                    }))
+                ]
+            };
+        }
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+        }
+        if (message.tool_calls) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.tool_calls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.function.name, arguments: JSON.stringify(call.function.arguments) }
+                }))
+            };
+        }
+        return message;
+    });
+}
+
+/**
+ * Normalize /v1 tool calls (JSON-string arguments) to { id, name, arguments }
+ */
+function normalizeToolCalls(toolCalls = []) {
+    return toolCalls.filter(Boolean).map((call, i) => {
+        let args = {};
+        try {
+            args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+        } catch {
+            // leave malformed arguments empty; the tool reports what is missing
+        }
+        return { id: call.id || `call_${i}`, name: call.function?.name, arguments: args };
+    });
+}
+
+class OpenAICompatibleProvider {
+    constructor({ baseUrl = '/openai', apiKey = '' } = {}) {
+        this.type = 'openai';
+        this.label = 'OpenAI-compatible';
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Send a JSON request to the /v1 API
+     */
+    async request(path, { method = 'GET', body = null, signal = null } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal
+        });
+
+        return assertOk(response);
+    }
+
+    /**
+     * List served model ids
+     * @returns {Promise<string[]>}
+     */
+    async listModels({ signal } = {}) {
+        const response = await this.request('/v1/models', { signal });
+        const data = await response.json();
+        return data.data?.map(m => m.id) || [];
+    }
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { model, messages, stream, options, format, tools }; options are Ollama-style
+     *   params, format is 'json' or a JSON schema for structured output, tools are function schemas
+     * @param {Object} handlers - { signal, onToken(token), onActivity() }
+     * @returns {Promise<{content: string, stats: Object|null, toolCalls: Array}>}
+     */
+    async chat({ model, messages, stream = false, options = {}, format = null, tools = null }, { signal, onToken, onActivity } = {}) {
+        const startedAt = performance.now();
+        const response = await this.request('/v1/chat/completions', {
+            method: 'POST',
+            body: {
+                model,
+                messages: toOpenAIMessages(messages),
+                stream,
+                ...toOpenAIParams(options),
+                ...(format && { response_format: toResponseFormat(format) }),
+                ...(tools?.length > 0 && { tools }),
+                ...(stream && { stream_options: { include_usage: true } })
+            },
+            signal
+        });
+
+        if (!stream) {
+            const data = await response.json();
+            const message = data.choices?.[0]?.message;
+            return {
+                content: message?.content || '',
+                stats: buildStats(data.usage, startedAt, startedAt),
+                toolCalls: normalizeToolCalls(message?.tool_calls)
+            };
+        }
+
+        let content = '';
+        let usage = null;
+        let firstTokenAt = null;
+        const toolCalls = []; // streamed as fragments, keyed by index
+
+        for await (const chunk of readSSE(response.body)) {
+            onActivity?.();
+
+            if (chunk.error) {
+                throw new Error(chunk.error.message || String(chunk.error));
+            }
+
+            const delta = chunk.choices?.[0]?.delta;
+            const token = delta?.content || '';
+            if (token) {
+                firstTokenAt ??= performance.now();
+                content += token;
+                onToken?.(token);
+            }
+
+            for (const fragment of delta?.tool_calls || []) {
+                const call = toolCalls[fragment.index ?? 0] ??= { id: null, function: { name: '', arguments: '' } };
+                call.id = fragment.id || call.id;
+                call.function.name += fragment.function?.name || '';
+                call.function.arguments += fragment.function?.arguments || '';
+            }
+
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+        }
+
+        return { content, stats: buildStats(usage, startedAt, firstTokenAt), toolCalls: normalizeToolCalls(toolCalls) };
+    }
+
+    /**
+     * Embed one or more texts
+     * @param {Object} request - { model, input: string|string[] }
+     * @returns {Promise<number[][]>} One vector per input
+     */
+    async embed({ model, input }, { signal } = {}) {
+        const response = await this.request('/v1/embeddings', {
+            method: 'POST',
+            body: { model, input },
+            signal
+        });
+        const data = await response.json();
+
+        return (data.data || [])
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+export default OpenAICompatibleProvider;
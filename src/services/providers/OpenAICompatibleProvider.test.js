@@ -0,0 +1,104 @@
+import { once } from 'node:events';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import app from '../../../scripts/mock-servers/openai.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider';
+import { ProviderError } from './streamUtils';
+
+// Runs against the mock OpenAI-compatible server (scripts/mock-servers/openai.js)
+let server;
+let provider;
+
+beforeAll(async () => {
+    server = app.listen(0);
+    await once(server, 'listening');
+    provider = new OpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+const ask = (content, model = 'llama3.2:latest') => ({ model, messages: [{ role: 'user', content }] });
+
+describe('OpenAICompatibleProvider', () => {
+    it('lists the served models', async () => {
+        expect(await provider.listModels()).toContain('mistral:latest');
+    });
+
+    it('streams SSE tokens and reads usage from the last event', async () => {
+        const tokens = [];
+        let activity = 0;
+
+        const result = await provider.chat({ ...ask('What is a tensor?'), stream: true }, {
+            onToken: (token) => tokens.push(token),
+            onActivity: () => activity++
+        });
+
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe(result.content);
+        expect(result.content).toContain('You asked: "What is a tensor?"');
+        expect(activity).toBeGreaterThan(tokens.length);
+        expect(result.stats.completionTokens).toBe(tokens.length);
+        expect(result.stats.promptTokens).toBeGreaterThan(0);
+    });
+
+    it('returns the whole reply without streaming', async () => {
+        const result = await provider.chat(ask('Hello'));
+        expect(result.content).toContain('You asked: "Hello"');
+        expect(result.stats.completionTokens).toBeGreaterThan(0);
+        expect(result.toolCalls).toEqual([]);
+    });
+
+    it('sends images as image_url content parts', async () => {
+        const result = await provider.chat({
+            model: 'llava:latest',
+            messages: [{ role: 'user', content: 'Describe these', images: ['iVBORw0KGgo=', 'data:image/jpeg;base64,/9j/4AAQ'] }]
+        });
+        expect(result.content).toContain('You asked: "Describe these"');
+        expect(result.content).toContain('Received 2 images');
+    });
+
+    it('maps a JSON schema format to response_format', async () => {
+        const format = { type: 'object', properties: { title: { type: 'string' }, score: { type: 'number' } } };
+        const result = await provider.chat({ ...ask('Extract'), format });
+        expect(JSON.parse(result.content)).toEqual({ title: 'mock', score: 1 });
+    });
+
+    it('throws a ProviderError with the status for an unknown model', async () => {
+        const error = await provider.chat({ ...ask('Hello', 'nonexistent'), stream: true }).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.status).toBe(404);
+        expect(error.body).toMatch(/does not exist/);
+    });
+
+    it('stops reading the stream when aborted', async () => {
+        const controller = new AbortController();
+        const tokens = [];
+
+        const error = await provider.chat({ ...ask('Tell me a story'), stream: true }, {
+            signal: controller.signal,
+            onToken: (token) => {
+                tokens.push(token);
+                if (tokens.length === 2) controller.abort();
+            }
+        }).catch(e => e);
+
+        expect(error.name).toBe('AbortError');
+        expect(tokens).toHaveLength(2);
+    });
+
+    it('rejects at once when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(provider.listModels({ signal: controller.signal })).rejects.toThrow(/abort/i);
+    });
+
+    it('embeds a batch in input order', async () => {
+        const vectors = await provider.embed({ model: 'nomic-embed-text:latest', input: ['alpha', 'beta', 'alpha'] });
+        expect(vectors).toHaveLength(3);
+        expect(vectors[0]).toEqual(vectors[2]);
+        expect(vectors[0]).not.toEqual(vectors[1]);
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * LLM Provider Registry
+ * ======================
+ *
+ * Every provider adapter implements the same interface:
+ * - listModels({ signal })                                   -> string[]
+ * - chat({ model, messages, stream, options, format, tools }, { signal, onToken, onActivity })
+ *                                                            -> { content, stats, toolCalls }
+ * - embed({ model, input }, { signal, onActivity })          -> number[][]
+ *
+ * Messages use Ollama's shape (`images` as data URLs or base64, `tool_calls`,
+ * `tool` replies); adapters convert them to their backend's format.
+ *
+ * Adapters may also manage models (Ollama only):
+ * - pullModel(name, { signal, onProgress }), deleteModel(name), showModel(name)
+ *
+ * AIService holds one active provider; switch it with aiService.setProvider().
+ * The mock provider answers from fixtures without a network (demo mode, tests).
+ */
+
+import OllamaProvider from './OllamaProvider';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider';
+import MockProvider from './MockProvider';
+
+export const PROVIDERS = {
+    ollama: { id: 'ollama', label: 'Ollama', Adapter: OllamaProvider },
+    openai: { id: 'openai', label: 'OpenAI-compatible', Adapter: OpenAICompatibleProvider },
+    mock: { id: 'mock', label: 'Demo (offline)', Adapter: MockProvider }
+};
+
+/**
+ * Instantiate a provider adapter by id
+ * @param {string} type - Provider id (see PROVIDERS)
+ * @param {Object} config - Adapter config (baseUrl, apiKey; fixtures etc. for the mock)
+ */
+export function createProvider(type, config = {}) {
+    const entry = PROVIDERS[type];
+    if (!entry) {
+        throw new Error(`Unknown AI provider: ${type}`);
+    }
+    return new entry.Adapter(config);
+}
+
+export { OllamaProvider, OpenAICompatibleProvider, MockProvider };
+export { ProviderError } from './streamUtils';
@@ -0,0 +1,99 @@
+/**
+ * Provider Stream Utilities
+ * ==========================
+ *
+ * Readers for the two streaming wire formats spoken by LLM backends:
+ * - NDJSON (Ollama): one JSON object per line
+ * - Server-Sent Events (OpenAI-compatible): `data: {...}` lines ending with `[DONE]`
+ *
+ * Plus the shared HTTP error type thrown by every adapter.
+ */
+
+/**
+ * Error thrown for a non-2xx backend response
+ * Keeps the status and raw body so AIService can classify the failure.
+ */
+export class ProviderError extends Error {
+    constructor(message, status = null, body = '') {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Split a byte stream into trimmed, non-empty text lines
+ * @param {ReadableStream} body - Response body stream
+ * @yields {string} Line of text
+ */
+async function* readLines(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newlineIndex).trim();
+                buffer = buffer.slice(newlineIndex + 1);
+                if (line) yield line;
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) yield buffer.trim();
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Read a newline-delimited JSON stream (Ollama's streaming format)
+ * @param {ReadableStream} body - Response body stream
+ * @yields {Object} Parsed JSON chunk
+ */
+export async function* readNDJSON(body) {
+    for await (const line of readLines(body)) {
+        yield JSON.parse(line);
+    }
+}
+
+/**
+ * Read a Server-Sent Events stream of JSON payloads
+ * Stops at the `[DONE]` sentinel used by OpenAI-compatible servers.
+ * @param {ReadableStream} body - Response body stream
+ * @yields {Object} Parsed `data:` payload
+ */
+export async function* readSSE(body) {
+    for await (const line of readLines(body)) {
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        yield JSON.parse(data);
+    }
+}
+
+/**
+ * Throw a descriptive error for a non-2xx response
+ * @param {Response} response - Fetch response
+ */
+export async function assertOk(response) {
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new ProviderError(
+            `API Error (${response.status}): ${errorText || response.statusText}`,
+            response.status,
+            errorText
+        );
+    }
+    return response;
+}
@@ -14,6 +14,11 @@ export default defineConfig(({ mode }) => {
 
   console.log('Proxy target URL:', targetUrl)
 
+  // OpenAI-compatible servers (llama.cpp server, vLLM) - base URL without /v1
+  const openaiTargetUrl = (env.VITE_OPENAI_BASE_URL || 'http://localhost:8080')
+    .replace(/\/v1\/?$/, '')
+    .replace(/\/$/, '')
+
   return {
     plugins: [
       react(),
@@ -41,6 +46,12 @@ export default defineConfig(({ mode }) => {
             });
           },
         },
+        '/openai': {
+          target: openaiTargetUrl,
+          changeOrigin: true,
+          secure: false,
+          rewrite: (path) => path.replace(/^\/openai/, ''),
+        },
         '/api': {
           target: 'http://localhost:3001',
           changeOrigin: true,